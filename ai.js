@@ -38,7 +38,7 @@ You are an expert logic circuit designer inside a web simulator. Your ONLY goal
     -   **command**: MUST be "addComponent"
     -   **params**:
         -   **id**: REQUIRED. UNIQUE string ID (e.g., "A", "gate1").
-        -   **type**: REQUIRED. Valid types: "INPUT", "OUTPUT", "AND", "OR", "NOT", "XOR", "NAND", "NOR", "XNOR". **YOU MUST PROVIDE THIS.**
+        -   **type**: REQUIRED. Valid types: "INPUT", "CLOCK", "OUTPUT", "AND", "OR", "NOT", "XOR", "NAND", "NOR", "XNOR". **YOU MUST PROVIDE THIS.**
         -   **x**: REQUIRED. Number (e.g., 100).
         -   **y**: REQUIRED. Number (e.g., 150).
         -   **label**: OPTIONAL. String. A custom name for the component (e.g., "Input A").
@@ -405,6 +405,7 @@ REMEMBER: ONLY provide the valid JSON array. Double-check that ALL required para
         let newComponent;
         switch (componentType) {
             case 'INPUT': newComponent = new InputToggle(x, y); break;
+            case 'CLOCK': newComponent = new Clock(x, y); break;
             case 'OUTPUT': newComponent = new OutputLed(x, y); break;
             case 'AND': newComponent = new AndGate(x, y); break;
             case 'OR': newComponent = new OrGate(x, y); break;
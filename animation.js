@@ -3,18 +3,43 @@
 // animations, and log panel.
 // --- MODIFIED: Now an event-driven simulation engine ---
 // --- MODIFIED: Runs instantly (delay 0) and is always "on" ---
+// --- MODIFIED: Events are ordered by simulated time, so every gate can
+// have its own propagation delay (see BaseGate.delay) ---
+// --- MODIFIED: Edits are evaluated instantly; the narrated, animated
+// walkthrough is the opt-in "explain" mode ---
+// --- MODIFIED: The event engine itself lives in engine.js (SimulationEngine);
+// this file drives it and listens in as its observer ---
+// --- MODIFIED: Instant settles run on the compiled netlist (netlist.js); the
+// event engine is kept for whatever needs to see every event ---
 
 const AnimationManager = {
     // --- Configuration ---
     SIMULATION_DELAY: 0, // --- MODIFIED: 0ms delay for instant updates ---
     MAX_SIMULATION_STEPS: 1000, // Safety break for infinite loops
+    CLOCK_TICK_MS: 50, // --- NEW: Resolution of the free-running clock
+    MAX_LOG_ENTRIES: 500, // --- NEW: Keeps the log from growing forever while running
+    MAX_HISTORY: 500, // --- NEW: How many events Step Back can rewind
 
     // --- State ---
-    simulationQueue: [], // A list of events to process
+    // --- MODIFIED: The queue and the time belong to the engine ---
+    get simulationQueue() { return SimulationEngine.queue; }, // Events to process, an EventQueue ordered by event.time
+    set simulationQueue(queue) { SimulationEngine.queue = queue; },
+    get simulationTime() { return SimulationEngine.time; }, // Simulated time in ms (time of the last processed event)
+    set simulationTime(time) { SimulationEngine.time = time; },
     activeAnimations: [], // A list of visual animations (e.g., wire pulses)
     logElement: null, // The HTML element for the log content
     simulationStepCounter: 0, // Counter for the safety break
     simulationTimeoutId: null, // --- NEW: To cancel pending simulations
+    isRunning: false, // --- NEW: True while the clock is free-running
+    runIntervalId: null, // --- NEW: The clock tick interval
+    runUntil: 0, // --- NEW: While running, events after this time wait for the next tick
+    explainMode: false, // --- NEW: True to narrate and animate every event
+    isQueuePaused: false, // --- NEW: True while the user steps through events by hand
+    resumeClockOnResume: false, // --- NEW: The clock was running when the queue was paused
+    instantOnResume: false, // --- NEW: Explain mode was off when the queue was paused
+    isDetached: false, // --- NEW: Analysis tools are driving the engine (see runDetached)
+    history: [], // --- NEW: Snapshots taken before each narrated event, for Step Back
+    compiledNetlist: null, // --- NEW: The canvas as compiled for instant settles, see settleCompiled()
     
     /**
      * Initializes the manager and finds the log element.
@@ -32,7 +57,7 @@ const AnimationManager = {
      * @param {string} type - The class to apply ('log-step', 'log-calc', 'log-error')
      */
     log: function(message, type = 'log-calc') {
-        if (!this.logElement) return;
+        if (!this.logElement || this.isDetached) return; // --- MODIFIED: Analysis runs stay quiet
         
         const entry = document.createElement('div');
         entry.className = `log-entry ${type}`;
@@ -42,6 +67,11 @@ const AnimationManager = {
         
         // --- MODIFIED: Add new logs to the top ---
         this.logElement.prepend(entry);
+
+        // --- NEW: Drop the oldest entries once the log gets long ---
+        while (this.logElement.childElementCount > this.MAX_LOG_ENTRIES) {
+            this.logElement.lastElementChild.remove();
+        }
         
         // --- MODIFIED: Remove auto-scroll to bottom ---
     },
@@ -54,6 +84,27 @@ const AnimationManager = {
         this.log(`⚠️ ${message}`, 'log-error'); // Add a warning icon
     },
 
+    /**
+     * --- NEW ---
+     * Logs a step of the walkthrough. Only shown in explain mode.
+     * @param {string} message - The text to log.
+     * @param {string} type - 'log-step' or 'log-calc'
+     */
+    narrate: function(message, type = 'log-step') {
+        if (this.explainMode) this.log(message, type);
+    },
+
+    /**
+     * --- NEW ---
+     * Reports an input whose drivers disagree.
+     * @param {Node} node - The contended input node.
+     */
+    logContention: function(node) {
+        const label = node.parentComponent.customLabel || node.parentComponent.label;
+        const drivers = node.connections.map(w => formatSignalValue(w.state, w.bitWidth)).join(', ');
+        this.logError(`${this.formatTime()} Bus contention at \`${label}\` input \`${node.label}\`: drivers disagree (${drivers}). The input reads \`X\`.`);
+    },
+
     clearLog: function() {
         if (this.logElement) {
             this.logElement.innerHTML = '';
@@ -95,13 +146,64 @@ const AnimationManager = {
         return this.activeAnimations;
     },
 
+    /**
+     * --- MODIFIED: The engine keeps the time ---
+     * Formats the current simulated time for the log.
+     * @returns {string}
+     */
+    formatTime: function() {
+        return SimulationEngine.formatTime();
+    },
+
+    // --- Engine Observer ---
+
+    /**
+     * --- NEW ---
+     * Called by the engine when a wire starts carrying a new value.
+     * @param {Wire} wire
+     */
+    onWirePulse: function(wire) {
+        if (this.explainMode && !this.isDetached) this.addAnimation('pulse', wire, 300); // 300ms pulse
+    },
+
+    /**
+     * --- NEW ---
+     * Called by the engine after every event.
+     * @param {object} event - The event that was just carried out.
+     * @param {number} time - The simulated time.
+     */
+    onEventProcessed: function(event, time) {
+        if (this.isDetached) return; // Analysis runs aren't recorded
+
+        // Let the timing diagram sample whatever this event touched
+        if (typeof WaveformManager !== 'undefined') {
+            WaveformManager.onSimulationEvent(event, time);
+        }
+
+        // Signal breakpoints (may pause the queue)
+        if (typeof BreakpointManager !== 'undefined') {
+            BreakpointManager.check(event);
+        }
+    },
+
     // --- Simulation Control Methods ---
 
     /**
      * --- MODIFIED: This is now the "live update" trigger ---
-     * Starts the step-by-step simulation.
+     * Re-evaluates the circuit after a change. Instant by default;
+     * in explain mode it starts the step-by-step walkthrough instead.
+     * --- MODIFIED: When told which components changed (e.g. a toggled
+     * Input), instant mode only follows the events out of those ---
+     * @param {Component[]} [changed] - Omit to re-evaluate everything.
      */
-    startSimulation: function() {
+    startSimulation: function(changed = null) {
+        // --- NEW: An edit ends a background run; its last values are the starting point,
+        // fully settled below (the worker's pending events are gone) rather than by stop() ---
+        if (typeof WorkerManager !== 'undefined' && WorkerManager.isRunning) {
+            WorkerManager.stop(false);
+            changed = null;
+        }
+
         // --- NEW: Clear any pending simulation from the *last* change ---
         if (this.simulationTimeoutId) {
             clearTimeout(this.simulationTimeoutId);
@@ -109,11 +211,54 @@ const AnimationManager = {
         }
 
         this.simulationStepCounter = 0; // Reset safety counter
+        if (typeof LoopDetector !== 'undefined') LoopDetector.clearHighlight(); // --- NEW: Shown again if it still oscillates
+
+        // --- NEW: A full re-evaluation follows an edit, so the wiring may have changed ---
+        if (!changed) this.compiledNetlist = null;
+        if (this.canSettleCompiled(changed)) {
+            this.settleCompiled(changed);
+            return;
+        }
+
+        // --- NEW: Incremental path, pending events are kept and only the
+        // changed components' fan-out cone is visited ---
+        if (changed && !this.explainMode) {
+            changed.forEach(component => SimulationEngine.scheduleEvent(
+                (component instanceof InputToggle || component instanceof Clock)
+                    ? { type: 'UPDATE_INPUT', component: component }
+                    : { type: 'CALCULATE', component: component },
+                this.simulationTime));
+            this.processAllNow();
+            return;
+        }
+
+        // --- MODIFIED: Everything starts at the current simulated time ---
+        // While running, clock edges already scheduled for this tick are kept.
+        const pendingEdges = this.simulationQueue.filter(event => event.isClockEdge);
+        this.simulationQueue = new EventQueue();
+
+        // --- NEW: Instant path, every component is evaluated once, synchronously ---
+        if (!this.explainMode) {
+            const inputNodes = Simulator.allComponents.flatMap(c => c.inputNodes);
+            const contended = new Set(inputNodes.filter(node => node.contention));
+
+            Simulator.syncWires(); // Contention found later is logged by PROPAGATE
+            inputNodes.filter(node => node.contention && !contended.has(node)).forEach(node => this.logContention(node));
+
+            Simulator.buildSimulationQueue(true).forEach(event => SimulationEngine.scheduleEvent(event, this.simulationTime));
+            pendingEdges.forEach(event => SimulationEngine.scheduleEvent(event, event.time));
+            this.processAllNow();
+            return;
+        }
+
         this.clearLog(); // Clear log for a fresh run
+        this.history = []; // --- NEW: Old snapshots belong to the previous run
+        this.updateStepButtons();
         // --- More human text ---
         this.logStep("Recalculating simulation...");
 
-        this.simulationQueue = Simulator.buildSimulationQueue();
+        Simulator.buildSimulationQueue().forEach(event => SimulationEngine.scheduleEvent(event, this.simulationTime));
+        pendingEdges.forEach(event => SimulationEngine.scheduleEvent(event, event.time));
         
         if (this.simulationQueue.length === 0) {
             // --- More human text ---
@@ -127,8 +272,284 @@ const AnimationManager = {
     },
 
     /**
-     * --- MODIFIED: pauseSimulation function removed ---
+     * --- NEW ---
+     * Whether startSimulation() may settle on the compiled netlist. Explain
+     * mode, stepping, the running clock, timing diagram probes and
+     * breakpoints need to see every event, so they keep the event engine.
+     * @param {Component[]|null} changed
+     * @returns {boolean}
+     */
+    canSettleCompiled: function(changed) {
+        if (this.explainMode || this.isQueuePaused || this.isRunning) return false;
+        if (changed && this.simulationQueue.length > 0) return false; // Those events belong to the event engine
+        if (typeof WaveformManager !== 'undefined' && WaveformManager.probes.length > 0) return false;
+        if (typeof BreakpointManager !== 'undefined' && BreakpointManager.breakpoints.length > 0) return false;
+        return true;
+    },
+
+    /**
+     * --- NEW ---
+     * The instant path on the compiled netlist. It is compiled once per
+     * edit (startSimulation() without `changed` drops it); a toggled Input
+     * reuses it and only visits the components the change reaches.
+     * @param {Component[]|null} changed - Omit to re-evaluate everything.
+     */
+    settleCompiled: function(changed) {
+        const inputNodes = Simulator.allComponents.flatMap(c => c.inputNodes);
+        const contended = new Set(inputNodes.filter(node => node.contention));
+
+        if (!this.compiledNetlist) this.compiledNetlist = CompiledNetlist.compile(Simulator.allComponents, Simulator.allWires);
+        const netlist = this.compiledNetlist;
+        const limit = SimulationEngine.stepLimit();
+        this.simulationQueue.clear();
+        netlist.load(this.simulationTime);
+
+        let settled;
+        if (changed) {
+            changed.forEach(component => netlist.touch(component));
+            settled = netlist.run(limit);
+        } else {
+            settled = netlist.evaluateAll(limit);
+        }
+        netlist.store();
+        this.simulationTime = netlist.time;
+
+        inputNodes.filter(node => node.contention && !contended.has(node)).forEach(node => this.logContention(node));
+        if (!settled) {
+            this.logError(`Simulation limit reached (${limit} steps). This might be an infinite loop. Stopping simulation.`);
+            if (typeof LoopDetector !== 'undefined') {
+                LoopDetector.onSimulationStuck(netlist.stuckComponents.map(component => ({ component: component }))); // Shaped like queued events
+            }
+        }
+    },
+
+    /**
+     * --- NEW ---
+     * Starts free-running mode: the simulation time advances every
+     * CLOCK_TICK_MS and every Clock edge in that window is scheduled.
+     */
+    runSimulation: function() {
+        if (this.isRunning) return;
+        if (typeof WorkerManager !== 'undefined') WorkerManager.stop(); // --- NEW: One clock at a time
+
+        this.isRunning = true;
+        this.runUntil = this.simulationTime;
+        this.logStep(`Clock running (t = ${this.simulationTime}ms).`);
+
+        // Bring every clock to its level for the current time before ticking
+        for (const component of Simulator.allComponents) {
+            if (component instanceof Clock && component.updateForTime(this.simulationTime)) {
+                SimulationEngine.scheduleEvent({ type: 'UPDATE_INPUT', component: component }, this.simulationTime);
+            }
+        }
+        this.continueQueue();
+
+        this.runIntervalId = setInterval(() => this.tickClocks(), this.CLOCK_TICK_MS);
+        this.updateRunButtons();
+    },
+
+    /**
+     * --- NEW ---
+     * Stops free-running mode. Clocks keep their current level.
+     */
+    pauseSimulation: function() {
+        if (!this.isRunning) return;
+
+        clearInterval(this.runIntervalId);
+        this.runIntervalId = null;
+        this.isRunning = false;
+        this.logStep(`Clock paused at t = ${this.simulationTime}ms.`);
+        this.updateRunButtons();
+    },
+
+    /**
+     * --- NEW ---
+     * Advances the run window by one tick, schedules every Clock edge
+     * that falls inside it, and lets the queue catch up.
+     */
+    tickClocks: function() {
+        const from = this.runUntil;
+        this.runUntil += this.CLOCK_TICK_MS;
+
+        for (const component of Simulator.allComponents) {
+            if (!(component instanceof Clock)) continue;
+            for (const edgeTime of component.getEdgeTimes(from, this.runUntil)) {
+                SimulationEngine.scheduleEvent({
+                    type: 'UPDATE_INPUT',
+                    component: component,
+                    isClockEdge: true
+                }, edgeTime);
+            }
+        }
+
+        // Each tick gets a fresh step budget, so the safety counter only
+        // catches loops that never settle (e.g. zero-delay oscillators).
+        this.simulationStepCounter = 0;
+        this.continueQueue();
+    },
+
+    /**
+     * --- NEW ---
+     * Turns the narrated walkthrough on or off.
+     * Turning it on replays the circuit step by step; turning it off
+     * finishes whatever is left instantly.
+     * @param {boolean} enabled
+     */
+    setExplainMode: function(enabled) {
+        this.explainMode = enabled;
+        if (enabled) {
+            this.startSimulation();
+            return;
+        }
+
+        // --- NEW: Stepping needs the narrated queue, so it ends here ---
+        this.isQueuePaused = false;
+        this.instantOnResume = false;
+        if (typeof BreakpointManager !== 'undefined') BreakpointManager.clearHit();
+        this.history = [];
+        this.updateStepButtons();
+        if (this.simulationTimeoutId) {
+            clearTimeout(this.simulationTimeoutId);
+            this.simulationTimeoutId = null;
+        }
+        this.activeAnimations = [];
+        this.processAllNow();
+        this.logStep("Explain mode off. Changes now apply instantly.");
+    },
+
+    /**
+     * --- NEW ---
+     * Shows either the Run or the Pause button, depending on the mode.
      */
+    updateRunButtons: function() {
+        document.getElementById('run-btn')?.classList.toggle('hidden', this.isRunning);
+        document.getElementById('pause-btn')?.classList.toggle('hidden', !this.isRunning);
+    },
+
+    // --- Stepping Controls ---
+
+    /**
+     * --- NEW ---
+     * Holds the event queue so it can be stepped through by hand.
+     * Switches to explain mode and stops the free-running clock.
+     */
+    pauseQueue: function() {
+        if (this.isQueuePaused) return;
+
+        this.instantOnResume = !this.explainMode; // --- NEW: A breakpoint can pause instant mode too
+        this.explainMode = true;
+        if (this.isRunning) {
+            this.pauseSimulation();
+            this.resumeClockOnResume = true;
+        }
+        if (this.simulationTimeoutId) {
+            clearTimeout(this.simulationTimeoutId);
+            this.simulationTimeoutId = null;
+        }
+
+        this.isQueuePaused = true;
+        this.logStep(`Paused at t = ${this.simulationTime}ms with ${this.simulationQueue.length} event(s) waiting. Use Step to go one event at a time.`);
+        this.updateStepButtons();
+    },
+
+    /**
+     * --- NEW ---
+     * Processes exactly one event while paused.
+     */
+    stepForward: function() {
+        if (!this.isQueuePaused) return;
+        if (this.simulationQueue.length === 0) {
+            this.logStep("Nothing left to step: the circuit has settled.");
+            return;
+        }
+
+        this.recordHistory();
+        try {
+            SimulationEngine.processNextEvent();
+        } catch (execError) {
+            console.error("Error executing simulation event:", execError);
+            this.logError(`Oops! Something went wrong during simulation: ${execError.message}`);
+        }
+        this.updateStepButtons();
+    },
+
+    /**
+     * --- NEW ---
+     * Rewinds the last event: node, wire and component states, the queue
+     * and the simulated time all go back to just before it ran.
+     */
+    stepBack: function() {
+        if (!this.isQueuePaused) return;
+        const snapshot = this.history.pop();
+        if (!snapshot) {
+            this.logStep("Nothing to step back to.");
+            return;
+        }
+
+        Simulator.restoreState(snapshot.circuit);
+        this.simulationQueue = snapshot.queue;
+        this.simulationTime = snapshot.time;
+        this.activeAnimations = [];
+        if (typeof WaveformManager !== 'undefined') WaveformManager.rewindTo(this.simulationTime);
+        if (typeof BreakpointManager !== 'undefined') BreakpointManager.resync();
+        this.logStep(`⏪ Stepped back to t = ${this.simulationTime}ms (${this.simulationQueue.length} event(s) waiting).`);
+        this.updateStepButtons();
+    },
+
+    /**
+     * --- NEW ---
+     * Lets the queue run on its own again.
+     */
+    resumeQueue: function() {
+        if (!this.isQueuePaused) return;
+
+        this.isQueuePaused = false;
+        // --- NEW: Go back to instant evaluation if that's where we paused ---
+        if (this.instantOnResume) {
+            this.instantOnResume = false;
+            this.explainMode = false;
+            this.history = [];
+        }
+        if (typeof BreakpointManager !== 'undefined') BreakpointManager.clearHit();
+        this.updateStepButtons();
+        this.logStep("Resumed.");
+        if (this.resumeClockOnResume) {
+            this.resumeClockOnResume = false;
+            this.runSimulation(); // Also continues the queue
+        } else {
+            this.continueQueue();
+        }
+    },
+
+    /**
+     * --- NEW ---
+     * Remembers the circuit and the queue before an event runs.
+     */
+    recordHistory: function() {
+        this.history.push({
+            circuit: Simulator.captureState(),
+            queue: this.simulationQueue.clone(),
+            time: this.simulationTime
+        });
+        if (this.history.length > this.MAX_HISTORY) {
+            this.history.shift();
+        }
+    },
+
+    /**
+     * --- NEW ---
+     * Shows Pause while the queue runs on its own, and Step Back / Step /
+     * Resume while it is paused.
+     */
+    updateStepButtons: function() {
+        document.getElementById('step-pause-btn')?.classList.toggle('hidden', this.isQueuePaused);
+        ['step-back-btn', 'step-btn', 'resume-btn'].forEach(id => {
+            document.getElementById(id)?.classList.toggle('hidden', !this.isQueuePaused);
+        });
+        const stepBackBtn = document.getElementById('step-back-btn');
+        if (stepBackBtn) stepBackBtn.disabled = this.history.length === 0;
+        document.getElementById('explain-btn')?.classList.toggle('active', this.explainMode);
+    },
 
     /**
      * Resets the simulation and all animations.
@@ -140,21 +561,53 @@ const AnimationManager = {
             clearTimeout(this.simulationTimeoutId);
             this.simulationTimeoutId = null;
         }
-        this.simulationQueue = [];
+        // --- NEW: Stop the clock and rewind time ---
+        if (this.runIntervalId) {
+            clearInterval(this.runIntervalId);
+            this.runIntervalId = null;
+        }
+        this.isRunning = false;
+        if (typeof WorkerManager !== 'undefined') WorkerManager.terminate(); // --- NEW: And any background run
+        this.compiledNetlist = null; // --- NEW
+        this.simulationTime = 0;
+        this.runUntil = 0;
+        this.updateRunButtons();
+        // --- NEW: Forget any stepping session ---
+        this.isQueuePaused = false;
+        this.resumeClockOnResume = false;
+        this.instantOnResume = false;
+        this.history = [];
+        this.updateStepButtons();
+
+        this.simulationQueue.clear();
         this.activeAnimations = [];
+        if (typeof WaveformManager !== 'undefined') WaveformManager.reset(); // --- NEW ---
+        if (typeof BreakpointManager !== 'undefined') BreakpointManager.reset(); // --- NEW ---
         this.clearLog(); // Adds the "Ready" message
     },
 
     /**
      * The core animation loop. Processes one event from the queue.
      * --- THIS IS THE NEW EVENT-DRIVEN ENGINE ---
+     * --- MODIFIED: Only used in explain mode; see processAllNow() ---
      */
     processQueue: function() {
         // --- 1. Check stop conditions ---
         // --- MODIFIED: Removed all `isStepping` checks ---
-        if (this.simulationQueue.length === 0) {
-             // --- More human text ---
-            this.logStep("Looks like that's everything! Simulation finished.");
+        // --- NEW: A paused queue only moves through stepForward() ---
+        if (this.isQueuePaused) {
+            this.simulationTimeoutId = null;
+            return;
+        }
+        if (!this.hasDueEvent()) {
+            if (this.isRunning) this.simulationTime = this.runUntil;
+            // --- NEW: While running, later events just wait for the clock to catch up ---
+            if (this.simulationQueue.length === 0) {
+                // --- More human text ---
+                this.logStep(this.isRunning
+                    ? `Settled at t = ${this.simulationTime}ms.`
+                    : "Looks like that's everything! Simulation finished.");
+            }
             this.simulationTimeoutId = null; // --- NEW: Mark as finished
             return;
         }
@@ -162,116 +615,19 @@ const AnimationManager = {
         // --- 2. Safety check for infinite loops ---
         this.simulationStepCounter++;
         if (this.simulationStepCounter > this.MAX_SIMULATION_STEPS) {
-            this.logError(`Simulation limit reached (${this.MAX_SIMULATION_STEPS} steps). This might be an infinite loop (like a clock!). Stopping simulation.`);
+            this.logError(`Simulation limit reached (${this.MAX_SIMULATION_STEPS} steps). This might be an infinite loop. Stopping simulation.`);
+            if (typeof LoopDetector !== 'undefined') LoopDetector.onSimulationStuck(this.simulationQueue); // --- NEW: Show the loop
+            this.simulationQueue.clear(); // --- NEW: Drop the runaway wave, the clock may start a new one
             this.simulationTimeoutId = null; // --- NEW: Mark as finished
             return;
         }
 
         // --- 3. Process the next event ---
-        const event = this.simulationQueue.shift();
-
         try { 
-            switch (event.type) {
-                
-                // --- An InputToggle was changed ---
-                case 'UPDATE_INPUT': {
-                    const component = event.component;
-                    
-                    // --- *** BUG FIX *** ---
-                    // component.calculate(); // REMOVED! State is already set by toggle().
-                    // --- *** ---
-                    
-                    this.logStep(`Input \`${component.label || component.id}\` value is now \`${component.state}\``);
-                    
-                    // Add new events for all connected wires
-                    const outputNode = component.outputNodes[0];
-                    for (const wire of outputNode.connections) {
-                        this.simulationQueue.push({
-                            type: 'PROPAGATE',
-                            wire: wire,
-                            newState: outputNode.state // Propagate the state set by toggle()
-                        });
-                    }
-                    break;
-                }
-                
-                // --- A Wire is propagating a signal ---
-                case 'PROPAGATE': {
-                    const wire = event.wire;
-                    const newState = event.newState;
-
-                    // Only proceed if the state is *actually* changing
-                    if (wire.state === newState && wire.endNode.state === newState) {
-                        break; // No change, stop propagation
-                    }
-                    
-                    const oldWireState = wire.state;
-                    wire.state = newState;
-                    wire.endNode.state = newState;
-                    
-                    if (oldWireState !== newState) {
-                        const fromLabel = wire.startNode.parentComponent.label || wire.startNode.parentComponent.id;
-                        const toLabel = wire.endNode.parentComponent.label || wire.endNode.parentComponent.id;
-                        this.log(`   Signal \`${newState}\` is heading from \`${fromLabel}\` towards \`${toLabel}\``);
-                        // --- Use a fixed duration for pulse since delay is 0 ---
-                        this.addAnimation('pulse', wire, 300); // 300ms pulse
-                    }
-                    
-                    // Add a new event for the component this wire connects to
-                    const nextComponent = wire.endNode.parentComponent;
-                    if (nextComponent && !(nextComponent instanceof InputToggle)) {
-                        this.simulationQueue.push({
-                            type: 'CALCULATE',
-                            component: nextComponent
-                        });
-                    }
-                    break;
-                }
-                
-                // --- A Gate or OutputLed is calculating its state ---
-                case 'CALCULATE': {
-                    const gate = event.component;
-                    const isOutputLed = gate instanceof OutputLed;
-                    const oldState = isOutputLed ? gate.state : (gate.outputNodes[0]?.state ?? 0);
-                    
-                    const newState = gate.calculate(); 
-                    
-                    // Only proceed if the output state *actually* changed
-                    // (But always update/log LEDs)
-                    if (oldState === newState && !isOutputLed) {
-                        break; // No change, stop propagation
-                    }
-
-                    const inputs = gate.inputNodes.map(n => n.state).join(', ');
-                    const gateLabel = gate.label || gate.id;
-
-                    if (isOutputLed) {
-                        gate.state = newState; // Update the LED's internal state
-                        this.logStep(`Output \`${gateLabel}\` turned ${newState === 1 ? 'ON' : 'OFF'} (Input was: \`${inputs}\`)`);
-                    } else {
-                        // It's a gate, update its output node
-                        gate.outputNodes[0].state = newState;
-                        this.log(`   Gate \`${gateLabel}\` figured out: inputs [\`${inputs}\`] result in \`${newState}\``, 'log-calc');
-                        this.logStep(`   ...so, \`${gateLabel}\`'s output changed: \`${oldState}\` -> \`${newState}\``);
-
-                        // Add new events for all connected output wires
-                        for (const wire of gate.outputNodes[0].connections) {
-                            this.simulationQueue.push({
-                                type: 'PROPAGATE',
-                                wire: wire,
-                                newState: newState
-                            });
-                        }
-                    }
-                    break;
-                }
-
-                default:
-                    console.warn("Unknown event type in queue:", event);
-                    this.logError(`Hmm, I encountered an unknown step type: ${event.type}`);
-            }
+            this.recordHistory(); // --- NEW: So a later pause can step back through it
+            SimulationEngine.processNextEvent();
         } catch (execError) {
-             console.error("Error executing simulation event:", execError, event);
+             console.error("Error executing simulation event:", execError);
              this.logError(`Oops! Something went wrong during simulation: ${execError.message}`);
              this.simulationTimeoutId = null; // --- NEW: Mark as finished
              return;
@@ -282,10 +638,121 @@ const AnimationManager = {
         this.simulationTimeoutId = setTimeout(() => {
             this.processQueue();
         }, this.SIMULATION_DELAY);
+    },
+
+    /**
+     * --- NEW ---
+     * Instant evaluation: processes every due event synchronously,
+     * with no narration and no setTimeout between events.
+     */
+    processAllNow: function() {
+        const limit = SimulationEngine.stepLimit(); // --- MODIFIED: Grows with the circuit
+        let steps = 0;
+        try {
+            while (this.hasDueEvent() && !this.isQueuePaused) { // --- MODIFIED: A breakpoint can pause it
+                if (++steps > limit) {
+                    this.logError(`Simulation limit reached (${limit} steps). This might be an infinite loop. Stopping simulation.`);
+                    if (typeof LoopDetector !== 'undefined') LoopDetector.onSimulationStuck(this.simulationQueue); // --- NEW: Show the loop
+                    this.simulationQueue.clear();
+                    break;
+                }
+                SimulationEngine.processNextEvent();
+            }
+        } catch (execError) {
+            console.error("Error executing simulation event:", execError);
+            this.logError(`Oops! Something went wrong during simulation: ${execError.message}`);
+            this.simulationQueue.clear();
+        }
+        if (this.isRunning) this.simulationTime = Math.max(this.simulationTime, this.runUntil);
+    },
+
+    // --- Detached Evaluation (for analysis tools) ---
+
+    /**
+     * --- NEW ---
+     * Runs analysis code (truth tables and the like) against the circuit on
+     * the canvas without disturbing it. States, the queue and the time are
+     * put back afterwards; the log, timing diagram and breakpoints ignore
+     * everything in between.
+     * --- MODIFIED: The circuit is compiled once for the whole callback ---
+     * @param {Function} callback - Uses evaluateWith() to try input values.
+     * @returns {*} Whatever the callback returns.
+     */
+    runDetached: function(callback) {
+        if (this.isDetached) return callback();
+
+        const saved = {
+            circuit: Simulator.captureState(),
+            queue: this.simulationQueue,
+            time: this.simulationTime
+        };
+        this.isDetached = true;
+        this.simulationQueue = new EventQueue();
+        try {
+            return SimulationEngine.withNetlist(callback);
+        } finally {
+            Simulator.restoreState(saved.circuit);
+            this.simulationQueue = saved.queue;
+            this.simulationTime = saved.time;
+            this.isDetached = false;
+        }
+    },
+
+    /**
+     * --- NEW ---
+     * Sets the given inputs, then evaluates every component and lets the
+     * circuit settle, synchronously. Only valid inside runDetached().
+     * --- MODIFIED: See SimulationEngine.evaluateWith ---
+     * @param {Map<InputToggle|Clock, number>} values - Sources not listed keep their state.
+     * @returns {boolean} False if the circuit never settled (e.g. it oscillates).
+     */
+    evaluateWith: function(values) {
+        return SimulationEngine.evaluateWith(values);
+    },
+
+    /**
+     * --- NEW ---
+     * Changes one input and lets the change ripple through with the real
+     * gate delays. Only valid inside runDetached().
+     * --- MODIFIED: See SimulationEngine.applyInputChange ---
+     * @param {InputToggle} input
+     * @param {number} value
+     * @param {Function} onEvent - Called with the simulated time after each event.
+     * @returns {boolean} False if the circuit never settled.
+     */
+    applyInputChange: function(input, value, onEvent) {
+        return SimulationEngine.applyInputChange(input, value, onEvent);
+    },
+
+    /**
+     * --- NEW ---
+     * True if the next event may be processed now. While running, events
+     * after the current tick wait for the clock.
+     * @returns {boolean}
+     */
+    hasDueEvent: function() {
+        if (this.simulationQueue.length === 0) return false;
+        return !this.isRunning || this.simulationQueue.peek().time <= this.runUntil;
+    },
+
+    /**
+     * --- NEW ---
+     * Keeps the queue moving in whichever mode is active.
+     */
+    continueQueue: function() {
+        if (this.explainMode) {
+            if (!this.simulationTimeoutId) this.processQueue();
+        } else {
+            this.processAllNow();
+        }
     }
 };
 
 // --- *** BUG FIX *** ---
 // The line below was causing a crash because it ran before the HTML was loaded.
 // Main.init() now correctly calls this function at the right time.
-// AnimationManager.init(); // <-- REMOVED THIS LINE
\ No newline at end of file
+// AnimationManager.init(); // <-- REMOVED THIS LINE
+
+// --- NEW: Listen in on the engine for narration, pulses, the timing diagram
+// and breakpoints. Safe at load time, nothing here touches the page. ---
+SimulationEngine.observer = AnimationManager;
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+// --- Simulation Benchmark ---
+// Generates big circuits and times how long the headless core takes to
+// settle them. Two kinds of circuit are generated, as getCircuitData()
+// JSON, so they can also be opened in the editor (see --out):
+//
+//   adder   A ripple-carry adder, 5 gates per bit. Long and thin: toggling
+//           the carry-in ripples through every bit.
+//   random  Random gates in 32 layers, each fed from the few layers just
+//           before it. Wide and bushy, about as deep as real logic.
+//
+//   node benchmark.js                          1k, 10k and 100k gates of each
+//   node benchmark.js --sizes 5000 --circuits adder --out bench/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createCore } = require('./headless.js');
+
+const USAGE = `Usage: node benchmark.js [options]
+
+Options:
+  --sizes N[,N...]        Gate counts to try (default 1000,10000,100000).
+  --circuits NAME[,NAME]  adder and/or random (default both).
+  --out DIR               Also save each generated circuit as DIR/<name>-<gates>.json.
+  --json                  Print the timings as JSON.
+  -h, --help              Show this help.
+
+Times are in ms:
+  build    Creating the components and wires from the JSON
+  compile  Building the compiled netlist (once per circuit)
+  settle   Evaluating every component from scratch until nothing changes
+  toggle   Flipping one input and settling only what it reaches
+  events   The same full settle on the event-by-event engine the editor
+           uses for explain mode, for comparison`;
+
+const DEFAULT_SIZES = [1000, 10000, 100000];
+const GATE_TYPES = ['AND', 'OR', 'XOR', 'NAND', 'NOR', 'XNOR'];
+
+// --- Circuit Generators ---
+
+/**
+ * A small seeded random number generator, so every run builds the same circuits.
+ * @param {number} seed
+ * @returns {Function} Returns a number in [0, 1).
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+/**
+ * Collects components and wires in the getCircuitData() format.
+ */
+class CircuitBuilder {
+    constructor() {
+        this.components = [];
+        this.wires = [];
+    }
+
+    /**
+     * @returns {number} The new component's index.
+     */
+    add(type, x, y, options = {}) {
+        this.components.push({
+            type: type,
+            x: x,
+            y: y,
+            customLabel: options.label || '',
+            inputCount: options.inputCount || (type === 'INPUT' ? 0 : type === 'NOT' || type === 'OUTPUT' ? 1 : 2),
+            state: type === 'INPUT' ? (options.state || 0) : undefined,
+            delay: type === 'INPUT' || type === 'OUTPUT' ? 0 : 1,
+            delayModel: 'inertial'
+        });
+        return this.components.length - 1;
+    }
+
+    connect(from, to, toNodeIndex = 0) {
+        this.wires.push({ fromComponentIndex: from, fromNodeIndex: 0, toComponentIndex: to, toNodeIndex: toNodeIndex });
+    }
+
+    toData() {
+        return { components: this.components, wires: this.wires };
+    }
+}
+
+/**
+ * A ripple-carry adder. A is all ones and B all zeros, so flipping Cin
+ * changes every sum bit and the carry runs the whole length.
+ * @param {number} gates - Roughly how many gates; 5 per bit.
+ * @returns {object} - { data, toggle } where toggle is the label of the input to flip.
+ */
+function generateAdder(gates) {
+    const bits = Math.max(1, Math.round(gates / 5));
+    const circuit = new CircuitBuilder();
+    let carry = circuit.add('INPUT', 0, 0, { label: 'Cin' });
+
+    for (let bit = 0; bit < bits; bit++) {
+        const y = 100 + bit * 200;
+        const a = circuit.add('INPUT', 0, y, { label: `A${bit}`, state: 1 });
+        const b = circuit.add('INPUT', 0, y + 80, { label: `B${bit}` });
+        const half = circuit.add('XOR', 200, y);
+        const sum = circuit.add('XOR', 400, y);
+        const generate = circuit.add('AND', 200, y + 100);
+        const propagate = circuit.add('AND', 400, y + 100);
+        const carryOut = circuit.add('OR', 600, y + 100);
+        const output = circuit.add('OUTPUT', 800, y, { label: `S${bit}` });
+
+        circuit.connect(a, half, 0);
+        circuit.connect(b, half, 1);
+        circuit.connect(half, sum, 0);
+        circuit.connect(carry, sum, 1);
+        circuit.connect(a, generate, 0);
+        circuit.connect(b, generate, 1);
+        circuit.connect(half, propagate, 0);
+        circuit.connect(carry, propagate, 1);
+        circuit.connect(generate, carryOut, 0);
+        circuit.connect(propagate, carryOut, 1);
+        circuit.connect(sum, output);
+        carry = carryOut;
+    }
+
+    const cout = circuit.add('OUTPUT', 800, 100 + bits * 200, { label: 'Cout' });
+    circuit.connect(carry, cout);
+    return { data: circuit.toData(), toggle: 'Cin' };
+}
+
+/**
+ * Layers of random gates; every gate reads from the previous few layers,
+ * so changes fan out widely. Paths of different lengths meet, so there
+ * are glitches to filter too.
+ * @param {number} gates
+ * @param {object} [options]
+ * @param {number} [options.depth] - How many layers (default 32).
+ * @param {number} [options.seed]
+ * @returns {object} - { data, toggle }
+ */
+function generateRandom(gates, { depth = 32, seed = 1 } = {}) {
+    const random = createRandom(seed);
+    const circuit = new CircuitBuilder();
+    const layers = Math.min(depth, gates);
+    const width = Math.ceil(gates / layers);
+    const reach = 3; // How many layers back a gate may read from
+
+    // Layer 0 is the inputs
+    const inputs = [];
+    for (let i = 0; i < Math.min(width, 64); i++) {
+        inputs.push(circuit.add('INPUT', 0, i * 100, { label: `In${i}`, state: random() < 0.5 ? 1 : 0 }));
+    }
+    const levels = [inputs];
+    for (let layer = 1, placed = 0; placed < gates; layer++) {
+        const gatesHere = [];
+        for (let i = 0; i < width && placed < gates; i++, placed++) {
+            const type = random() < 0.1 ? 'NOT' : GATE_TYPES[Math.floor(random() * GATE_TYPES.length)];
+            const gate = circuit.add(type, layer * 200, i * 100);
+            for (let pin = 0; pin < (type === 'NOT' ? 1 : 2); pin++) {
+                // The first input always comes from the layer just before
+                const back = pin === 0 ? 1 : 1 + Math.floor(random() * Math.min(reach, layer));
+                const from = levels[layer - back];
+                circuit.connect(from[Math.floor(random() * from.length)], gate, pin);
+            }
+            gatesHere.push(gate);
+        }
+        levels.push(gatesHere);
+    }
+
+    const last = levels[levels.length - 1];
+    last.forEach((gate, i) => {
+        const output = circuit.add('OUTPUT', levels.length * 200, i * 100, { label: `Out${i}` });
+        circuit.connect(gate, output);
+    });
+    return { data: circuit.toData(), toggle: 'In0' };
+}
+
+const GENERATORS = { adder: generateAdder, random: generateRandom };
+
+// --- Timing ---
+
+function timeIt(callback) {
+    const start = process.hrtime.bigint();
+    const result = callback();
+    return { ms: Number(process.hrtime.bigint() - start) / 1e6, result: result };
+}
+
+/**
+ * Loads one generated circuit into a fresh core and times each stage.
+ * @param {string} name - A key of GENERATORS.
+ * @param {number} gates
+ * @returns {object} - { circuit, gates, components, build, compile, settle, toggle, events, settled }
+ */
+function benchmarkCircuit(name, gates, outDir = null) {
+    const { data, toggle } = GENERATORS[name](gates);
+    if (outDir) {
+        fs.mkdirSync(outDir, { recursive: true });
+        fs.writeFileSync(path.join(outDir, `${name}-${gates}.json`), JSON.stringify(data));
+    }
+
+    const core = createCore();
+    const { Simulator, SimulationEngine, CompiledNetlist } = core;
+
+    const build = timeIt(() => Simulator.loadCircuitData(data));
+    const unsettled = Simulator.captureState();
+    const compile = timeIt(() => CompiledNetlist.compile(Simulator.allComponents, Simulator.allWires));
+    SimulationEngine.netlist = compile.result;
+    const settle = timeIt(() => SimulationEngine.evaluateWith(new Map()));
+
+    const input = Simulator.getIOColumns().inputs.find(column => column.name === toggle).component;
+    const flip = timeIt(() => SimulationEngine.applyInputs(new Map([[input, input.state === 1 ? 0 : 1]])));
+
+    // The event-by-event engine, from the same starting point
+    Simulator.restoreState(unsettled);
+    SimulationEngine.time = 0;
+    const events = timeIt(() => {
+        Simulator.syncWires();
+        SimulationEngine.queue.clear();
+        Simulator.buildSimulationQueue(true).forEach(event => SimulationEngine.scheduleEvent(event, SimulationEngine.time));
+        return SimulationEngine.runToCompletion();
+    });
+
+    return {
+        circuit: name,
+        gates: gates,
+        components: Simulator.allComponents.length,
+        build: build.ms,
+        compile: compile.ms,
+        settle: settle.ms,
+        toggle: flip.ms,
+        events: events.ms,
+        settled: settle.result && flip.result && events.result
+    };
+}
+
+// --- Command Line ---
+
+function parseArgs(args) {
+    const options = { sizes: DEFAULT_SIZES, circuits: Object.keys(GENERATORS), out: null, json: false, help: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '-h' || arg === '--help') options.help = true;
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--out') options.out = args[++i];
+        else if (arg === '--sizes') {
+            options.sizes = String(args[++i]).split(',').map(Number);
+            if (options.sizes.some(size => !Number.isInteger(size) || size < 1)) throw new Error("--sizes needs whole numbers, e.g. 1000,10000.");
+        } else if (arg === '--circuits') {
+            options.circuits = String(args[++i]).split(',');
+            const unknown = options.circuits.find(name => !GENERATORS[name]);
+            if (unknown) throw new Error(`Unknown circuit "${unknown}"; use ${Object.keys(GENERATORS).join(' or ')}.`);
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    if (options.out === undefined) throw new Error("--out needs a folder.");
+    return options;
+}
+
+function formatResults(results) {
+    const columns = ['circuit', 'gates', 'components', 'build', 'compile', 'settle', 'toggle', 'events'];
+    const cell = (result, column) => typeof result[column] === 'number' && !Number.isInteger(result[column])
+        ? result[column].toFixed(1)
+        : String(result[column]);
+    const widths = columns.map(column => Math.max(column.length, ...results.map(result => cell(result, column).length)));
+    const line = cells => cells.map((text, i) => i === 0 ? text.padEnd(widths[i]) : text.padStart(widths[i])).join('  ');
+    return [
+        line(columns),
+        ...results.map(result => line(columns.map(column => cell(result, column))) + (result.settled ? '' : '  (did not settle)'))
+    ].join('\n');
+}
+
+function main(args) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const results = [];
+    for (const name of options.circuits) {
+        for (const gates of options.sizes) {
+            results.push(benchmarkCircuit(name, gates, options.out));
+            if (!options.json) console.error(`${name} ${gates}: done`);
+        }
+    }
+    console.log(options.json ? JSON.stringify(results, null, 2) : formatResults(results));
+    return results.every(result => result.settled) ? 0 : 1;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { generateAdder, generateRandom, benchmarkCircuit, main };
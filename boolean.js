@@ -0,0 +1,420 @@
+// --- Boolean Algebra Helpers ---
+// Pure functions (no canvas, no engine): sum-of-products formatting and
+// Quine–McCluskey minimization.
+// Minterm numbering: variable 0 is the most significant bit, so with
+// variables [A, B, C] minterm 6 is A B C' (binary 110).
+
+const BooleanAlgebra = {
+    MAX_PETRICK_PRODUCTS: 256, // Above this, the cover falls back to a greedy pick
+
+    /**
+     * Minimizes a function with Quine–McCluskey.
+     * @param {number} numVars
+     * @param {number[]} minterms - Rows where the function is 1.
+     * @param {number[]} [dontCares] - Rows where it may be either.
+     * @returns {{primeImplicants: Array<object>, cover: Array<object>}}
+     *   Implicants are { value, mask, minterms, essential }: bits set in
+     *   `mask` are eliminated, the rest must match `value`.
+     */
+    minimize: function(numVars, minterms, dontCares = []) {
+        const ones = [...new Set(minterms)].sort((a, b) => a - b);
+        if (ones.length === 0) return { primeImplicants: [], cover: [] };
+
+        const primeImplicants = this.findPrimeImplicants([...new Set([...ones, ...dontCares])]);
+        // Only the real 1s have to be covered
+        const isOne = new Set(ones);
+        primeImplicants.forEach(implicant => {
+            implicant.minterms = implicant.minterms.filter(m => isOne.has(m));
+        });
+        const useful = primeImplicants.filter(implicant => implicant.minterms.length > 0);
+
+        const cover = this.selectCover(useful, ones);
+        return { primeImplicants: useful, cover: cover };
+    },
+
+    /**
+     * Repeatedly merges implicants that differ in one bit. Anything that
+     * can't be merged any further is prime.
+     * @param {number[]} terms - Minterms and don't-cares.
+     * @returns {Array<object>}
+     */
+    findPrimeImplicants: function(terms) {
+        let current = new Map(terms.map(m => [`${m}/0`, { value: m, mask: 0, minterms: [m] }]));
+        const highestBit = Math.max(0, ...terms.map(m => Math.floor(Math.log2(m || 1)))) + 1;
+        const primes = [];
+
+        while (current.size > 0) {
+            const merged = new Map(); // "value/mask" -> implicant, drops duplicates
+            const used = new Set();
+
+            for (const implicant of current.values()) {
+                // Its partner has the same mask and one more bit set
+                for (let bit = 0; bit < highestBit; bit++) {
+                    const flag = 1 << bit;
+                    if ((implicant.mask & flag) || (implicant.value & flag)) continue;
+                    const partner = current.get(`${implicant.value | flag}/${implicant.mask}`);
+                    if (!partner) continue;
+
+                    used.add(implicant);
+                    used.add(partner);
+                    const key = `${implicant.value}/${implicant.mask | flag}`;
+                    if (!merged.has(key)) {
+                        merged.set(key, {
+                            value: implicant.value,
+                            mask: implicant.mask | flag,
+                            minterms: [...implicant.minterms, ...partner.minterms].sort((x, y) => x - y)
+                        });
+                    }
+                }
+            }
+
+            for (const implicant of current.values()) {
+                if (!used.has(implicant)) primes.push(implicant);
+            }
+            current = merged;
+        }
+        return primes;
+    },
+
+    /**
+     * Picks prime implicants that cover every minterm: essential ones
+     * first, then Petrick's method for the rest (greedy if that blows up).
+     * Marks the essential implicants.
+     * @param {Array<object>} primeImplicants
+     * @param {number[]} minterms
+     * @returns {Array<object>}
+     */
+    selectCover: function(primeImplicants, minterms) {
+        const cover = [];
+        let remaining = new Set(minterms);
+        const coveredBy = new Map(minterms.map(m => [m, []]));
+        primeImplicants.forEach(implicant => implicant.minterms.forEach(m => coveredBy.get(m).push(implicant)));
+
+        for (const minterm of minterms) {
+            const covering = coveredBy.get(minterm);
+            if (covering.length === 1 && !covering[0].essential) {
+                covering[0].essential = true;
+                cover.push(covering[0]);
+            }
+        }
+        cover.forEach(implicant => implicant.minterms.forEach(m => remaining.delete(m)));
+        if (remaining.size === 0) return cover;
+
+        const candidates = primeImplicants.filter(implicant => !implicant.essential);
+        const petrick = this.petrick(candidates, [...remaining]);
+        if (petrick) return [...cover, ...petrick];
+
+        // Greedy: take whichever implicant covers the most, until done
+        while (remaining.size > 0) {
+            let best = null, bestCount = 0;
+            for (const implicant of candidates) {
+                const count = implicant.minterms.filter(m => remaining.has(m)).length;
+                if (count > bestCount || (count === bestCount && best && this.literalCount(implicant) < this.literalCount(best))) {
+                    best = implicant;
+                    bestCount = count;
+                }
+            }
+            cover.push(best);
+            best.minterms.forEach(m => remaining.delete(m));
+        }
+        return cover;
+    },
+
+    /**
+     * Petrick's method: multiplies out "(P1 + P2)(P2 + P3)..." and keeps
+     * the cheapest product.
+     * @returns {Array<object>|null} - null if there were too many products.
+     */
+    petrick: function(candidates, minterms) {
+        let products = [new Set()]; // Each product is a set of candidate indexes
+
+        for (const minterm of minterms) {
+            const options = [];
+            candidates.forEach((implicant, i) => {
+                if (implicant.minterms.includes(minterm)) options.push(i);
+            });
+
+            const next = [];
+            for (const product of products) {
+                if (options.some(i => product.has(i))) {
+                    next.push(product); // Already covered (X + XY = X)
+                    continue;
+                }
+                for (const option of options) {
+                    next.push(new Set([...product, option]));
+                }
+            }
+            // Absorption: drop products that contain a smaller one
+            products = next.filter((product, i) => !next.some((other, j) =>
+                j !== i && other.size <= product.size && [...other].every(x => product.has(x)) &&
+                (other.size < product.size || j < i)));
+            if (products.length > this.MAX_PETRICK_PRODUCTS) return null;
+        }
+
+        const cost = product => [...product].reduce((sum, i) => sum + this.literalCount(candidates[i]), product.size * 100);
+        products.sort((a, b) => cost(a) - cost(b));
+        return [...products[0]].map(i => candidates[i]);
+    },
+
+    /**
+     * @param {object} implicant
+     * @param {number} [numVars=32]
+     * @returns {number} How many variables the product term mentions.
+     */
+    literalCount: function(implicant, numVars = 32) {
+        let count = 0;
+        for (let bit = 0; bit < numVars; bit++) {
+            if (!(implicant.mask & (1 << bit))) count++;
+        }
+        return count;
+    },
+
+    // --- Formatting ---
+
+    /**
+     * @param {object} implicant - { value, mask }
+     * @param {string[]} names - Variable names, most significant first.
+     * @returns {string} e.g. "A'C" (or "1" if every variable was eliminated).
+     */
+    termToString: function(implicant, names) {
+        const literals = [];
+        names.forEach((name, i) => {
+            const bit = 1 << (names.length - 1 - i);
+            if (implicant.mask & bit) return;
+            literals.push((implicant.value & bit) ? name : `${name}'`);
+        });
+        if (literals.length === 0) return '1';
+        // Multi-letter names are separated so "AB" can't be misread
+        return literals.join(names.some(name => name.length > 1) ? '·' : '');
+    },
+
+    /**
+     * @param {Array<object>} implicants
+     * @param {string[]} names
+     * @returns {string} e.g. "A'B + AC", or "0" for an empty sum.
+     */
+    sumToString: function(implicants, names) {
+        if (implicants.length === 0) return '0';
+        return implicants.map(implicant => this.termToString(implicant, names)).join(' + ');
+    },
+
+    /**
+     * Turns a minimized cover of F' into F as a product of sums
+     * (De Morgan: each product term of F' becomes a negated sum).
+     * @param {Array<object>} complementCover - A cover of the function's 0s.
+     * @param {string[]} names
+     * @returns {string} e.g. "(A + B')(C)", or "1" for an empty product.
+     */
+    productOfSumsToString: function(complementCover, names) {
+        if (complementCover.length === 0) return '1';
+        return complementCover.map(implicant => {
+            const literals = [];
+            names.forEach((name, i) => {
+                const bit = 1 << (names.length - 1 - i);
+                if (implicant.mask & bit) return;
+                literals.push((implicant.value & bit) ? `${name}'` : name);
+            });
+            return literals.length === 0 ? '0' : `(${literals.join(' + ')})`;
+        }).join('');
+    },
+
+    /**
+     * @param {number[]} minterms
+     * @param {string[]} names
+     * @returns {string} The canonical SOP, one full product per minterm.
+     */
+    canonicalSOP: function(minterms, names) {
+        return this.sumToString(minterms.map(m => ({ value: m, mask: 0 })), names);
+    },
+
+    /**
+     * @param {number[]} minterms
+     * @param {number[]} [dontCares]
+     * @returns {string} e.g. "Σm(1, 2, 5) + d(7)"
+     */
+    mintermList: function(minterms, dontCares = []) {
+        let text = `Σm(${minterms.join(', ')})`;
+        if (dontCares.length > 0) text += ` + d(${dontCares.join(', ')})`;
+        return text;
+    },
+
+    // --- Parsing ---
+    // Grammar (loosest first):
+    //   or    := xor ( ('+' | '|') xor )*
+    //   xor   := and ( ('^' | '⊕') and )*
+    //   and   := unary ( ['*' | '·' | '&' | '.'] unary )*   (juxtaposition is AND: A'B)
+    //   unary := ('!' | '~' | '¬') unary | primary "'"*
+    //   primary := VARIABLE | '0' | '1' | '(' or ')'
+    // Variables are one letter, optionally numbered (A, b, X1), so "AB" is A AND B.
+
+    /**
+     * Parses one or more equations, one per line (or separated by ';').
+     * @param {string} text - e.g. "Y = A'B + AC"
+     * @returns {Array<{name: string, ast: object}>}
+     * @throws {Error} On a syntax error, naming the position.
+     */
+    parseEquations: function(text) {
+        const lines = text.split(/[\n;]/).map(line => line.trim()).filter(line => line.length > 0);
+        if (lines.length === 0) throw new Error("Type an expression, e.g. Y = A'B + AC");
+
+        return lines.map((line, i) => {
+            const match = line.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*=(.*)$/);
+            const name = match ? match[1] : (lines.length > 1 ? `Y${i + 1}` : 'Y');
+            try {
+                return { name: name, ast: this.parseExpression(match ? match[2] : line) };
+            } catch (error) {
+                throw new Error(`${name}: ${error.message}`);
+            }
+        });
+    },
+
+    /**
+     * @param {string} text - An expression without "Y =".
+     * @returns {object} - AST: { type: 'var'|'const'|'not'|'and'|'or'|'xor', name, value, operands }
+     */
+    parseExpression: function(text) {
+        const tokens = this.tokenize(text);
+        let position = 0;
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+        const fail = (message) => {
+            const token = peek();
+            throw new Error(token ? `${message} at "${token.text}" (column ${token.column + 1})` : `${message} at the end`);
+        };
+        const startsUnary = (token) => token && (token.type === 'var' || token.type === 'const' || token.text === '(' || '!~¬'.includes(token.text));
+
+        const parseOr = () => {
+            const operands = [parseXor()];
+            while (peek() && '+|'.includes(peek().text)) {
+                next();
+                operands.push(parseXor());
+            }
+            return operands.length === 1 ? operands[0] : { type: 'or', operands: operands };
+        };
+        const parseXor = () => {
+            const operands = [parseAnd()];
+            while (peek() && '^⊕'.includes(peek().text)) {
+                next();
+                operands.push(parseAnd());
+            }
+            return operands.length === 1 ? operands[0] : { type: 'xor', operands: operands };
+        };
+        const parseAnd = () => {
+            const operands = [parseUnary()];
+            while (peek()) {
+                if ('*·&.'.includes(peek().text)) {
+                    next();
+                } else if (!startsUnary(peek())) {
+                    break;
+                }
+                operands.push(parseUnary());
+            }
+            return operands.length === 1 ? operands[0] : { type: 'and', operands: operands };
+        };
+        const parseUnary = () => {
+            if (peek() && '!~¬'.includes(peek().text)) {
+                next();
+                return { type: 'not', operands: [parseUnary()] };
+            }
+            let node = parsePrimary();
+            while (peek() && peek().text === "'") {
+                next();
+                node = { type: 'not', operands: [node] };
+            }
+            return node;
+        };
+        const parsePrimary = () => {
+            const token = peek();
+            if (!token) fail("Expected a variable, 0, 1 or '('");
+            if (token.type === 'var') {
+                next();
+                return { type: 'var', name: token.text };
+            }
+            if (token.type === 'const') {
+                next();
+                return { type: 'const', value: Number(token.text) };
+            }
+            if (token.text === '(') {
+                next();
+                const inner = parseOr();
+                if (!peek() || peek().text !== ')') fail("Expected ')'");
+                next();
+                return inner;
+            }
+            return fail("Expected a variable, 0, 1 or '('");
+        };
+
+        if (tokens.length === 0) throw new Error("The expression is empty");
+        const ast = parseOr();
+        if (position < tokens.length) fail("Unexpected");
+        return ast;
+    },
+
+    /**
+     * @param {string} text
+     * @returns {Array<{type: string, text: string, column: number}>}
+     */
+    tokenize: function(text) {
+        const tokens = [];
+        const pattern = /\s+|([A-Za-z][0-9]*)|([01])|([+|^⊕*·&.!~¬'’()])/g;
+        let match;
+        let expected = 0;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match.index !== expected) break;
+            expected = pattern.lastIndex;
+            if (match[1]) tokens.push({ type: 'var', text: match[1], column: match.index });
+            else if (match[2]) tokens.push({ type: 'const', text: match[2], column: match.index });
+            else if (match[3]) tokens.push({ type: 'op', text: match[3] === '’' ? "'" : match[3], column: match.index });
+        }
+        if (expected !== text.length) {
+            throw new Error(`Unexpected "${text[expected]}" (column ${expected + 1})`);
+        }
+        return tokens;
+    },
+
+    /**
+     * @param {object} ast
+     * @returns {string[]} The variables it uses, in natural order (A, B, ..., X2, X10).
+     */
+    getVariables: function(ast) {
+        const names = new Set();
+        const walk = (node) => {
+            if (node.type === 'var') names.add(node.name);
+            (node.operands || []).forEach(walk);
+        };
+        walk(ast);
+        return [...names].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    },
+
+    /**
+     * @param {object} ast
+     * @param {Object<string, number>} values - Variable name -> 0/1.
+     * @returns {number} 0 or 1
+     */
+    evaluate: function(ast, values) {
+        switch (ast.type) {
+            case 'var': return values[ast.name] ? 1 : 0;
+            case 'const': return ast.value;
+            case 'not': return this.evaluate(ast.operands[0], values) ? 0 : 1;
+            case 'and': return ast.operands.every(operand => this.evaluate(operand, values)) ? 1 : 0;
+            case 'or': return ast.operands.some(operand => this.evaluate(operand, values)) ? 1 : 0;
+            case 'xor': return ast.operands.reduce((sum, operand) => sum ^ this.evaluate(operand, values), 0);
+            default: throw new Error(`Unknown expression node: ${ast.type}`);
+        }
+    },
+
+    /**
+     * @param {object} ast
+     * @param {string[]} variables - Most significant first.
+     * @returns {number[]} The minterms where the expression is 1.
+     */
+    getMinterms: function(ast, variables) {
+        const minterms = [];
+        for (let minterm = 0; minterm < Math.pow(2, variables.length); minterm++) {
+            const values = {};
+            variables.forEach((name, i) => values[name] = (minterm >> (variables.length - 1 - i)) & 1);
+            if (this.evaluate(ast, values)) minterms.push(minterm);
+        }
+        return minterms;
+    }
+};
@@ -0,0 +1,334 @@
+// --- Signal Breakpoints ---
+// Pauses the simulation when a watched signal meets a condition,
+// e.g. "Q3 rises" or "BUS == 0xA".
+// Checked by AnimationManager.onEventProcessed() after every CALCULATE
+// (and after the UPDATE_OUTPUT / UPDATE_INPUT events that change a node).
+
+const BreakpointManager = {
+    CONDITIONS: {
+        'rises': 'rises (goes high)',
+        'falls': 'falls (goes low)',
+        'changes': 'changes',
+        '==': 'equals',
+        '!=': 'differs from'
+    },
+
+    // --- State ---
+    breakpoints: [], // { id, node, component, name, condition, value, enabled, lastValue, hits }
+    nextId: 1,
+    hitComponent: null, // Highlighted on the canvas after a breakpoint fires
+    isVisible: false,
+
+    // --- UI Elements ---
+    wrapperElement: null,
+    signalSelect: null,
+    conditionSelect: null,
+    valueInput: null,
+    listElement: null,
+
+    /**
+     * Finds the panel elements and hooks up listeners.
+     */
+    init: function() {
+        this.wrapperElement = document.getElementById('breakpoint-wrapper');
+        this.signalSelect = document.getElementById('breakpoint-signal-select');
+        this.conditionSelect = document.getElementById('breakpoint-condition-select');
+        this.valueInput = document.getElementById('breakpoint-value-input');
+        this.listElement = document.getElementById('breakpoint-list');
+        if (!this.wrapperElement) return;
+
+        if (this.conditionSelect) {
+            this.conditionSelect.innerHTML = '';
+            for (const [condition, text] of Object.entries(this.CONDITIONS)) {
+                const option = document.createElement('option');
+                option.value = condition;
+                option.textContent = text;
+                this.conditionSelect.appendChild(option);
+            }
+            this.conditionSelect.addEventListener('change', () => this.updateValueInput());
+            this.updateValueInput();
+        }
+
+        document.getElementById('breakpoint-btn')?.addEventListener('click', () => this.toggle());
+        document.getElementById('breakpoint-close-btn')?.addEventListener('click', () => this.toggle(false));
+        this.signalSelect?.addEventListener('focus', () => this.refreshSignalList());
+        document.getElementById('breakpoint-add-btn')?.addEventListener('click', () => {
+            const added = this.addBreakpoint(this.signalSelect.value, this.conditionSelect.value, this.valueInput.value);
+            if (added) this.valueInput.value = '';
+        });
+        this.valueInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') document.getElementById('breakpoint-add-btn')?.click();
+        });
+
+        this.listElement?.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-breakpoint-id]');
+            if (!row) return;
+            const breakpoint = this.breakpoints.find(b => b.id === Number(row.dataset.breakpointId));
+            if (!breakpoint) return;
+            if (e.target.closest('.breakpoint-remove')) {
+                this.removeBreakpoint(breakpoint);
+            } else if (e.target.matches('input[type="checkbox"]')) {
+                this.setEnabled(breakpoint, e.target.checked);
+            }
+        });
+        this.renderList();
+    },
+
+    /**
+     * Shows or hides the panel.
+     * @param {boolean} [visible] - Omit to toggle.
+     */
+    toggle: function(visible = !this.isVisible) {
+        this.isVisible = visible;
+        this.wrapperElement?.classList.toggle('hidden', !visible);
+        document.getElementById('breakpoint-btn')?.classList.toggle('active', visible);
+        if (visible) this.refreshSignalList();
+    },
+
+    /**
+     * Rebuilds the signal dropdown and forgets breakpoints whose
+     * component was deleted.
+     */
+    refreshSignalList: function() {
+        const before = this.breakpoints.length;
+        this.breakpoints = this.breakpoints.filter(b =>
+            Simulator.allComponents.includes(b.component) ||
+            Simulator.navigationStack.some(level => level.components.includes(b.component)));
+        if (this.breakpoints.length !== before) this.renderList();
+
+        if (!this.signalSelect) return;
+        const selected = this.signalSelect.value;
+        this.signalSelect.innerHTML = '';
+        const candidates = Simulator.getSignalCandidates();
+        if (candidates.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'No inputs, outputs or labelled parts';
+            this.signalSelect.appendChild(option);
+        }
+        for (const candidate of candidates) {
+            const option = document.createElement('option');
+            option.value = candidate.key;
+            option.textContent = candidate.name;
+            this.signalSelect.appendChild(option);
+        }
+        if (candidates.some(c => c.key === selected)) this.signalSelect.value = selected;
+    },
+
+    /**
+     * Only "equals" and "differs from" need a value.
+     */
+    updateValueInput: function() {
+        if (!this.valueInput || !this.conditionSelect) return;
+        const needsValue = this.conditionSelect.value === '==' || this.conditionSelect.value === '!=';
+        this.valueInput.disabled = !needsValue;
+        this.valueInput.placeholder = needsValue ? 'e.g. 1, 0xA, 0b1010, X' : '';
+    },
+
+    /**
+     * Parses a value typed by the user: decimal, 0x.. hex, 0b.. binary, X or Z.
+     * @param {string} text
+     * @returns {number|string|null} - null if it can't be parsed.
+     */
+    parseValue: function(text) {
+        const trimmed = String(text).trim().toUpperCase();
+        if (trimmed === Logic.X || trimmed === Logic.Z) return trimmed;
+        let value = NaN;
+        if (/^0X[0-9A-F]+$/.test(trimmed)) value = parseInt(trimmed.slice(2), 16);
+        else if (/^0B[01]+$/.test(trimmed)) value = parseInt(trimmed.slice(2), 2);
+        else if (/^\d+$/.test(trimmed)) value = parseInt(trimmed, 10);
+        return Number.isNaN(value) ? null : value;
+    },
+
+    /**
+     * Adds a breakpoint.
+     * @param {string} key - A node id from Simulator.getSignalCandidates().
+     * @param {string} condition - One of CONDITIONS.
+     * @param {string} valueText - The value for '==' / '!='.
+     * @returns {object|null} The new breakpoint, or null if it was invalid.
+     */
+    addBreakpoint: function(key, condition, valueText = '') {
+        const signal = Simulator.getSignalCandidates().find(c => c.key === key);
+        if (!signal) {
+            Main.updateStatus('Pick a signal for the breakpoint first.');
+            return null;
+        }
+        if (!this.CONDITIONS[condition]) {
+            Main.updateStatus(`Unknown breakpoint condition: ${condition}`);
+            return null;
+        }
+
+        let value = null;
+        if (condition === '==' || condition === '!=') {
+            value = this.parseValue(valueText);
+            if (value === null) {
+                Main.updateStatus(`"${valueText}" isn't a value. Use e.g. 1, 0xA, 0b1010, X or Z.`);
+                return null;
+            }
+            if (typeof value === 'number' && value >= Math.pow(2, signal.node.bitWidth)) {
+                Main.updateStatus(`${signal.name} is only ${signal.node.bitWidth} bit(s) wide.`);
+                return null;
+            }
+        }
+
+        const breakpoint = {
+            id: this.nextId++,
+            node: signal.node,
+            component: signal.component,
+            name: signal.name,
+            condition: condition,
+            value: value,
+            enabled: true,
+            lastValue: Simulator.readSignal(signal),
+            hits: 0
+        };
+        this.breakpoints.push(breakpoint);
+        this.renderList();
+        Main.updateStatus(`Breakpoint added: ${this.describe(breakpoint)}.`);
+        return breakpoint;
+    },
+
+    removeBreakpoint: function(breakpoint) {
+        this.breakpoints = this.breakpoints.filter(b => b !== breakpoint);
+        this.renderList();
+    },
+
+    setEnabled: function(breakpoint, enabled) {
+        breakpoint.enabled = enabled;
+        breakpoint.lastValue = Simulator.readSignal(breakpoint); // Don't fire on changes made while it was off
+        this.renderList();
+    },
+
+    /**
+     * @param {object} breakpoint
+     * @returns {string} e.g. "`Q3` rises" or "`BUS` == 0xA"
+     */
+    describe: function(breakpoint) {
+        if (breakpoint.condition === '==' || breakpoint.condition === '!=') {
+            return `\`${breakpoint.name}\` ${breakpoint.condition} ${formatSignalValue(breakpoint.value, breakpoint.node.bitWidth)}`;
+        }
+        return `\`${breakpoint.name}\` ${breakpoint.condition}`;
+    },
+
+    /**
+     * True if the condition holds for a change from oldValue to newValue.
+     * '==' and '!=' only fire when they *become* true, so a breakpoint
+     * doesn't fire again on every event while the value stays put.
+     */
+    isTriggered: function(breakpoint, oldValue, newValue) {
+        if (oldValue === newValue) return false;
+        switch (breakpoint.condition) {
+            case 'rises': return newValue === 1;
+            case 'falls': return newValue === 0;
+            case 'changes': return true;
+            case '==': return newValue === breakpoint.value;
+            case '!=': return oldValue === breakpoint.value;
+            default: return false;
+        }
+    },
+
+    /**
+     * --- Engine hook ---
+     * Checks the breakpoints on the nodes an event touched. Pauses the
+     * queue, highlights the gate and logs the condition when one fires.
+     * @param {object} event - The event that just ran.
+     * @returns {boolean} True if a breakpoint fired.
+     */
+    check: function(event) {
+        if (this.breakpoints.length === 0) return false;
+
+        let nodes;
+        switch (event.type) {
+            case 'UPDATE_INPUT': nodes = event.component.outputNodes; break;
+            case 'UPDATE_OUTPUT': nodes = [event.node]; break;
+            case 'CALCULATE': nodes = event.component.getAllNodes(); break;
+            default: return false;
+        }
+
+        let fired = null;
+        for (const breakpoint of this.breakpoints) {
+            if (!nodes.includes(breakpoint.node)) continue;
+            const newValue = Simulator.readSignal(breakpoint);
+            const oldValue = breakpoint.lastValue;
+            breakpoint.lastValue = newValue;
+
+            if (breakpoint.enabled && this.isTriggered(breakpoint, oldValue, newValue) && !fired) {
+                fired = breakpoint;
+                const width = breakpoint.node.bitWidth;
+                breakpoint.hits++;
+                AnimationManager.log(`🛑 ${AnimationManager.formatTime()} Breakpoint hit: ${this.describe(breakpoint)} (\`${formatSignalValue(oldValue, width)}\` -> \`${formatSignalValue(newValue, width)}\`)`, 'log-error');
+            }
+        }
+        if (!fired) return false;
+
+        this.hitComponent = fired.component;
+        AnimationManager.pauseQueue();
+        Main.updateStatus(`Breakpoint hit: ${this.describe(fired).replace(/`/g, '')}. Step or Resume to continue.`);
+        this.renderList();
+        return true;
+    },
+
+    /**
+     * Clears the canvas highlight (the queue was resumed).
+     */
+    clearHit: function() {
+        this.hitComponent = null;
+    },
+
+    /**
+     * Re-reads every watched value, e.g. after Step Back rewound the states.
+     */
+    resync: function() {
+        for (const breakpoint of this.breakpoints) {
+            breakpoint.lastValue = Simulator.readSignal(breakpoint);
+        }
+    },
+
+    /**
+     * Forgets every breakpoint. Called when the simulation is reset.
+     */
+    reset: function() {
+        this.breakpoints = [];
+        this.hitComponent = null;
+        this.renderList();
+    },
+
+    renderList: function() {
+        if (!this.listElement) return;
+        this.listElement.innerHTML = '';
+        if (this.breakpoints.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'breakpoint-empty';
+            empty.textContent = 'No breakpoints. Pick a signal and a condition above.';
+            this.listElement.appendChild(empty);
+            return;
+        }
+
+        for (const breakpoint of this.breakpoints) {
+            const row = document.createElement('div');
+            row.className = 'breakpoint-row';
+            row.dataset.breakpointId = breakpoint.id;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = breakpoint.enabled;
+            checkbox.title = 'Enabled';
+
+            const text = document.createElement('span');
+            text.className = 'breakpoint-text';
+            text.innerHTML = this.describe(breakpoint).replace(/`([^`]+)`/g, '<code>$1</code>');
+
+            const hits = document.createElement('span');
+            hits.className = 'breakpoint-hits';
+            hits.textContent = breakpoint.hits > 0 ? `hit ${breakpoint.hits}×` : '';
+
+            const remove = document.createElement('button');
+            remove.className = 'breakpoint-remove';
+            remove.title = 'Remove';
+            remove.textContent = '×';
+
+            row.append(checkbox, text, hits, remove);
+            this.listElement.appendChild(row);
+        }
+    }
+};
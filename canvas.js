@@ -29,6 +29,9 @@ const CanvasRenderer = {
     COLOR_NODE_HIGHLIGHT: 'rgba(0, 123, 255, 0.4)', 
     COLOR_WIRE_LOW: '#555555',
     COLOR_WIRE_HIGH: '#28a745',
+    COLOR_BUS: '#1565c0', // --- NEW: Multi-bit wires
+    COLOR_SIGNAL_X: '#dc3545', // --- NEW: Unknown (four-valued mode)
+    COLOR_SIGNAL_Z: '#17a2b8', // --- NEW: Floating (four-valued mode)
     COLOR_LED_OFF: '#e0e0e0',
     COLOR_LED_ON: '#ffc107',
     COLOR_INPUT_OFF: '#f8f9fa',
@@ -36,6 +39,10 @@ const CanvasRenderer = {
     COLOR_SELECTION: 'rgba(0, 123, 255, 0.3)',
     COLOR_SELECTION_BORDER: 'rgba(0, 123, 255, 0.8)',
     COLOR_PULSE: '#ffc107',
+    COLOR_BREAKPOINT: '#dc3545', // --- NEW: Gate whose breakpoint fired
+    COLOR_FAULT: '#e83e8c', // --- NEW: Node with a stuck-at fault
+    COLOR_LOOP: 'rgba(253, 126, 20, 0.55)', // --- NEW: Combinational feedback loop
+    COLOR_CRITICAL_PATH: 'rgba(102, 16, 242, 0.4)', // --- NEW: Longest combinational path
     
     NODE_RADIUS: 6,
     GRID_SIZE: 20,
@@ -216,6 +223,20 @@ const CanvasRenderer = {
         // --- 3. Draw all world elements ---
         this.drawGrid();
 
+        // --- NEW: Combinational loops and the critical path glow underneath their wires ---
+        const highlights = [
+            { wires: TimingAnalyzer.highlightedWires, components: TimingAnalyzer.highlightedComponents, color: this.COLOR_CRITICAL_PATH },
+            { wires: LoopDetector.highlightedWires, components: LoopDetector.highlightedComponents, color: this.COLOR_LOOP }
+        ];
+        for (const highlight of highlights) {
+            for (const wire of highlight.wires) {
+                if (Simulator.allWires.includes(wire)) this.drawWireBand(wire, highlight.color);
+            }
+            for (const component of highlight.components) {
+                if (Simulator.allComponents.includes(component)) this.drawComponentFrame(component, highlight.color);
+            }
+        }
+
         for (const wire of Simulator.allWires) {
             this.drawWire(wire);
         }
@@ -227,6 +248,16 @@ const CanvasRenderer = {
         if (selectedComponent) {
             this.drawSelectionHighlight(selectedComponent);
         }
+        // --- NEW: The Shift+click group ---
+        for (const component of Main.selectedGroup) {
+            if (component !== selectedComponent && Simulator.allComponents.includes(component)) this.drawSelectionHighlight(component);
+        }
+
+        // --- NEW: The gate whose breakpoint fired ---
+        const hitComponent = BreakpointManager.hitComponent;
+        if (hitComponent && Simulator.allComponents.includes(hitComponent)) {
+            this.drawBreakpointHighlight(hitComponent);
+        }
         
         if (wiringNode) {
             this.drawNodeHighlight(wiringNode);
@@ -299,10 +330,61 @@ const CanvasRenderer = {
 
         ctx.bezierCurveTo(cpx1, cpy1, cpx2, cpy2, endX, endY);
 
-        ctx.strokeStyle = (wire.state === 1) ? this.COLOR_WIRE_HIGH : this.COLOR_WIRE_LOW;
+        // --- NEW: Floating (Z) wires are dashed ---
+        if (wire.state === Logic.Z) ctx.setLineDash([6, 4]);
+
+        // --- NEW: Buses are drawn thicker, with their value in hex ---
+        if (wire.bitWidth > 1) {
+            ctx.strokeStyle = Logic.isKnown(wire.state) ? this.COLOR_BUS : this.getSignalColor(wire.state);
+            ctx.lineWidth = 6;
+            ctx.stroke();
+            ctx.lineWidth = 1;
+            ctx.setLineDash([]);
+
+            const mid = this.getPointOnBezier(0.5, startX, startY, cpx1, cpy1, cpx2, cpy2, endX, endY);
+            this.drawBusValue(formatSignalValue(wire.state, wire.bitWidth), mid.x, mid.y);
+            return;
+        }
+
+        ctx.strokeStyle = this.getSignalColor(wire.state);
         ctx.lineWidth = 3;
         ctx.stroke();
         ctx.lineWidth = 1; // Reset line width
+        ctx.setLineDash([]);
+    },
+
+    /**
+     * --- NEW: Wire colour for a single-bit signal, including X and Z ---
+     * @param {number|string} state
+     * @returns {string}
+     */
+    getSignalColor: function(state) {
+        if (state === Logic.X) return this.COLOR_SIGNAL_X;
+        if (state === Logic.Z) return this.COLOR_SIGNAL_Z;
+        return (state === 1) ? this.COLOR_WIRE_HIGH : this.COLOR_WIRE_LOW;
+    },
+
+    /**
+     * --- NEW: Draws a bus value in a small box centred on (x, y) ---
+     */
+    drawBusValue: function(text, x, y) {
+        const ctx = this.ctx;
+        ctx.font = 'bold 11px Menlo, Consolas, monospace';
+        const boxWidth = ctx.measureText(text).width + 8;
+        const boxHeight = 16;
+
+        ctx.fillStyle = this.COLOR_COMPONENT_FILL;
+        ctx.strokeStyle = this.COLOR_BUS;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.rect(x - boxWidth / 2, y - boxHeight / 2, boxWidth, boxHeight);
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.fillStyle = this.COLOR_BUS;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, x, y);
     },
 
     /**
@@ -311,11 +393,18 @@ const CanvasRenderer = {
     drawComponent: function(component) {
         if (component instanceof InputToggle) {
             this.drawInputToggle(component);
+        } else if (component instanceof Clock) {
+            this.drawClock(component);
         } else if (component instanceof OutputLed) {
             this.drawOutputLed(component);
         } else {
             this.drawGateBody(component);
         }
+
+        // --- NEW: Mark the clock pin of edge-triggered parts ---
+        if (component instanceof SequentialGate && component.edgeTriggered) {
+            this.drawClockMarker(component);
+        }
         
         // --- NEW: Draw label ---
         this.drawComponentLabel(component);
@@ -343,12 +432,13 @@ const CanvasRenderer = {
                 component.x + component.width / 2, 
                 component.y - 6 // 6px padding above
             );
-        } else if (!(component instanceof InputToggle) && !(component instanceof OutputLed)) {
+        } else if (!(component instanceof InputToggle) && !(component instanceof OutputLed) && !(component instanceof Clock)) {
             // Draw default label (AND, OR) in the *middle*
+            // --- MODIFIED: Subcircuits show their definition name ---
             ctx.font = 'bold 16px Arial';
             ctx.textBaseline = 'middle';
             ctx.fillText(
-                component.label, 
+                component.definitionName || component.label, 
                 component.x + component.width / 2, 
                 component.y + component.height / 2
             );
@@ -377,6 +467,26 @@ const CanvasRenderer = {
         // --- LABEL DRAWING REMOVED FROM HERE ---
     },
 
+    /**
+     * --- NEW: Draws the small ">" triangle next to a flip-flop's CLK pin ---
+     */
+    drawClockMarker: function(component) {
+        const clockNode = component.inputNodes.find(n => n.label === component.clockLabel);
+        if (!clockNode) return;
+
+        const ctx = this.ctx;
+        const x = component.x;
+        const y = component.y + clockNode.relY;
+        ctx.strokeStyle = this.COLOR_COMPONENT_BORDER;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(x, y - 6);
+        ctx.lineTo(x + 8, y);
+        ctx.lineTo(x, y + 6);
+        ctx.stroke();
+        ctx.lineWidth = 1;
+    },
+
     drawInputToggle: function(component) {
         const ctx = this.ctx;
         ctx.strokeStyle = this.COLOR_COMPONENT_BORDER;
@@ -399,6 +509,44 @@ const CanvasRenderer = {
         ctx.fillText(component.state.toString(), component.x + component.width / 2, component.y + component.height / 2);
     },
 
+    /**
+     * --- NEW: Draws a clock as a small square-wave glyph ---
+     */
+    drawClock: function(component) {
+        const ctx = this.ctx;
+        const x = component.x;
+        const y = component.y;
+        ctx.strokeStyle = this.COLOR_COMPONENT_BORDER;
+        ctx.lineWidth = 2;
+        ctx.fillStyle = (component.state === 1) ? this.COLOR_INPUT_ON : this.COLOR_INPUT_OFF;
+
+        ctx.beginPath();
+        if (ctx.roundRect) {
+             ctx.roundRect(x, y, component.width, component.height, 6);
+        } else {
+             ctx.rect(x, y, component.width, component.height);
+        }
+        ctx.fill();
+        ctx.stroke();
+
+        // One period of a square wave, scaled to the duty cycle
+        const left = x + 8;
+        const right = x + component.width - 8;
+        const high = y + 12;
+        const low = y + component.height - 12;
+        const fall = left + (right - left) * component.dutyCycle / 100;
+
+        ctx.strokeStyle = (component.state === 1) ? this.COLOR_WIRE_HIGH : this.COLOR_WIRE_LOW;
+        ctx.beginPath();
+        ctx.moveTo(left, low);
+        ctx.lineTo(left, high);
+        ctx.lineTo(fall, high);
+        ctx.lineTo(fall, low);
+        ctx.lineTo(right, low);
+        ctx.stroke();
+        ctx.lineWidth = 1;
+    },
+
     drawOutputLed: function(component) {
         const ctx = this.ctx;
         const x = component.x;
@@ -413,7 +561,10 @@ const CanvasRenderer = {
         const baseX = centerX - baseWidth / 2;
         const baseY = y + bulbCY + bulbRadius - 2; 
 
-        const bulbFill = (component.state === 1) ? this.COLOR_LED_ON : this.COLOR_LED_OFF;
+        // --- MODIFIED: X and Z get their own bulb colour ---
+        const bulbFill = Logic.isKnown(component.state)
+            ? ((component.state === 1) ? this.COLOR_LED_ON : this.COLOR_LED_OFF)
+            : this.getSignalColor(component.state);
         const baseFill = this.COLOR_LED_OFF;
         ctx.strokeStyle = this.COLOR_COMPONENT_BORDER;
         ctx.lineWidth = 2;
@@ -433,6 +584,15 @@ const CanvasRenderer = {
         ctx.arc(centerX, bulbCY, bulbRadius, 0, Math.PI * 2);
         ctx.fill();
         ctx.stroke();
+
+        // --- NEW: Spell out X/Z so they don't rely on colour alone ---
+        if (!Logic.isKnown(component.state)) {
+            ctx.fillStyle = this.COLOR_COMPONENT_FILL;
+            ctx.font = 'bold 14px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(component.state, centerX, bulbCY);
+        }
     },
 
     /**
@@ -443,10 +603,30 @@ const CanvasRenderer = {
         const x = node.parentComponent.x + node.relX;
         const y = node.parentComponent.y + node.relY;
 
-        ctx.fillStyle = this.COLOR_NODE;
+        // --- MODIFIED: Faulty nodes are filled pink instead of blue ---
+        ctx.fillStyle = node.stuckAt !== null ? this.COLOR_FAULT : this.COLOR_NODE;
         ctx.beginPath();
         ctx.arc(x, y, this.NODE_RADIUS, 0, Math.PI * 2);
         ctx.fill();
+
+        // --- NEW: ...and tagged with the value they are stuck at ---
+        if (node.stuckAt !== null) {
+            ctx.fillStyle = this.COLOR_FAULT;
+            ctx.font = 'bold 10px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(`SA${node.stuckAt}`, x, y - this.NODE_RADIUS - 2);
+        }
+
+        // --- NEW: A red ring marks an input whose drivers disagree ---
+        if (node.contention) {
+            ctx.strokeStyle = this.COLOR_SIGNAL_X;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(x, y, this.NODE_RADIUS + 4, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.lineWidth = 1;
+        }
         
         // --- NEW: Draw the label ---
         this.drawNodeLabel(node);
@@ -492,6 +672,70 @@ const CanvasRenderer = {
         ctx.setLineDash([]); 
     },
 
+    /**
+     * --- NEW ---
+     * Draws a red glow around a component that triggered a breakpoint.
+     * @param {BaseGate} component
+     */
+    drawBreakpointHighlight: function(component) {
+        const ctx = this.ctx;
+        const padding = 10;
+        ctx.save();
+        ctx.strokeStyle = this.COLOR_BREAKPOINT;
+        ctx.lineWidth = 3;
+        ctx.shadowColor = this.COLOR_BREAKPOINT;
+        ctx.shadowBlur = 12;
+        ctx.beginPath();
+        if (ctx.roundRect) {
+            ctx.roundRect(component.x - padding, component.y - padding, component.width + padding * 2, component.height + padding * 2, 12);
+        } else {
+            ctx.rect(component.x - padding, component.y - padding, component.width + padding * 2, component.height + padding * 2);
+        }
+        ctx.stroke();
+        ctx.restore();
+    },
+
+    /**
+     * --- NEW ---
+     * A wide translucent band along a wire (loops, the critical path).
+     * @param {Wire} wire
+     * @param {string} color
+     */
+    drawWireBand: function(wire, color) {
+        const ctx = this.ctx;
+        const startX = wire.startNode.parentComponent.x + wire.startNode.relX;
+        const startY = wire.startNode.parentComponent.y + wire.startNode.relY;
+        const endX = wire.endNode.parentComponent.x + wire.endNode.relX;
+        const endY = wire.endNode.parentComponent.y + wire.endNode.relY;
+        const midX = startX + (endX - startX) / 2;
+
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 12;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(startX, startY);
+        ctx.bezierCurveTo(midX, startY, midX, endY, endX, endY);
+        ctx.stroke();
+        ctx.restore();
+    },
+
+    /**
+     * --- NEW ---
+     * A wide translucent frame around a component (loops, the critical path).
+     * @param {BaseGate} component
+     * @param {string} color
+     */
+    drawComponentFrame: function(component, color) {
+        const ctx = this.ctx;
+        const padding = 8;
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 6;
+        ctx.strokeRect(component.x - padding, component.y - padding, component.width + padding * 2, component.height + padding * 2);
+        ctx.restore();
+    },
+
     drawSelectionHighlight: function(component) {
         const ctx = this.ctx;
         const padding = 6;
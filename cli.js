@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+// --- Command-Line Simulator ---
+// Simulates saved circuits (the JSON from Simulator.getCircuitData(), or a
+// cloud save) without a browser, using the headless core (headless.js).
+// Several files can be given at once, e.g. a folder of submissions:
+//
+//   node cli.js adder.json --set A=1,B=0
+//   node cli.js submissions/*.json --table --json > results.json
+
+'use strict';
+
+const fs = require('fs');
+const { createCore } = require('./headless.js');
+
+const USAGE = `Usage: node cli.js <circuit.json>... [options]
+
+Loads each circuit, applies the input values and prints its Outputs.
+Inputs are named by their label, or In1, In2... from top to bottom
+(Outputs likewise Out1, Out2...), as in the truth table.
+
+Options:
+  --set NAME=VALUE[,NAME=VALUE...]  Set inputs (0 or 1). May be repeated.
+                                    Inputs that aren't set keep their saved value.
+  --table                           Print the full truth table instead.
+  --json                            Print the results as JSON.
+  -h, --help                        Show this help.
+
+Exits with 1 if any circuit could not be loaded or simulated, 2 on bad usage.`;
+
+/**
+ * @param {string[]} args - The command-line arguments after the script name.
+ * @returns {object} - { files, assignments: Map, table, json, help }
+ * @throws {Error} On an unknown option or a malformed assignment.
+ */
+function parseArgs(args) {
+    const options = { files: [], assignments: new Map(), table: false, json: false, help: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '-h' || arg === '--help') options.help = true;
+        else if (arg === '--table') options.table = true;
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--set' || arg.startsWith('--set=')) {
+            const list = arg === '--set' ? args[++i] : arg.slice('--set='.length);
+            if (!list) throw new Error("--set needs NAME=VALUE.");
+            for (const pair of list.split(',').filter(Boolean)) {
+                const match = pair.match(/^\s*([^=]+?)\s*=\s*(\S+)\s*$/);
+                if (!match) throw new Error(`Can't read the assignment "${pair}"; use NAME=VALUE.`);
+                options.assignments.set(match[1], match[2]);
+            }
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+    return options;
+}
+
+/**
+ * Lines up a header and rows of cells, inputs and outputs split by "|".
+ * @param {string[]} inputs
+ * @param {string[]} outputs
+ * @param {Array<{inputs: Array, outputs: Array}>} rows
+ * @returns {string}
+ */
+function formatTable(inputs, outputs, rows) {
+    const widths = [...inputs, ...outputs].map(name => Math.max(1, name.length));
+    const line = (left, right) => [
+        left.map((cell, i) => String(cell).padEnd(widths[i])).join(' '),
+        right.map((cell, i) => String(cell).padEnd(widths[inputs.length + i])).join(' ')
+    ].join(' | ').trimEnd();
+    return [line(inputs, outputs), ...rows.map(row => line(row.inputs, row.outputs))].join('\n');
+}
+
+/**
+ * Simulates one file.
+ * @param {string} file
+ * @param {object} options - From parseArgs().
+ * @returns {object} - { file, inputs, outputs, rows, settled } or { file, error }
+ */
+function runFile(file, options) {
+    try {
+        const core = createCore();
+        core.load(fs.readFileSync(file, 'utf8'));
+
+        if (options.table) {
+            const table = core.truthTable();
+            return { file: file, inputs: table.inputs, outputs: table.outputs, rows: table.rows, settled: table.unsettled === 0 };
+        }
+
+        const result = core.evaluate(options.assignments);
+        return {
+            file: file,
+            inputs: result.inputs.map(input => input.name),
+            outputs: result.outputs.map(output => output.name),
+            rows: [{ inputs: result.inputs.map(input => input.value), outputs: result.outputs.map(output => output.value) }],
+            settled: result.settled
+        };
+    } catch (error) {
+        return { file: file, error: error.message };
+    }
+}
+
+function main(args) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (options.files.length === 0) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    const results = options.files.map(file => runFile(file, options));
+
+    if (options.json) {
+        console.log(JSON.stringify(options.files.length === 1 ? results[0] : results, null, 2));
+    } else {
+        results.forEach((result, i) => {
+            if (options.files.length > 1) console.log(`${i > 0 ? '\n' : ''}== ${result.file} ==`);
+            if (result.error) {
+                console.log(`Error: ${result.error}`);
+                return;
+            }
+            console.log(formatTable(result.inputs, result.outputs, result.rows));
+            if (!result.settled) console.log("Warning: the circuit did not settle (it may oscillate).");
+        });
+    }
+    return results.some(result => result.error) ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArgs, formatTable, runFile, main };
@@ -8,20 +8,148 @@ let componentIdCounter = 0;
 // --- 1. The Core Building Block: Node ---
 // A Node is a connection point (either input or output) on a component.
 class Node {
-    constructor(parentComponent, type, label) {
+    constructor(parentComponent, type, label, bitWidth = 1) {
         this.id = `node_${componentIdCounter++}`;
         this.parentComponent = parentComponent; // The gate this node belongs to
         this.type = type; // 'input' or 'output'
         this.label = label;
-        this.state = 0; // 0 (LOW) or 1 (HIGH)
+        this.bitWidth = bitWidth; // --- NEW: 1 for a single wire, >1 for a bus
+        this.state = 0; // 0 (LOW) or 1 (HIGH). Buses hold an unsigned integer. Can be 'X' or 'Z' in four-valued mode.
         this.connections = []; // Wires connected to this node
+        this.contention = false; // --- NEW: True while two drivers disagree
+        this.stuckAt = null; // --- NEW: 0 or 1 while a stuck-at fault is injected (see FaultManager)
         
         // Relative position to the parent component's (x,y)
         this.relX = 0;
         this.relY = 0;
     }
+
+    /**
+     * --- NEW ---
+     * Works out the level of an input from every wire driving it.
+     * One wire just passes its value through; several wires form a
+     * shared net (see Logic.resolve).
+     */
+    resolve() {
+        const drivers = this.connections.map(wire => wire.state);
+        this.state = this.applyFault(Logic.resolve(drivers));
+        this.contention = this.stuckAt === null && Logic.isContention(drivers);
+    }
+
+    /**
+     * --- NEW ---
+     * A stuck-at fault overrides whatever the node would have carried.
+     * @param {number|string} value - The fault-free value.
+     * @returns {number|string}
+     */
+    applyFault(value) {
+        return this.stuckAt === null ? value : this.stuckAt;
+    }
 }
 
+/**
+ * --- NEW ---
+ * Formats a signal value for display. Single wires show 0/1,
+ * buses show a zero-padded hex value (e.g., 0x0A).
+ * @param {number} value - The signal value.
+ * @param {number} bitWidth - The width of the signal.
+ * @returns {string}
+ */
+function formatSignalValue(value, bitWidth = 1) {
+    if (bitWidth <= 1 || !Logic.isKnown(value)) return String(value);
+    const digits = Math.ceil(bitWidth / 4);
+    return '0x' + value.toString(16).toUpperCase().padStart(digits, '0');
+}
+
+/**
+ * --- NEW ---
+ * Four-valued logic helpers.
+ * In the default two-valued mode every signal is 0 or 1 and an unconnected
+ * input reads as 0. With `fourValued` on, an unconnected input reads as Z
+ * (nothing drives it) and gates turn any input they can't decide on into X.
+ * A whole bus is X or Z at once; single bits are never mixed into a value.
+ */
+const Logic = {
+    X: 'X', // Unknown
+    Z: 'Z', // High impedance (floating)
+    fourValued: false,
+
+    /**
+     * @param {number|string} value
+     * @returns {boolean} True for a real 0/1 (or bus) value.
+     */
+    isKnown: function(value) {
+        return value !== this.X && value !== this.Z;
+    },
+
+    /**
+     * Reads the value seen by a node. Floating inputs are Z in four-valued mode.
+     * @param {Node} node
+     * @returns {number|string}
+     */
+    read: function(node) {
+        if (node.stuckAt !== null) return node.stuckAt; // --- NEW: Injected fault
+        if (this.fourValued && node.type === 'input' && node.connections.length === 0) {
+            return this.Z;
+        }
+        return node.state;
+    },
+
+    not: function(value) {
+        if (value === 0) return 1;
+        if (value === 1) return 0;
+        return this.X;
+    },
+
+    // A single 0 decides an AND, a single 1 decides an OR.
+    and: function(values) {
+        if (values.some(v => v === 0)) return 0;
+        return values.every(v => v === 1) ? 1 : this.X;
+    },
+
+    or: function(values) {
+        if (values.some(v => v === 1)) return 1;
+        return values.every(v => v === 0) ? 0 : this.X;
+    },
+
+    // XOR needs every input, so any unknown makes the result unknown.
+    xor: function(values) {
+        if (!values.every(v => this.isKnown(v))) return this.X;
+        return values.filter(v => v === 1).length % 2;
+    },
+
+    /**
+     * --- NEW ---
+     * Resolves the values of every driver on a net.
+     * Z drivers (e.g., disabled tri-state buffers) are ignored. If nothing
+     * is left the net floats: Z in four-valued mode, 0 otherwise.
+     * Drivers that disagree give X.
+     * @param {Array<number|string>} values
+     * @returns {number|string}
+     */
+    resolve: function(values) {
+        const active = values.filter(v => v !== this.Z);
+        if (active.length === 0) return this.fourValued ? this.Z : 0;
+        return active.every(v => v === active[0]) ? active[0] : this.X;
+    },
+
+    /**
+     * --- NEW ---
+     * True when at least two drivers actively fight with different values.
+     * @param {Array<number|string>} values
+     * @returns {boolean}
+     */
+    isContention: function(values) {
+        const driven = values.filter(v => this.isKnown(v));
+        return driven.some(v => v !== driven[0]);
+    }
+};
+
+// --- NEW: Propagation delay settings (in simulated ms) ---
+const DEFAULT_GATE_DELAY = 1;
+const DELAY_OPTIONS = [0, 1, 2, 5, 10, 20, 50, 100];
+const DELAY_MODELS = ['inertial', 'transport'];
+
 // --- 2. The Base Class for all Gates ---
 // This holds common properties for all logical components.
 // --- MODIFIED: Now supports custom labels and dynamic inputs ---
@@ -36,6 +164,8 @@ class BaseGate {
         this.height = 60; // Standard gate height
         this.inputNodes = [];
         this.outputNodes = [];
+        this.delay = DEFAULT_GATE_DELAY; // --- NEW: Propagation delay in simulated ms
+        this.delayModel = 'inertial'; // --- NEW: 'inertial' or 'transport'
     }
 
     /**
@@ -52,6 +182,26 @@ class BaseGate {
         // Implemented in child classes
         return 0; // Default return
     }
+
+    /**
+     * --- NEW ---
+     * Calculates the new state of every output node, in order.
+     * Single-output gates just wrap calculate(); components with
+     * several outputs (flip-flops, latches) override this.
+     * @returns {Array<number>}
+     */
+    calculateOutputs() {
+        return [this.calculate()];
+    }
+
+    /**
+     * --- NEW ---
+     * Reads every input node, honouring four-valued mode.
+     * @returns {Array<number|string>}
+     */
+    readInputs() {
+        return this.inputNodes.map(node => Logic.read(node));
+    }
     
     /**
      * --- NEW ---
@@ -111,9 +261,98 @@ class BaseGate {
      */
     getProperties() {
         return [
-            { name: 'Label', type: 'text', value: this.customLabel, prop: 'customLabel' }
+            { name: 'Label', type: 'text', value: this.customLabel, prop: 'customLabel' },
+            ...this.getTimingProperties()
+        ];
+    }
+
+    /**
+     * --- NEW ---
+     * The propagation delay settings shared by every gate.
+     * @returns {Array<object>}
+     */
+    getTimingProperties() {
+        return [
+            { name: 'Delay (ms)', type: 'select', value: this.delay, options: DELAY_OPTIONS, prop: 'delay' },
+            { name: 'Delay Model', type: 'select', value: this.delayModel, options: DELAY_MODELS, prop: 'delayModel' }
+        ];
+    }
+
+    /**
+     * --- NEW ---
+     * A node's label, with its pin number added when another node of this
+     * component has the same label.
+     * @param {Node} node
+     * @returns {string} e.g. "A", or "in (pin 2)"
+     */
+    getPinName(node) {
+        const nodes = this.getAllNodes();
+        const repeated = nodes.filter(n => n.label === node.label).length > 1;
+        return repeated ? `${node.label} (pin ${nodes.indexOf(node) + 1})` : node.label;
+    }
+
+    /**
+     * --- NEW ---
+     * The stuck-at fault setting, one option per single-bit node.
+     * Shown for every component (see Main.updatePropertiesPanel).
+     * --- MODIFIED: Options address the node by its index in getAllNodes(),
+     * so pins sharing a label stay apart ---
+     * @returns {Array<object>}
+     */
+    getFaultProperties() {
+        const nodes = this.getAllNodes();
+        const pins = nodes.filter(node => node.bitWidth === 1);
+        if (pins.length === 0) return [];
+
+        const faulty = pins.find(node => node.stuckAt !== null);
+        const options = ['none'];
+        pins.forEach(node => {
+            const index = nodes.indexOf(node);
+            const name = this.getPinName(node);
+            options.push({ value: `${index}:0`, text: `${name} stuck-at-0` }, { value: `${index}:1`, text: `${name} stuck-at-1` });
+        });
+        return [
+            { name: 'Fault', type: 'select', value: faulty ? `${nodes.indexOf(faulty)}:${faulty.stuckAt}` : 'none', options: options, prop: 'fault' }
         ];
     }
+
+    /**
+     * --- NEW ---
+     * Injects a single stuck-at fault on one of this component's nodes
+     * (clearing any other), or removes it with 'none'.
+     * @param {string} option - "<node index>:<0 or 1>", e.g. "1:1", from getFaultProperties().
+     */
+    setFault(option) {
+        const match = /^(\d+):([01])$/.exec(option);
+        this.getAllNodes().forEach(node => node.stuckAt = null);
+        if (!match) return;
+
+        const node = this.getAllNodes()[Number(match[1])];
+        if (node && node.bitWidth === 1) {
+            node.stuckAt = Number(match[2]);
+            node.state = node.stuckAt;
+        }
+    }
+
+    /**
+     * --- NEW ---
+     * Sets the propagation delay (simulated ms from an input change to the output change).
+     * @param {number} delay
+     */
+    setDelay(delay) {
+        delay = parseInt(delay, 10);
+        if (!isNaN(delay) && delay >= 0) this.delay = delay;
+    }
+
+    /**
+     * --- NEW ---
+     * 'inertial' swallows pulses shorter than the delay, like a real gate.
+     * 'transport' passes every pulse through, just later.
+     * @param {string} model
+     */
+    setDelayModel(model) {
+        if (DELAY_MODELS.includes(model)) this.delayModel = model;
+    }
     
     /**
      * --- NEW: Helper for easy wiring ---
@@ -124,6 +363,16 @@ class BaseGate {
         return this.outputNodes.length > 0 ? this.outputNodes[0] : null;
     }
 
+    /**
+     * --- NEW ---
+     * Whether an input may be left unconnected (see DesignCheckManager).
+     * @param {Node} node - One of this component's input nodes.
+     * @returns {boolean}
+     */
+    isOptionalInput(node) {
+        return false;
+    }
+
     /**
      * --- NEW: Helper for easy wiring ---
      * Finds the first input node that doesn't have a wire connected.
@@ -146,6 +395,7 @@ class InputToggle extends BaseGate {
         super(x, y, 'INPUT');
         this.height = 40; // Smaller
         this.width = 40;
+        this.delay = 0; // Sources switch instantly
         
         // An input toggle has one output node
         let out = new Node(this, 'output', 'out');
@@ -188,11 +438,115 @@ class InputToggle extends BaseGate {
     }
 }
 
+/**
+ * --- NEW ---
+ * A free-running square-wave source. Like an InputToggle it has no inputs,
+ * but its state is driven by the simulation time instead of the user.
+ */
+class Clock extends BaseGate {
+    constructor(x, y) {
+        super(x, y, 'CLOCK');
+        this.height = 40;
+        this.width = 40;
+        this.delay = 0;
+
+        let out = new Node(this, 'output', 'out');
+        out.relX = this.width;
+        out.relY = this.height / 2;
+        this.outputNodes.push(out);
+
+        this.period = 1000; // Full cycle length in ms
+        this.dutyCycle = 50; // Percentage of the period spent HIGH
+
+        // A clock starts LOW and goes HIGH on its first tick
+        this.state = 0;
+        this.outputNodes[0].state = this.state;
+    }
+
+    /**
+     * Works out the clock level for a given simulation time.
+     * @param {number} time - Elapsed simulation time in ms.
+     * @returns {boolean} - True if the output level changed.
+     */
+    updateForTime(time) {
+        const highTime = this.period * this.dutyCycle / 100;
+        const newState = (time % this.period) < highTime ? 1 : 0;
+        if (newState === this.state) return false;
+
+        this.state = newState;
+        this.outputNodes[0].state = newState;
+        return true;
+    }
+
+    /**
+     * --- NEW ---
+     * Lists the times in (from, to] where the clock level changes.
+     * Used by the scheduler to queue every edge at its exact time.
+     * @param {number} from - Start of the window in ms (exclusive).
+     * @param {number} to - End of the window in ms (inclusive).
+     * @returns {Array<number>}
+     */
+    getEdgeTimes(from, to) {
+        const highTime = this.period * this.dutyCycle / 100;
+        const times = [];
+        for (let cycleStart = Math.floor(from / this.period) * this.period; cycleStart <= to; cycleStart += this.period) {
+            for (const edge of [cycleStart, cycleStart + highTime]) {
+                if (edge > from && edge <= to) times.push(edge);
+            }
+        }
+        return times;
+    }
+
+    /**
+     * --- NEW ---
+     * @param {number} time - In ms.
+     * @returns {number} The first time after `time` where the level changes.
+     */
+    getNextEdgeTime(time) {
+        const highTime = this.period * this.dutyCycle / 100;
+        const cycleStart = Math.floor(time / this.period) * this.period;
+        return cycleStart + highTime > time ? cycleStart + highTime : cycleStart + this.period;
+    }
+
+    // Like InputToggle, the clock is a source. Called by the 'UPDATE_INPUT' event.
+    calculate() {
+        this.outputNodes[0].state = this.state;
+        return this.state;
+    }
+
+    setPeriod(period) {
+        period = parseInt(period, 10);
+        if (!isNaN(period) && period > 0) this.period = period;
+    }
+
+    setDutyCycle(dutyCycle) {
+        dutyCycle = parseInt(dutyCycle, 10);
+        if (!isNaN(dutyCycle) && dutyCycle > 0 && dutyCycle < 100) this.dutyCycle = dutyCycle;
+    }
+
+    getProperties() {
+        return [
+            { name: 'Label', type: 'text', value: this.customLabel, prop: 'customLabel' },
+            { name: 'Period (ms)', type: 'select', value: this.period, options: [100, 250, 500, 1000, 2000, 5000], prop: 'period' },
+            { name: 'Duty (%)', type: 'select', value: this.dutyCycle, options: [10, 25, 50, 75, 90], prop: 'dutyCycle' }
+        ];
+    }
+
+    /**
+     * --- OVERRIDE: Clock has no inputs to find ---
+     * @returns {null}
+     */
+    getAvailableInputNode() {
+        return null;
+    }
+}
+
 class OutputLed extends BaseGate {
     constructor(x, y) {
         super(x, y, 'OUTPUT');
         this.height = 40; // Smaller
         this.width = 40;
+        this.delay = 0; // LEDs light up as soon as the signal arrives
 
         // An output LED has one input node
         let inp = new Node(this, 'input', 'in');
@@ -206,7 +560,7 @@ class OutputLed extends BaseGate {
     // The LED's state is determined by its input
     // This is a "sink", so it just updates its own internal state
     calculate() {
-        this.state = this.inputNodes[0].state;
+        this.state = Logic.read(this.inputNodes[0]);
         return this.state; // Return it just for consistency
     }
     
@@ -250,14 +604,15 @@ class AndGate extends BaseGate {
     getProperties() {
         return [
             { name: 'Label', type: 'text', value: this.customLabel, prop: 'customLabel' },
-            { name: 'Inputs', type: 'select', value: this.inputNodes.length, options: [2, 3, 4, 5, 6, 7, 8], prop: 'inputCount' }
+            { name: 'Inputs', type: 'select', value: this.inputNodes.length, options: [2, 3, 4, 5, 6, 7, 8], prop: 'inputCount' },
+            ...this.getTimingProperties()
         ];
     }
 
     calculate() {
         // --- MODIFIED: Loop all inputs ---
-        // 'every' returns true if all inputs are 1
-        return this.inputNodes.every(node => node.state === 1) ? 1 : 0;
+        // 1 if all inputs are 1, 0 if any is 0, otherwise X
+        return Logic.and(this.readInputs());
     }
 }
 
@@ -279,14 +634,15 @@ class OrGate extends BaseGate {
     getProperties() {
         return [
             { name: 'Label', type: 'text', value: this.customLabel, prop: 'customLabel' },
-            { name: 'Inputs', type: 'select', value: this.inputNodes.length, options: [2, 3, 4, 5, 6, 7, 8], prop: 'inputCount' }
+            { name: 'Inputs', type: 'select', value: this.inputNodes.length, options: [2, 3, 4, 5, 6, 7, 8], prop: 'inputCount' },
+            ...this.getTimingProperties()
         ];
     }
 
     calculate() {
         // --- MODIFIED: Loop all inputs ---
-        // 'some' returns true if *any* input is 1
-        return this.inputNodes.some(node => node.state === 1) ? 1 : 0;
+        // 1 if *any* input is 1, 0 if all are 0, otherwise X
+        return Logic.or(this.readInputs());
     }
 }
 
@@ -306,16 +662,17 @@ class NotGate extends BaseGate {
         this.outputNodes.push(out);
     }
     
-    // --- OVERRIDE: NOT gate only has a Label property ---
+    // --- OVERRIDE: NOT gate has no input count ---
     getProperties() {
         return [
-            { name: 'Label', type: 'text', value: this.customLabel, prop: 'customLabel' }
+            { name: 'Label', type: 'text', value: this.customLabel, prop: 'customLabel' },
+            ...this.getTimingProperties()
         ];
     }
 
     calculate() {
-        const in_state = this.inputNodes[0].state;
-        return (in_state === 1) ? 0 : 1;
+        const in_state = Logic.read(this.inputNodes[0]);
+        return Logic.not(in_state);
     }
 }
 
@@ -337,15 +694,15 @@ class XorGate extends BaseGate {
     getProperties() {
         return [
             { name: 'Label', type: 'text', value: this.customLabel, prop: 'customLabel' },
-            { name: 'Inputs', type: 'select', value: this.inputNodes.length, options: [2, 3, 4, 5, 6, 7, 8], prop: 'inputCount' }
+            { name: 'Inputs', type: 'select', value: this.inputNodes.length, options: [2, 3, 4, 5, 6, 7, 8], prop: 'inputCount' },
+            ...this.getTimingProperties()
         ];
     }
 
     calculate() {
         // --- MODIFIED: Multi-input XOR ---
         // Output is 1 if an ODD number of inputs are 1
-        const highInputs = this.inputNodes.filter(node => node.state === 1).length;
-        return (highInputs % 2 === 1) ? 1 : 0;
+        return Logic.xor(this.readInputs());
     }
 }
 
@@ -367,14 +724,14 @@ class NandGate extends BaseGate {
     getProperties() {
         return [
             { name: 'Label', type: 'text', value: this.customLabel, prop: 'customLabel' },
-            { name: 'Inputs', type: 'select', value: this.inputNodes.length, options: [2, 3, 4, 5, 6, 7, 8], prop: 'inputCount' }
+            { name: 'Inputs', type: 'select', value: this.inputNodes.length, options: [2, 3, 4, 5, 6, 7, 8], prop: 'inputCount' },
+            ...this.getTimingProperties()
         ];
     }
 
     calculate() {
         // --- MODIFIED: Loop all inputs ---
-        const andResult = this.inputNodes.every(node => node.state === 1);
-        return andResult ? 0 : 1; // Invert the AND
+        return Logic.not(Logic.and(this.readInputs())); // Invert the AND
     }
 }
 
@@ -396,14 +753,14 @@ class NorGate extends BaseGate {
     getProperties() {
         return [
             { name: 'Label', type: 'text', value: this.customLabel, prop: 'customLabel' },
-            { name: 'Inputs', type: 'select', value: this.inputNodes.length, options: [2, 3, 4, 5, 6, 7, 8], prop: 'inputCount' }
+            { name: 'Inputs', type: 'select', value: this.inputNodes.length, options: [2, 3, 4, 5, 6, 7, 8], prop: 'inputCount' },
+            ...this.getTimingProperties()
         ];
     }
 
     calculate() {
         // --- MODIFIED: Loop all inputs ---
-        const orResult = this.inputNodes.some(node => node.state === 1);
-        return orResult ? 0 : 1; // Invert the OR
+        return Logic.not(Logic.or(this.readInputs())); // Invert the OR
     }
 }
 
@@ -425,33 +782,488 @@ class XnorGate extends BaseGate {
     getProperties() {
         return [
             { name: 'Label', type: 'text', value: this.customLabel, prop: 'customLabel' },
-            { name: 'Inputs', type: 'select', value: this.inputNodes.length, options: [2, 3, 4, 5, 6, 7, 8], prop: 'inputCount' }
+            { name: 'Inputs', type: 'select', value: this.inputNodes.length, options: [2, 3, 4, 5, 6, 7, 8], prop: 'inputCount' },
+            ...this.getTimingProperties()
         ];
     }
 
     calculate() {
         // --- MODIFIED: Multi-input XNOR ---
         // Output is 1 if an EVEN number of inputs are 1
-        const highInputs = this.inputNodes.filter(node => node.state === 1).length;
-        return (highInputs % 2 === 0) ? 1 : 0;
+        return Logic.not(Logic.xor(this.readInputs()));
+    }
+}
+
+
+// --- 5. Memory Components (Flip-Flops & Latches) ---
+// --- NEW: These store one bit and drive two outputs, Q and Q̄ ---
+
+/**
+ * Shared logic for all flip-flops and latches.
+ * Inputs are the data pins, then the clock (or enable) pin, then the
+ * asynchronous PRE and CLR pins. PRE and CLR are active-high and CLR wins
+ * if both are set. Unconnected PRE/CLR pins count as inactive, even in
+ * four-valued mode.
+ */
+class SequentialGate extends BaseGate {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {string} label - The component type (e.g., 'DFF')
+     * @param {Array<string>} dataLabels - Names of the data pins (e.g., ['J', 'K'])
+     * @param {string} clockLabel - 'CLK' for flip-flops, 'EN' for latches
+     * @param {boolean} edgeTriggered - True to react on the rising edge only
+     */
+    constructor(x, y, label, dataLabels, clockLabel, edgeTriggered) {
+        super(x, y, label);
+        this.dataLabels = dataLabels;
+        this.clockLabel = clockLabel;
+        this.edgeTriggered = edgeTriggered;
+        this.state = 0; // The stored bit (Q)
+        this.lastClock = null; // Previous clock level, for edge detection
+
+        const inputLabels = [...dataLabels, clockLabel, 'PRE', 'CLR'];
+        const nodeSpacing = 20;
+        this.height = Math.max(60, inputLabels.length * nodeSpacing + (nodeSpacing / 2));
+
+        inputLabels.forEach((inputLabel, i) => {
+            let node = new Node(this, 'input', inputLabel);
+            node.relX = 0;
+            node.relY = (this.height * (i + 1)) / (inputLabels.length + 1);
+            this.inputNodes.push(node);
+        });
+
+        ['Q', 'Q̄'].forEach((outputLabel, i) => {
+            let node = new Node(this, 'output', outputLabel);
+            node.relX = this.width;
+            node.relY = (this.height * (i + 1)) / 3;
+            this.outputNodes.push(node);
+        });
+        // Q̄ starts as the complement of Q; a 0->1 on the first evaluation
+        // would clock anything driven from it (e.g. a ripple counter)
+        this.outputNodes[0].state = this.state;
+        this.outputNodes[1].state = Logic.not(this.state);
+    }
+
+    /**
+     * --- NEW ---
+     * PRE and CLR may be left unconnected; they then count as inactive.
+     * @param {Node} node
+     * @returns {boolean}
+     */
+    isOptionalInput(node) {
+        return node.label === 'PRE' || node.label === 'CLR';
+    }
+
+    /**
+     * Reads the current level of an input pin by its label.
+     * @param {string} label - The pin label (e.g., 'D', 'CLK')
+     * @returns {number|string}
+     */
+    getInput(label) {
+        const node = this.inputNodes.find(n => n.label === label);
+        return node ? Logic.read(node) : 0;
+    }
+
+    /**
+     * Works out the next stored bit from the data pins.
+     * Only called when the part is clocked (or enabled).
+     * @returns {number}
+     */
+    nextState() {
+        return this.state; // Implemented in child classes
+    }
+
+    calculate() {
+        const clock = this.getInput(this.clockLabel);
+        const triggered = this.edgeTriggered
+            ? (this.lastClock === 0 && clock === 1)
+            : clock === 1;
+        this.lastClock = clock;
+
+        if (this.getInput('CLR') === 1) {
+            this.state = 0;
+        } else if (this.getInput('PRE') === 1) {
+            this.state = 1;
+        } else if (triggered) {
+            // An unknown data pin makes the stored bit unknown
+            const dataKnown = this.dataLabels.every(l => Logic.isKnown(this.getInput(l)));
+            this.state = dataKnown ? this.nextState() : Logic.X;
+        }
+        return this.state;
+    }
+
+    /**
+     * --- OVERRIDE: Two outputs, Q and Q̄ ---
+     * @returns {Array<number|string>}
+     */
+    calculateOutputs() {
+        const q = this.calculate();
+        return [q, Logic.not(q)];
+    }
+}
+
+class DFlipFlop extends SequentialGate {
+    constructor(x, y) {
+        super(x, y, 'DFF', ['D'], 'CLK', true);
+    }
+
+    nextState() {
+        return this.getInput('D');
+    }
+}
+
+class JkFlipFlop extends SequentialGate {
+    constructor(x, y) {
+        super(x, y, 'JKFF', ['J', 'K'], 'CLK', true);
+    }
+
+    nextState() {
+        const j = this.getInput('J');
+        const k = this.getInput('K');
+        if (j === 1 && k === 1) return Logic.not(this.state); // Toggle
+        if (j === 1) return 1;
+        if (k === 1) return 0;
+        return this.state; // Hold
+    }
+}
+
+class TFlipFlop extends SequentialGate {
+    constructor(x, y) {
+        super(x, y, 'TFF', ['T'], 'CLK', true);
+    }
+
+    nextState() {
+        return this.getInput('T') === 1 ? Logic.not(this.state) : this.state;
+    }
+}
+
+class SrLatch extends SequentialGate {
+    constructor(x, y) {
+        super(x, y, 'SRLATCH', ['S', 'R'], 'EN', false);
+    }
+
+    nextState() {
+        if (this.getInput('S') === 1) return 1;
+        if (this.getInput('R') === 1) return 0;
+        return this.state; // Hold
+    }
+
+    /**
+     * --- OVERRIDE: S = R = 1 is the forbidden input ---
+     * Like a real NOR latch, both outputs drop to 0 while it is applied.
+     */
+    calculateOutputs() {
+        const q = this.calculate();
+        const forbidden = this.getInput(this.clockLabel) === 1 &&
+            this.getInput('S') === 1 && this.getInput('R') === 1 &&
+            this.getInput('PRE') === 0 && this.getInput('CLR') === 0;
+        if (forbidden) {
+            this.state = 0;
+            return [0, 0];
+        }
+        return [q, Logic.not(q)];
+    }
+}
+
+class DLatch extends SequentialGate {
+    constructor(x, y) {
+        super(x, y, 'DLATCH', ['D'], 'EN', false);
+    }
+
+    nextState() {
+        return this.getInput('D');
+    }
+}
+
+
+// --- 6. Bus Components ---
+// --- NEW: Fan a multi-bit bus out to single wires, and back in ---
+
+const BUS_WIDTH_OPTIONS = [2, 4, 8, 16];
+
+/**
+ * Splits one bus input into one single-bit output per bit.
+ * Output '0' is the least significant bit.
+ */
+class Splitter extends BaseGate {
+    constructor(x, y) {
+        super(x, y, 'SPLIT');
+        this.width = 60;
+        this.delay = 0; // Just wiring, no logic
+        this.setBitWidth(4);
+    }
+
+    /**
+     * Rebuilds the bus input and the per-bit outputs.
+     * Nodes that still exist after the resize keep their wires.
+     * @param {number} bitWidth - The new bus width.
+     */
+    setBitWidth(bitWidth) {
+        bitWidth = parseInt(bitWidth, 10);
+        if (!BUS_WIDTH_OPTIONS.includes(bitWidth)) bitWidth = 4;
+        this.bitWidth = bitWidth;
+
+        const nodeSpacing = 20;
+        this.height = Math.max(60, bitWidth * nodeSpacing + (nodeSpacing / 2));
+
+        // The bus side is recreated, since its width changed
+        let inp = new Node(this, 'input', 'in', bitWidth);
+        inp.relX = 0;
+        inp.relY = this.height / 2;
+        this.inputNodes = [inp];
+
+        const oldOutputs = this.outputNodes;
+        this.outputNodes = [];
+        for (let i = 0; i < bitWidth; i++) {
+            let out = oldOutputs[i] || new Node(this, 'output', String(i));
+            out.relX = this.width;
+            out.relY = (this.height * (i + 1)) / (bitWidth + 1);
+            this.outputNodes.push(out);
+        }
+    }
+
+    getProperties() {
+        return [
+            { name: 'Label', type: 'text', value: this.customLabel, prop: 'customLabel' },
+            { name: 'Bits', type: 'select', value: this.bitWidth, options: BUS_WIDTH_OPTIONS, prop: 'bitWidth' }
+        ];
+    }
+
+    calculate() {
+        return this.calculateOutputs()[0];
+    }
+
+    /**
+     * --- OVERRIDE: One output per bit ---
+     * @returns {Array<number>}
+     */
+    calculateOutputs() {
+        const value = Logic.read(this.inputNodes[0]);
+        if (!Logic.isKnown(value)) return this.outputNodes.map(() => value); // X or Z on every bit
+        return this.outputNodes.map((node, i) => (value >> i) & 1);
     }
 }
 
+/**
+ * Merges one single-bit input per bit into a bus output.
+ * Input '0' is the least significant bit.
+ */
+class Merger extends BaseGate {
+    constructor(x, y) {
+        super(x, y, 'MERGE');
+        this.width = 60;
+        this.delay = 0; // Just wiring, no logic
+        this.setBitWidth(4);
+    }
 
-// --- 5. The Wire Component ---
+    /**
+     * Rebuilds the per-bit inputs and the bus output.
+     * Nodes that still exist after the resize keep their wires.
+     * @param {number} bitWidth - The new bus width.
+     */
+    setBitWidth(bitWidth) {
+        bitWidth = parseInt(bitWidth, 10);
+        if (!BUS_WIDTH_OPTIONS.includes(bitWidth)) bitWidth = 4;
+        this.bitWidth = bitWidth;
+
+        const nodeSpacing = 20;
+        this.height = Math.max(60, bitWidth * nodeSpacing + (nodeSpacing / 2));
+
+        const oldInputs = this.inputNodes;
+        this.inputNodes = [];
+        for (let i = 0; i < bitWidth; i++) {
+            let inp = oldInputs[i] || new Node(this, 'input', String(i));
+            inp.relX = 0;
+            inp.relY = (this.height * (i + 1)) / (bitWidth + 1);
+            this.inputNodes.push(inp);
+        }
+
+        // The bus side is recreated, since its width changed
+        let out = new Node(this, 'output', 'out', bitWidth);
+        out.relX = this.width;
+        out.relY = this.height / 2;
+        this.outputNodes = [out];
+    }
+
+    getProperties() {
+        return [
+            { name: 'Label', type: 'text', value: this.customLabel, prop: 'customLabel' },
+            { name: 'Bits', type: 'select', value: this.bitWidth, options: BUS_WIDTH_OPTIONS, prop: 'bitWidth' }
+        ];
+    }
+
+    calculate() {
+        const bits = this.readInputs();
+        if (!bits.every(bit => Logic.isKnown(bit))) return Logic.X;
+        return bits.reduce((value, bit, i) => value | ((bit & 1) << i), 0);
+    }
+}
+
+
+/**
+ * --- NEW ---
+ * Tri-state buffer: passes 'in' through while EN is 1, and lets go of its
+ * output (Z) while EN is 0, so several buffers can share one net.
+ */
+class TriStateBuffer extends BaseGate {
+    constructor(x, y) {
+        super(x, y, 'TRISTATE');
+        this.setBitWidth(1);
+    }
+
+    /**
+     * Rebuilds the data input and output for a new width. EN stays 1 bit.
+     * @param {number} bitWidth - 1 for a single wire, or a bus width.
+     */
+    setBitWidth(bitWidth) {
+        bitWidth = parseInt(bitWidth, 10);
+        if (bitWidth !== 1 && !BUS_WIDTH_OPTIONS.includes(bitWidth)) bitWidth = 1;
+        this.bitWidth = bitWidth;
+
+        // Nodes that keep their width keep their wires
+        const keep = (node) => (node && node.bitWidth === bitWidth) ? node : null;
+        const enable = this.inputNodes[1] || new Node(this, 'input', 'EN');
+        let inp = keep(this.inputNodes[0]) || new Node(this, 'input', 'in', bitWidth);
+        inp.relX = 0;
+        inp.relY = this.height / 3;
+        enable.relX = 0;
+        enable.relY = (this.height * 2) / 3;
+        this.inputNodes = [inp, enable];
+
+        let out = keep(this.outputNodes[0]) || new Node(this, 'output', 'out', bitWidth);
+        out.relX = this.width;
+        out.relY = this.height / 2;
+        this.outputNodes = [out];
+    }
+
+    getProperties() {
+        return [
+            { name: 'Label', type: 'text', value: this.customLabel, prop: 'customLabel' },
+            { name: 'Bits', type: 'select', value: this.bitWidth, options: [1, ...BUS_WIDTH_OPTIONS], prop: 'bitWidth' },
+            ...this.getTimingProperties()
+        ];
+    }
+
+    calculate() {
+        const enable = Logic.read(this.inputNodes[1]);
+        if (enable === 0) return Logic.Z;
+        if (enable !== 1) return Logic.X; // Unknown enable
+
+        const value = Logic.read(this.inputNodes[0]);
+        return Logic.isKnown(value) ? value : Logic.X;
+    }
+}
+
+
+// --- 7. The Wire Component ---
 // This connects two Nodes together.
 class Wire {
     constructor(startNode, endNode) {
         this.id = `wire_${componentIdCounter++}`;
         this.startNode = startNode; // Should be an 'output' node
         this.endNode = endNode;     // Should be an 'input' node
+        this.bitWidth = startNode.bitWidth || 1; // --- NEW: Buses are wider than 1
         this.state = 0;
     }
 
     // The wire's job is to propagate the state.
-    // This is now called by the 'PROPAGATE' event in AnimationManager
+    // --- MODIFIED: The end node may have other drivers, so it resolves them all ---
     update() {
         this.state = this.startNode.state;
-        this.endNode.state = this.state;
+        this.endNode.resolve();
+    }
+}
+
+
+// --- 8. Subcircuit Instances ---
+// --- MOVED from subcircuit.js (the palette and navigation UI stay there) ---
+/**
+ * A placed copy of a subcircuit definition.
+ * Each InputToggle inside becomes an input pin and each OutputLed an output
+ * pin, ordered top to bottom and named after their custom labels.
+ */
+class SubcircuitInstance extends BaseGate {
+    constructor(x, y, definitionName) {
+        super(x, y, 'SUBCIRCUIT');
+        this.definitionName = definitionName;
+        this.innerComponents = [];
+        this.innerWires = [];
+        this.inputPins = []; // The InputToggles inside, one per input node
+        this.outputPins = []; // The OutputLeds inside, one per output node
+        this.netlist = null; // --- NEW: The inside, compiled on first use (see calculateOutputs())
+
+        this.rebuild();
+    }
+
+    /**
+     * Re-creates the inner circuit from the current definition and
+     * rebuilds the pins. Nodes whose label still exists keep their wires.
+     */
+    rebuild() {
+        const definition = Simulator.subcircuitDefinitions[this.definitionName];
+        if (!definition) {
+            throw new Error(`Unknown subcircuit: ${this.definitionName}`);
+        }
+
+        const inner = Simulator.buildCircuit(definition);
+        this.innerComponents = inner.components;
+        this.innerWires = inner.wires;
+        this.netlist = null;
+
+        const byPosition = (a, b) => (a.y - b.y) || (a.x - b.x);
+        this.inputPins = inner.components.filter(c => c instanceof InputToggle).sort(byPosition);
+        this.outputPins = inner.components.filter(c => c instanceof OutputLed).sort(byPosition);
+
+        const nodeSpacing = 20;
+        const pinCount = Math.max(this.inputPins.length, this.outputPins.length, 1);
+        this.height = Math.max(60, pinCount * nodeSpacing + (nodeSpacing / 2));
+
+        this.inputNodes = this.buildPinNodes('input', this.inputPins, this.inputNodes);
+        this.outputNodes = this.buildPinNodes('output', this.outputPins, this.outputNodes);
+    }
+
+    /**
+     * Creates (or reuses) one node per pin.
+     * @param {string} type - 'input' or 'output'
+     * @param {Array<BaseGate>} pins - The inner InputToggles or OutputLeds.
+     * @param {Array<Node>} oldNodes - The nodes before the rebuild.
+     * @returns {Array<Node>}
+     */
+    buildPinNodes(type, pins, oldNodes) {
+        const unused = [...oldNodes];
+
+        return pins.map((pin, i) => {
+            const label = pin.customLabel || `${type === 'input' ? 'in' : 'out'}${i + 1}`;
+            const reuseIndex = unused.findIndex(n => n.label === label);
+            const node = reuseIndex !== -1 ? unused.splice(reuseIndex, 1)[0] : new Node(this, type, label);
+
+            node.relX = type === 'input' ? 0 : this.width;
+            node.relY = (this.height * (i + 1)) / (pins.length + 1);
+            return node;
+        });
+    }
+
+    calculate() {
+        return this.calculateOutputs()[0] ?? 0;
     }
-}
\ No newline at end of file
+
+    /**
+     * --- OVERRIDE: Drives the inner inputs and settles the inner circuit ---
+     * --- MODIFIED: On a compiled netlist without gate delays (the instance
+     * has its own), so the inside is evaluated in level order. An inside
+     * that never settles gives X on every output ---
+     * @returns {Array<number|string>}
+     */
+    calculateOutputs() {
+        this.inputPins.forEach((pin, i) => {
+            pin.state = Logic.read(this.inputNodes[i]);
+            pin.outputNodes[0].state = pin.outputNodes[0].applyFault(pin.state);
+        });
+        if (!this.netlist) this.netlist = CompiledNetlist.compile(this.innerComponents, this.innerWires, { zeroDelay: true });
+        this.netlist.load(this.netlist.time);
+        const settled = this.netlist.evaluateAll(SimulationEngine.stepLimit(this.innerComponents));
+        this.netlist.store();
+        return this.outputPins.map(pin => settled ? pin.state : Logic.X);
+    }
+}
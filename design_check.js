@@ -0,0 +1,189 @@
+// --- Design Rule Checker ---
+// Scans the circuit for common wiring mistakes and lists them in a panel.
+// Clicking a problem pans the camera to the component and selects it.
+
+const DesignCheckManager = {
+    DEFAULT_FANOUT_LIMIT: 8,
+
+    // --- State ---
+    fanoutLimit: 8,
+    problems: [], // { severity: 'error'|'warning', message, component }
+    isVisible: false,
+
+    // --- UI Elements ---
+    wrapperElement: null,
+    listElement: null,
+    fanoutInput: null,
+
+    /**
+     * Finds the panel elements and hooks up listeners.
+     */
+    init: function() {
+        this.wrapperElement = document.getElementById('drc-wrapper');
+        this.listElement = document.getElementById('drc-list');
+        this.fanoutInput = document.getElementById('drc-fanout-input');
+        if (!this.wrapperElement) return;
+
+        this.fanoutLimit = this.DEFAULT_FANOUT_LIMIT;
+        if (this.fanoutInput) this.fanoutInput.value = this.fanoutLimit;
+
+        document.getElementById('drc-btn')?.addEventListener('click', () => this.run());
+        document.getElementById('drc-refresh-btn')?.addEventListener('click', () => this.run());
+        document.getElementById('drc-close-btn')?.addEventListener('click', () => this.toggle(false));
+        this.fanoutInput?.addEventListener('change', () => {
+            const limit = parseInt(this.fanoutInput.value, 10);
+            if (!isNaN(limit) && limit >= 1) this.fanoutLimit = limit;
+            this.fanoutInput.value = this.fanoutLimit;
+            this.run();
+        });
+
+        this.listElement?.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-problem-index]');
+            if (row) this.focusProblem(this.problems[Number(row.dataset.problemIndex)]);
+        });
+    },
+
+    /**
+     * Shows or hides the panel.
+     * @param {boolean} [visible] - Omit to toggle.
+     */
+    toggle: function(visible = !this.isVisible) {
+        this.isVisible = visible;
+        this.wrapperElement?.classList.toggle('hidden', !visible);
+    },
+
+    /**
+     * Checks the circuit and shows the results.
+     */
+    run: function() {
+        this.problems = this.check(Simulator.allComponents);
+        this.renderList();
+        this.toggle(true);
+
+        const errors = this.problems.filter(p => p.severity === 'error').length;
+        Main.updateStatus(this.problems.length === 0
+            ? "Design check passed: no problems found."
+            : `Design check: ${errors} error(s), ${this.problems.length - errors} warning(s).`);
+    },
+
+    // --- Rules ---
+
+    /**
+     * @param {BaseGate} component
+     * @returns {string} e.g. "AND #12", or the custom label.
+     */
+    componentName: function(component) {
+        return component.customLabel || `${component.label} ${component.id.replace('gate_', '#')}`;
+    },
+
+    /**
+     * Runs every rule. Problems are sorted errors first, then by position.
+     * @param {Array<BaseGate>} components
+     * @returns {Array<object>} - { severity, message, component }
+     */
+    check: function(components) {
+        const problems = [];
+        const add = (severity, component, message) => problems.push({ severity: severity, component: component, message: message });
+
+        for (const component of components) {
+            const name = this.componentName(component);
+
+            if (component instanceof OutputLed) {
+                if (component.inputNodes[0].connections.length === 0) add('error', component, `${name} has no driver.`);
+            } else {
+                // --- MODIFIED: Optional pins (e.g. PRE/CLR) may stay open ---
+                const open = component.inputNodes.filter(node => node.connections.length === 0 && !component.isOptionalInput(node));
+                if (open.length > 0) {
+                    const pins = open.map(node => node.label).join(', ');
+                    add('error', component, `${name}: input${open.length > 1 ? 's' : ''} ${pins} not connected.`);
+                }
+                if (component.outputNodes.length > 0 && component.outputNodes.every(node => node.connections.length === 0)) {
+                    add('warning', component, `${name} drives nothing.`);
+                }
+            }
+
+            for (const node of component.outputNodes) {
+                if (node.connections.length > this.fanoutLimit) {
+                    const pin = component.outputNodes.length > 1 ? ` (${node.label})` : '';
+                    add('warning', component, `${name}${pin} drives ${node.connections.length} inputs; the fan-out limit is ${this.fanoutLimit}.`);
+                }
+            }
+        }
+
+        // Duplicate labels
+        const byLabel = new Map();
+        components.filter(c => c.customLabel).forEach(c => {
+            if (!byLabel.has(c.customLabel)) byLabel.set(c.customLabel, []);
+            byLabel.get(c.customLabel).push(c);
+        });
+        for (const [label, group] of byLabel) {
+            if (group.length < 2) continue;
+            group.forEach(c => add('warning', c, `The label "${label}" is used by ${group.length} components.`));
+        }
+
+        // Stacked components: sweep left to right, only neighbours in x can overlap
+        const sorted = [...components].sort((a, b) => a.x - b.x);
+        for (let i = 0; i < sorted.length; i++) {
+            const a = sorted[i];
+            for (let j = i + 1; j < sorted.length && sorted[j].x < a.x + a.width; j++) {
+                const b = sorted[j];
+                if (b.y < a.y + a.height && a.y < b.y + b.height) {
+                    add('warning', b, `${this.componentName(b)} overlaps ${this.componentName(a)}.`);
+                }
+            }
+        }
+
+        const rank = { error: 0, warning: 1 };
+        return problems.sort((p, q) => (rank[p.severity] - rank[q.severity]) || TruthTableManager.byPosition(p.component, q.component));
+    },
+
+    // --- Display ---
+
+    /**
+     * Centres the camera on the problem's component and selects it.
+     * @param {object} problem
+     */
+    focusProblem: function(problem) {
+        if (!problem) return;
+        const component = problem.component;
+        if (!Simulator.allComponents.includes(component)) {
+            Main.updateStatus("That component is gone. Run the design check again.");
+            return;
+        }
+        CanvasRenderer.setPan(
+            CanvasRenderer.canvas.width / 2 - (component.x + component.width / 2),
+            CanvasRenderer.canvas.height / 2 - (component.y + component.height / 2)
+        );
+        Main.setSelectedComponent(component);
+        Main.updateStatus(problem.message);
+    },
+
+    renderList: function() {
+        if (!this.listElement) return;
+        this.listElement.innerHTML = '';
+        if (this.problems.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'drc-empty';
+            empty.textContent = 'No problems found.';
+            this.listElement.appendChild(empty);
+            return;
+        }
+
+        this.problems.forEach((problem, i) => {
+            const row = document.createElement('div');
+            row.className = `drc-row ${problem.severity}`;
+            row.dataset.problemIndex = i;
+            row.title = 'Show on canvas';
+
+            const badge = document.createElement('span');
+            badge.className = 'drc-severity';
+            badge.textContent = problem.severity === 'error' ? 'Error' : 'Warning';
+
+            const text = document.createElement('span');
+            text.textContent = problem.message;
+
+            row.append(badge, text);
+            this.listElement.appendChild(row);
+        });
+    }
+};
@@ -0,0 +1,537 @@
+// --- Simulation Engine ---
+// The event-driven core: the queue of timed events and what each one does
+// to the circuit. It has no DOM, log panel or animation of its own, so it
+// also runs under Node (see headless.js).
+// The AnimationManager drives it on the page and listens in as its
+// observer, for the explain-mode narration, wire pulses, the timing
+// diagram and breakpoints.
+// Batch evaluation (evaluateWith, applyInputs) runs on the compiled
+// netlist instead (see netlist.js), which is much faster on big circuits.
+
+// --- NEW: Event Queue ---
+// The pending events as a binary min-heap on (time, order scheduled), so
+// taking the next one costs O(log n) instead of Array.shift()'s O(n), and
+// events at the same time still run first come, first served.
+// Each node's pending output changes are indexed too, so scheduleOutput()
+// doesn't have to search the whole queue.
+
+class EventQueue {
+    constructor() {
+        this.heap = []; // Entries { event, time, seq }
+        this.nextSeq = 0;
+        this.cancelled = new Set(); // Entries taken out early; dropped when they reach the top
+        this.outputsByNode = new Map(); // Node -> its pending UPDATE_OUTPUT entries, in time order
+    }
+
+    /** @returns {number} How many events are waiting. */
+    get length() {
+        return this.heap.length - this.cancelled.size;
+    }
+
+    /**
+     * Adds an event at event.time.
+     * @param {object} event
+     */
+    push(event) {
+        const entry = { event: event, time: event.time, seq: this.nextSeq++ };
+        this.heap.push(entry);
+        this.siftUp(this.heap.length - 1);
+
+        if (event.type === 'UPDATE_OUTPUT') {
+            const pending = this.outputsByNode.get(event.node);
+            if (!pending) {
+                this.outputsByNode.set(event.node, [entry]);
+            } else {
+                let index = pending.length;
+                while (index > 0 && pending[index - 1].time > entry.time) index--;
+                pending.splice(index, 0, entry);
+            }
+        }
+    }
+
+    /** @returns {object|undefined} The next event, left in the queue. */
+    peek() {
+        this.dropCancelled();
+        return this.heap.length > 0 ? this.heap[0].event : undefined;
+    }
+
+    /** @returns {object|undefined} The next event, taken off the queue. */
+    shift() {
+        this.dropCancelled();
+        if (this.heap.length === 0) return undefined;
+        const entry = this.popTop();
+        if (entry.event.type === 'UPDATE_OUTPUT') this.forgetOutput(entry);
+        return entry.event;
+    }
+
+    clear() {
+        this.heap = [];
+        this.cancelled.clear();
+        this.outputsByNode.clear();
+    }
+
+    /**
+     * Copies the queue (the events themselves are shared), e.g. for Step Back.
+     * @returns {EventQueue}
+     */
+    clone() {
+        const copy = new EventQueue();
+        copy.heap = this.heap.slice();
+        copy.nextSeq = this.nextSeq;
+        copy.cancelled = new Set(this.cancelled);
+        for (const [node, pending] of this.outputsByNode) copy.outputsByNode.set(node, pending.slice());
+        return copy;
+    }
+
+    /**
+     * @param {Node} node
+     * @returns {object[]} The node's pending UPDATE_OUTPUT events, in time order.
+     */
+    outputsFor(node) {
+        const pending = this.outputsByNode.get(node);
+        return pending ? pending.map(entry => entry.event) : [];
+    }
+
+    /**
+     * Takes a pending UPDATE_OUTPUT event out of the queue.
+     * @param {object} event
+     */
+    cancel(event) {
+        const pending = this.outputsByNode.get(event.node);
+        const entry = pending && pending.find(e => e.event === event);
+        if (!entry) return;
+        this.forgetOutput(entry);
+        this.cancelled.add(entry);
+    }
+
+    /**
+     * @param {Function} predicate
+     * @returns {object[]} The waiting events it accepts, in the order they will run.
+     */
+    filter(predicate) {
+        return this.toArray().filter(predicate);
+    }
+
+    /** @returns {object[]} Every waiting event, in the order they will run. */
+    toArray() {
+        return this.heap.filter(entry => !this.cancelled.has(entry))
+            .sort(EventQueue.compare)
+            .map(entry => entry.event);
+    }
+
+    [Symbol.iterator]() {
+        return this.toArray()[Symbol.iterator]();
+    }
+
+    // --- Heap internals ---
+
+    static compare(a, b) {
+        return (a.time - b.time) || (a.seq - b.seq);
+    }
+
+    forgetOutput(entry) {
+        const pending = this.outputsByNode.get(entry.event.node);
+        if (!pending) return;
+        const index = pending.indexOf(entry);
+        if (index !== -1) pending.splice(index, 1);
+        if (pending.length === 0) this.outputsByNode.delete(entry.event.node);
+    }
+
+    dropCancelled() {
+        while (this.heap.length > 0 && this.cancelled.has(this.heap[0])) {
+            this.cancelled.delete(this.popTop());
+        }
+    }
+
+    popTop() {
+        const top = this.heap[0];
+        const last = this.heap.pop();
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            this.siftDown(0);
+        }
+        return top;
+    }
+
+    siftUp(index) {
+        const heap = this.heap;
+        const entry = heap[index];
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (EventQueue.compare(heap[parent], entry) <= 0) break;
+            heap[index] = heap[parent];
+            index = parent;
+        }
+        heap[index] = entry;
+    }
+
+    siftDown(index) {
+        const heap = this.heap;
+        const entry = heap[index];
+        const half = heap.length >> 1;
+        while (index < half) {
+            let child = 2 * index + 1;
+            if (child + 1 < heap.length && EventQueue.compare(heap[child + 1], heap[child]) < 0) child++;
+            if (EventQueue.compare(entry, heap[child]) <= 0) break;
+            heap[index] = heap[child];
+            index = child;
+        }
+        heap[index] = entry;
+    }
+}
+
+const SimulationEngine = {
+    MAX_INSTANT_STEPS: 200000, // Safety break for circuits that never settle
+    STEPS_PER_COMPONENT: 100, // --- NEW: ...raised for big circuits, see stepLimit()
+
+    // --- State ---
+    queue: new EventQueue(), // --- MODIFIED: Pending events, a heap ordered by event.time
+    netlist: null, // --- NEW: Compiled copy of the circuit while withNetlist() runs
+    time: 0, // Simulated time in ms (time of the last processed event)
+    observer: null, // Optional listener, see notify()
+
+    /**
+     * Forwards to the observer if it has the method.
+     * Observers may implement narrate(message, type), logContention(node),
+     * logError(message), onWirePulse(wire) and onEventProcessed(event, time).
+     * narrate() is only called while the observer's explainMode is on.
+     * @param {string} method
+     * @param {...*} args
+     */
+    notify: function(method, ...args) {
+        if (this.observer && typeof this.observer[method] === 'function') {
+            this.observer[method](...args);
+        }
+    },
+
+    /**
+     * --- NEW ---
+     * Narration strings are only built when someone reads them; on big
+     * circuits building them costs more than the simulation itself.
+     * @returns {boolean}
+     */
+    isNarrating: function() {
+        return !!(this.observer && this.observer.explainMode);
+    },
+
+    /**
+     * --- NEW ---
+     * How many events a settle may take before it counts as oscillating.
+     * Grows with the circuit, so a 100k-gate design isn't cut off.
+     * @param {Array<BaseGate>} [components] - An off-canvas circuit; the canvas by default.
+     * @returns {number}
+     */
+    stepLimit: function(components = Simulator.allComponents) {
+        return Math.max(this.MAX_INSTANT_STEPS, components.length * this.STEPS_PER_COMPONENT);
+    },
+
+    /**
+     * Empties the queue and rewinds time to 0.
+     */
+    reset: function() {
+        this.queue.clear();
+        this.time = 0;
+    },
+
+    /**
+     * @returns {string} The current simulated time, for log messages.
+     */
+    formatTime: function() {
+        return `[t = ${this.time}ms]`;
+    },
+
+    // --- Event Scheduling ---
+
+    /**
+     * Inserts an event into the queue at a simulated time.
+     * Events at the same time keep the order they were scheduled in.
+     * @param {object} event - The event ({ type, ... }).
+     * @param {number} time - When it happens, in simulated ms.
+     */
+    scheduleEvent: function(event, time) {
+        event.time = time;
+        this.queue.push(event); // --- MODIFIED: O(log n), see EventQueue
+    },
+
+    /**
+     * Schedules an output change after the gate's propagation delay.
+     * Inertial delay keeps at most one pending change per output, so a
+     * pulse shorter than the delay never reaches the output.
+     * Transport delay keeps every pending change, so pulses just shift later.
+     * @param {BaseGate} gate - The gate that calculated the value.
+     * @param {Node} outputNode - The output that should change.
+     * @param {number|string} newState - The calculated value.
+     * @returns {boolean} - True if a change was scheduled.
+     */
+    scheduleOutput: function(gate, outputNode, newState) {
+        const changeTime = this.time + gate.delay;
+        const pendingChanges = this.queue.outputsFor(outputNode); // --- MODIFIED: Indexed, no queue scan
+
+        if (gate.delayModel === 'transport') {
+            // A change that lands earlier overtakes any that were due later
+            const overtaken = pendingChanges.filter(e => e.time >= changeTime);
+            overtaken.forEach(e => this.queue.cancel(e));
+            const pending = pendingChanges.slice(0, pendingChanges.length - overtaken.length);
+            const lastState = pending.length > 0 ? pending[pending.length - 1].newState : outputNode.state;
+            if (newState === lastState) return false;
+        } else {
+            const pending = pendingChanges[0];
+            if (pending && pending.newState === newState) return false; // Already on its way
+
+            if (pending) {
+                this.queue.cancel(pending);
+                if (newState === outputNode.state && this.isNarrating()) {
+                    this.notify('narrate', `   ${this.formatTime()} \`${gate.label}\` swallowed a pulse shorter than its ${gate.delay}ms delay (inertial).`);
+                }
+            }
+            if (newState === outputNode.state) return false;
+        }
+
+        this.scheduleEvent({
+            type: 'UPDATE_OUTPUT',
+            component: gate,
+            node: outputNode,
+            newState: newState
+        }, changeTime);
+        return true;
+    },
+
+    // --- Running ---
+
+    /**
+     * Processes events until the queue is empty.
+     * @param {Function} [onEvent] - Called with the simulated time after each event.
+     * @returns {boolean} False if the circuit never settled (the queue is dropped).
+     */
+    runToCompletion: function(onEvent = null) {
+        const limit = this.stepLimit();
+        let steps = 0;
+        while (this.queue.length > 0) {
+            if (++steps > limit) {
+                this.queue.clear();
+                return false;
+            }
+            this.processNextEvent();
+            if (onEvent) onEvent(this.time);
+        }
+        return true;
+    },
+
+    /**
+     * Sets the given inputs, then evaluates every component and lets the
+     * circuit settle, synchronously.
+     * --- MODIFIED: Runs on the compiled netlist (see netlist.js); inside
+     * withNetlist() it is compiled once for the whole batch ---
+     * @param {Map<InputToggle|Clock, number>} values - Sources not listed keep their state.
+     * @returns {boolean} False if the circuit never settled (e.g. it oscillates).
+     */
+    evaluateWith: function(values) {
+        for (const [input, value] of values) {
+            input.state = value;
+            input.outputNodes[0].state = input.outputNodes[0].applyFault(value);
+        }
+        this.queue.clear();
+        const netlist = this.netlist || CompiledNetlist.compile(Simulator.allComponents, Simulator.allWires);
+        netlist.load(this.time);
+        const settled = netlist.evaluateAll(this.stepLimit());
+        netlist.store();
+        this.time = netlist.time;
+        return settled;
+    },
+
+    /**
+     * --- NEW ---
+     * Like evaluateWith(), but only the components the changed sources
+     * reach are evaluated. The rest of the circuit must already be settled.
+     * @param {Map<InputToggle|Clock, number>} values
+     * @returns {boolean} False if the circuit never settled.
+     */
+    applyInputs: function(values) {
+        this.queue.clear();
+        const netlist = this.netlist || CompiledNetlist.compile(Simulator.allComponents, Simulator.allWires);
+        netlist.load(this.time);
+        for (const [input, value] of values) netlist.setSource(input, value);
+        const settled = netlist.run(this.stepLimit());
+        netlist.store();
+        this.time = netlist.time;
+        return settled;
+    },
+
+    /**
+     * --- NEW ---
+     * Compiles the circuit once for a batch of evaluateWith() calls (a truth
+     * table, a test run). The circuit's wiring must not change inside.
+     * @param {Function} callback
+     * @returns {*} Whatever the callback returns.
+     */
+    withNetlist: function(callback) {
+        if (this.netlist) return callback();
+        this.netlist = CompiledNetlist.compile(Simulator.allComponents, Simulator.allWires);
+        try {
+            return callback();
+        } finally {
+            this.netlist = null;
+        }
+    },
+
+    /**
+     * Changes one input and lets the change ripple through with the real
+     * gate delays, calling onEvent() after every event so the caller can
+     * watch signals move (e.g. to catch glitches).
+     * @param {InputToggle} input
+     * @param {number} value
+     * @param {Function} onEvent - Called with the simulated time after each event.
+     * @returns {boolean} False if the circuit never settled.
+     */
+    applyInputChange: function(input, value, onEvent) {
+        input.state = value;
+        input.outputNodes[0].state = value;
+        this.queue.clear();
+        this.scheduleEvent({ type: 'UPDATE_INPUT', component: input }, this.time);
+        return this.runToCompletion(onEvent);
+    },
+
+    /**
+     * Takes the next event off the queue and carries it out.
+     */
+    processNextEvent: function() {
+        const event = this.queue.shift();
+        this.time = Math.max(this.time, event.time); // Time jumps to the event
+
+        switch (event.type) {
+
+            // --- An InputToggle was changed (or a Clock edge came) ---
+            case 'UPDATE_INPUT': {
+                const component = event.component;
+
+                // Clock edges set the level for their own time
+                if (event.isClockEdge && !component.updateForTime(event.time)) {
+                    break; // The period changed since this edge was scheduled
+                }
+
+                if (this.isNarrating()) {
+                    const sourceName = (component instanceof Clock) ? 'Clock' : 'Input';
+                    this.notify('narrate', `${this.formatTime()} ${sourceName} \`${component.label || component.id}\` value is now \`${component.state}\``);
+                }
+
+                // Add new events for all connected wires
+                const outputNode = component.outputNodes[0];
+                outputNode.state = outputNode.applyFault(outputNode.state); // Stuck-at faults
+                for (const wire of outputNode.connections) {
+                    this.scheduleEvent({
+                        type: 'PROPAGATE',
+                        wire: wire,
+                        newState: outputNode.state // Propagate the state set by toggle()
+                    }, this.time);
+                }
+                break;
+            }
+
+            // --- A Wire is propagating a signal ---
+            case 'PROPAGATE': {
+                const wire = event.wire;
+                const newState = event.newState;
+
+                // The end node resolves every wire driving it
+                const endNode = wire.endNode;
+                const oldWireState = wire.state;
+                const oldEndState = endNode.state;
+                const hadContention = endNode.contention;
+                wire.state = newState;
+                endNode.resolve();
+
+                // Only proceed if the state is *actually* changing
+                if (oldWireState === newState && oldEndState === endNode.state) {
+                    break; // No change, stop propagation
+                }
+
+                if (endNode.contention && !hadContention) {
+                    this.notify('logContention', endNode);
+                }
+
+                if (oldWireState !== newState && this.isNarrating()) {
+                    const fromLabel = wire.startNode.parentComponent.label || wire.startNode.parentComponent.id;
+                    const toLabel = wire.endNode.parentComponent.label || wire.endNode.parentComponent.id;
+                    this.notify('narrate', `   Signal \`${formatSignalValue(newState, wire.bitWidth)}\` is heading from \`${fromLabel}\` towards \`${toLabel}\``, 'log-calc');
+                    this.notify('onWirePulse', wire);
+                }
+
+                // Add a new event for the component this wire connects to
+                const nextComponent = wire.endNode.parentComponent;
+                if (nextComponent && !(nextComponent instanceof InputToggle)) {
+                    this.scheduleEvent({
+                        type: 'CALCULATE',
+                        component: nextComponent
+                    }, this.time);
+                }
+                break;
+            }
+
+            // --- A Gate or OutputLed is calculating its state ---
+            case 'CALCULATE': {
+                const gate = event.component;
+                const narrating = this.isNarrating();
+                const inputs = narrating ? gate.inputNodes.map(n => Logic.read(n)).join(', ') : '';
+                const gateLabel = gate.label || gate.id;
+
+                if (gate instanceof OutputLed) {
+                    // Always update/log LEDs
+                    gate.state = gate.calculate(); // Update the LED's internal state
+                    // X/Z outputs are reported as such
+                    if (narrating) {
+                        const ledText = Logic.isKnown(gate.state) ? (gate.state === 1 ? 'ON' : 'OFF') : `\`${gate.state}\``;
+                        this.notify('narrate', `${this.formatTime()} Output \`${gateLabel}\` turned ${ledText} (Input was: \`${inputs}\`)`);
+                    }
+                    break;
+                }
+
+                // Every output node is checked; changes land after the gate's delay (see UPDATE_OUTPUT)
+                const newStates = gate.calculateOutputs();
+                let scheduledAny = false;
+                gate.outputNodes.forEach((outputNode, i) => {
+                    // A stuck-at fault holds the output where it is
+                    if (this.scheduleOutput(gate, outputNode, outputNode.applyFault(newStates[i]))) scheduledAny = true;
+                });
+
+                if (scheduledAny && narrating) {
+                    const when = gate.delay > 0 ? `, due at t = ${this.time + gate.delay}ms` : '';
+                    this.notify('narrate', `   ${this.formatTime()} Gate \`${gateLabel}\` figured out: inputs [\`${inputs}\`] result in \`${newStates.join(', ')}\`${when}`, 'log-calc');
+                }
+                break;
+            }
+
+            // --- A gate's output changes once its delay has passed ---
+            case 'UPDATE_OUTPUT': {
+                const gate = event.component;
+                const outputNode = event.node;
+                const oldState = outputNode.state;
+                const newState = event.newState;
+                if (oldState === newState) break;
+
+                outputNode.state = newState;
+                if (this.isNarrating()) {
+                    const gateLabel = gate.label || gate.id;
+                    const outputName = gate.outputNodes.length > 1 ? `output \`${outputNode.label}\`` : 'output';
+                    const width = outputNode.bitWidth;
+                    this.notify('narrate', `   ${this.formatTime()} ...so, \`${gateLabel}\`'s ${outputName} changed: \`${formatSignalValue(oldState, width)}\` -> \`${formatSignalValue(newState, width)}\``);
+                }
+
+                // Add new events for all wires connected to this output
+                for (const wire of outputNode.connections) {
+                    this.scheduleEvent({
+                        type: 'PROPAGATE',
+                        wire: wire,
+                        newState: newState
+                    }, this.time);
+                }
+                break;
+            }
+
+            default:
+                console.warn("Unknown event type in queue:", event);
+                this.notify('logError', `Hmm, I encountered an unknown step type: ${event.type}`);
+        }
+
+        this.notify('onEventProcessed', event, this.time);
+    }
+};
@@ -0,0 +1,502 @@
+// --- Combinational Equivalence Checker ---
+// Compares two circuits (the canvas, a cloud save or a local file) whose
+// Inputs and Outputs are matched by label. Small circuits are checked by
+// trying every input combination; larger ones are proven with binary
+// decision diagrams (BDDs). A difference comes with a counterexample.
+
+/**
+ * --- NEW ---
+ * A reduced ordered binary decision diagram store. Functions are node ids;
+ * 0 and 1 are the constant functions. Equal functions always get the same
+ * id, so comparing two functions is comparing two numbers.
+ */
+class BDD {
+    constructor(maxNodes = 500000) {
+        this.maxNodes = maxNodes;
+        // Node i tests variable vars[i]: lows[i] if it is 0, highs[i] if it is 1
+        this.vars = [Infinity, Infinity];
+        this.lows = [0, 1];
+        this.highs = [0, 1];
+        this.unique = new Map(); // "var,low,high" -> id
+        this.cache = new Map(); // "f,g,h" -> ite(f, g, h)
+    }
+
+    get size() {
+        return this.vars.length;
+    }
+
+    /**
+     * @returns {number} The node for (variable ? high : low), shared if it exists.
+     * @throws {Error} If the diagram grows past maxNodes.
+     */
+    makeNode(variable, low, high) {
+        if (low === high) return low;
+        const key = `${variable},${low},${high}`;
+        let id = this.unique.get(key);
+        if (id === undefined) {
+            if (this.vars.length >= this.maxNodes) {
+                throw new Error(`The decision diagram grew past ${this.maxNodes} nodes; the circuits are too large to compare.`);
+            }
+            id = this.vars.length;
+            this.vars.push(variable);
+            this.lows.push(low);
+            this.highs.push(high);
+            this.unique.set(key, id);
+        }
+        return id;
+    }
+
+    variable(index) {
+        return this.makeNode(index, 0, 1);
+    }
+
+    /**
+     * If-then-else, the one operation everything else is built from.
+     * @returns {number} f ? g : h
+     */
+    ite(f, g, h) {
+        if (f === 1) return g;
+        if (f === 0) return h;
+        if (g === h) return g;
+        if (g === 1 && h === 0) return f;
+
+        const key = `${f},${g},${h}`;
+        const cached = this.cache.get(key);
+        if (cached !== undefined) return cached;
+
+        const top = Math.min(this.vars[f], this.vars[g], this.vars[h]);
+        const low = (n) => this.vars[n] === top ? this.lows[n] : n;
+        const high = (n) => this.vars[n] === top ? this.highs[n] : n;
+        const result = this.makeNode(top,
+            this.ite(low(f), low(g), low(h)),
+            this.ite(high(f), high(g), high(h)));
+        this.cache.set(key, result);
+        return result;
+    }
+
+    not(f) { return this.ite(f, 0, 1); }
+    and(f, g) { return this.ite(f, g, 0); }
+    or(f, g) { return this.ite(f, 1, g); }
+    xor(f, g) { return this.ite(f, this.not(g), g); }
+
+    /**
+     * @param {number} f
+     * @param {number} count - The number of variables.
+     * @returns {Array<number>|null} Variable values that make f true
+     *   (variables f doesn't test are 0), or null if f is always false.
+     */
+    satisfy(f, count) {
+        if (f === 0) return null;
+        const values = new Array(count).fill(0);
+        while (f !== 1) {
+            if (this.highs[f] !== 0) {
+                values[this.vars[f]] = 1;
+                f = this.highs[f];
+            } else {
+                f = this.lows[f];
+            }
+        }
+        return values;
+    }
+}
+
+const EquivalenceManager = {
+    EXHAUSTIVE_LIMIT: 12, // Up to 4096 combinations are simply tried
+    MAX_BDD_NODES: 500000,
+
+    // --- State ---
+    files: { a: null, b: null }, // Circuits opened from local files: { name, data }
+
+    // --- UI Elements ---
+    modalBackdrop: null,
+    resultElement: null,
+
+    /**
+     * Finds the modal elements and hooks up listeners.
+     */
+    init: function() {
+        this.modalBackdrop = document.getElementById('equivalence-modal-backdrop');
+        this.resultElement = document.getElementById('equivalence-result');
+
+        document.getElementById('equivalence-btn')?.addEventListener('click', () => this.openModal());
+        document.getElementById('equivalence-modal-close-btn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('equivalence-close-btn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('equivalence-check-btn')?.addEventListener('click', () => this.handleCheck());
+        this.modalBackdrop?.addEventListener('click', (e) => {
+            if (e.target === this.modalBackdrop) this.closeModal();
+        });
+
+        for (const side of ['a', 'b']) {
+            const fileInput = document.getElementById(`equivalence-file-${side}`);
+            document.getElementById(`equivalence-open-${side}`)?.addEventListener('click', () => fileInput?.click());
+            fileInput?.addEventListener('change', () => {
+                if (fileInput.files.length > 0) this.openFile(side, fileInput.files[0]);
+                fileInput.value = ''; // Allow the same file to be picked again
+            });
+        }
+    },
+
+    openModal: function() {
+        if (!this.modalBackdrop) return;
+        this.populateSources();
+        if (this.resultElement) this.resultElement.innerHTML = '';
+        this.modalBackdrop.classList.remove('hidden');
+    },
+
+    closeModal: function() {
+        this.modalBackdrop?.classList.add('hidden');
+    },
+
+    /**
+     * Fills both pickers with the canvas, the cloud saves and any opened file.
+     */
+    populateSources: function() {
+        for (const side of ['a', 'b']) {
+            const select = document.getElementById(`equivalence-source-${side}`);
+            if (!select) continue;
+            const previous = select.value;
+            select.innerHTML = '';
+
+            const addOption = (value, text) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            };
+            addOption('canvas', 'Current canvas');
+            StorageManager.savedCircuits.forEach(save => addOption(`cloud:${save.id}`, `☁ ${save.name}`));
+            if (this.files[side]) addOption('file', `📄 ${this.files[side].name}`);
+
+            if ([...select.options].some(option => option.value === previous)) select.value = previous;
+        }
+    },
+
+    /**
+     * Reads a circuit saved as JSON, either plain circuit data or a
+     * document with a circuitData string (as stored in the cloud).
+     */
+    openFile: function(side, file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                let data = JSON.parse(reader.result);
+                if (typeof data.circuitData === 'string') data = JSON.parse(data.circuitData);
+                if (!data.components || !data.wires) throw new Error("The file doesn't contain a circuit.");
+
+                this.files[side] = { name: file.name, data: data };
+                this.populateSources();
+                document.getElementById(`equivalence-source-${side}`).value = 'file';
+            } catch (error) {
+                this.showError(`Couldn't open ${file.name}: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
+    },
+
+    /**
+     * @param {string} side - 'a' or 'b'
+     * @returns {{name: string, data: object}}
+     */
+    getSelectedCircuit: function(side) {
+        const value = document.getElementById(`equivalence-source-${side}`)?.value || 'canvas';
+        if (value === 'file' && this.files[side]) return this.files[side];
+        if (value.startsWith('cloud:')) {
+            const save = StorageManager.savedCircuits.find(c => c.id === value.slice('cloud:'.length));
+            if (!save || !save.circuitData) throw new Error("That cloud circuit is no longer available.");
+            return { name: save.name, data: JSON.parse(save.circuitData) };
+        }
+        return { name: 'Current canvas', data: Simulator.getCircuitData() };
+    },
+
+    // --- Checking ---
+
+    /**
+     * Builds a circuit off the canvas, using its own subcircuit definitions.
+     * @param {object} data - Circuit data, as from Simulator.getCircuitData().
+     * @returns {object} - { components, wires }
+     */
+    buildCircuit: function(data) {
+        const canvasDefinitions = Simulator.subcircuitDefinitions;
+        Simulator.subcircuitDefinitions = { ...(data.subcircuits || {}) };
+        try {
+            return Simulator.buildCircuit(data);
+        } finally {
+            Simulator.subcircuitDefinitions = canvasDefinitions;
+        }
+    },
+
+    /**
+     * @returns {BaseGate|null} The first clock, flip-flop or latch, at any depth.
+     */
+    findSequential: function(components) {
+        for (const component of components) {
+            if (component instanceof Clock || component instanceof SequentialGate) return component;
+            if (component instanceof SubcircuitInstance) {
+                const inner = this.findSequential(component.innerComponents);
+                if (inner) return inner;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Pairs up the columns of both circuits by name.
+     * @returns {Array<Array<BaseGate>>} - [componentInA, componentInB] per name, in A's order.
+     * @throws {Error} If the names differ or repeat.
+     */
+    matchColumns: function(columnsA, columnsB, kind) {
+        const index = (columns) => {
+            const byName = new Map();
+            for (const column of columns) {
+                if (byName.has(column.name)) throw new Error(`Two ${kind}s are labelled "${column.name}"; labels must be unique.`);
+                byName.set(column.name, column.component);
+            }
+            return byName;
+        };
+        const a = index(columnsA);
+        const b = index(columnsB);
+        const onlyA = [...a.keys()].filter(name => !b.has(name));
+        const onlyB = [...b.keys()].filter(name => !a.has(name));
+        if (onlyA.length > 0 || onlyB.length > 0) {
+            const parts = [];
+            if (onlyA.length > 0) parts.push(`only A has ${onlyA.join(', ')}`);
+            if (onlyB.length > 0) parts.push(`only B has ${onlyB.join(', ')}`);
+            throw new Error(`The ${kind}s don't match: ${parts.join('; ')}.`);
+        }
+        return [...a.keys()].map(name => [a.get(name), b.get(name)]);
+    },
+
+    /**
+     * Proves two circuits equivalent or finds an input vector where they differ.
+     * @param {object} dataA - Circuit data.
+     * @param {object} dataB - Circuit data.
+     * @returns {object} - { equivalent, method, inputs, outputs, bddNodes, counterexample }
+     *   counterexample is { inputs: [], outputsA: [], outputsB: [] } or null.
+     * @throws {Error} If the circuits can't be compared.
+     */
+    check: function(dataA, dataB) {
+        const circuits = [this.buildCircuit(dataA), this.buildCircuit(dataB)];
+        circuits.forEach((circuit, i) => {
+            const sequential = this.findSequential(circuit.components);
+            if (sequential) {
+                throw new Error(`Circuit ${'AB'[i]} contains a ${sequential.label}; only combinational circuits can be compared.`);
+            }
+        });
+
+        const columns = circuits.map(circuit => TruthTableManager.getColumns(circuit.components));
+        const inputs = this.matchColumns(columns[0].inputs, columns[1].inputs, 'Input');
+        const outputs = this.matchColumns(columns[0].outputs, columns[1].outputs, 'Output');
+        if (outputs.length === 0) throw new Error("The circuits have no Outputs to compare.");
+
+        const result = {
+            equivalent: true,
+            method: inputs.length <= this.EXHAUSTIVE_LIMIT ? 'exhaustive' : 'bdd',
+            inputs: columns[0].inputs.map(column => column.name),
+            outputs: columns[0].outputs.map(column => column.name),
+            bddNodes: 0,
+            counterexample: null
+        };
+
+        // Circuit `side` (0 for A, 1 for B) with one input vector applied
+        const evaluateSide = (side, values) => {
+            const outputValues = this.evaluate(circuits[side], inputs.map(pair => pair[side]), values, outputs.map(pair => pair[side]));
+            if (!outputValues) {
+                const vector = result.inputs.map((name, i) => `${name}=${values[i]}`).join(', ');
+                throw new Error(`Circuit ${'AB'[side]} did not settle for ${vector}; it may be oscillating.`);
+            }
+            return outputValues;
+        };
+
+        let vector = null;
+        if (result.method === 'exhaustive') {
+            const count = Math.pow(2, inputs.length);
+            for (let row = 0; row < count && !vector; row++) {
+                const values = inputs.map((_, i) => (row >> (inputs.length - 1 - i)) & 1);
+                const outputsA = evaluateSide(0, values);
+                const outputsB = evaluateSide(1, values);
+                if (outputsA.some((value, i) => !this.sameValue(value, outputsB[i]))) vector = values;
+            }
+        } else {
+            const bdd = new BDD(this.MAX_BDD_NODES);
+            const functionsA = this.buildFunctions(bdd, inputs.map(pair => pair[0]), outputs.map(pair => pair[0]));
+            const functionsB = this.buildFunctions(bdd, inputs.map(pair => pair[1]), outputs.map(pair => pair[1]));
+            for (let i = 0; i < outputs.length && !vector; i++) {
+                vector = bdd.satisfy(bdd.xor(functionsA[i], functionsB[i]), inputs.length);
+            }
+            result.bddNodes = bdd.size;
+        }
+
+        if (vector) {
+            result.equivalent = false;
+            result.counterexample = {
+                inputs: vector,
+                outputsA: evaluateSide(0, vector),
+                outputsB: evaluateSide(1, vector)
+            };
+        }
+        return result;
+    },
+
+    /**
+     * Equal and known: an X or Z output never matches, so a floating
+     * output can't pass as equivalent.
+     */
+    sameValue: function(a, b) {
+        return a === b && Logic.isKnown(a);
+    },
+
+    /**
+     * Runs one input vector through an off-canvas circuit, on a compiled
+     * netlist (levelized, so the order the parts were saved in doesn't
+     * matter). It is compiled on first use and kept on the circuit; gate
+     * delays are left out, as only the settled Outputs are compared.
+     * @returns {Array<number|string>|null} The Outputs' values, or null if it never settles.
+     */
+    evaluate: function(circuit, inputs, values, outputs) {
+        inputs.forEach((input, i) => {
+            input.state = values[i];
+            input.outputNodes[0].state = input.outputNodes[0].applyFault(values[i]);
+        });
+        if (!circuit.netlist) circuit.netlist = CompiledNetlist.compile(circuit.components, circuit.wires, { zeroDelay: true });
+        const netlist = circuit.netlist;
+        netlist.load(netlist.time);
+        const settled = netlist.evaluateAll(SimulationEngine.stepLimit(circuit.components));
+        netlist.store();
+        return settled ? outputs.map(output => output.state) : null;
+    },
+
+    /**
+     * Builds a BDD for every Output by walking back through the gates.
+     * Subcircuits are looked into; anything that isn't a plain gate
+     * (buses, tri-states, shared nets, feedback) can't be compared this way.
+     * @param {BDD} bdd
+     * @param {Array<InputToggle>} inputs - Input i is BDD variable i.
+     * @param {Array<OutputLed>} outputs
+     * @returns {Array<number>} One BDD node per Output.
+     * @throws {Error} Naming the part that can't be handled.
+     */
+    buildFunctions: function(bdd, inputs, outputs) {
+        const known = new Map(inputs.map((input, i) => [input.outputNodes[0], bdd.variable(i)]));
+        const inProgress = new Set();
+
+        const fold = (values, operation) => values.reduce((acc, value) => operation.call(bdd, acc, value));
+
+        // The function seen at an input node
+        const driverOf = (node) => {
+            if (node.connections.length === 0) {
+                if (Logic.fourValued) throw new Error(`An input of ${node.parentComponent.label} is floating.`);
+                return 0;
+            }
+            if (node.connections.length > 1) {
+                throw new Error(`An input of ${node.parentComponent.label} is driven by ${node.connections.length} wires.`);
+            }
+            return functionOf(node.connections[0].startNode);
+        };
+
+        // The function produced at an output node
+        const functionOf = (node) => {
+            if (known.has(node)) return known.get(node);
+            if (inProgress.has(node)) throw new Error(`${node.parentComponent.label} is part of a feedback loop.`);
+            inProgress.add(node);
+
+            const component = node.parentComponent;
+            let result;
+            if (component instanceof SubcircuitInstance) {
+                // Tie the inner Inputs to whatever drives the pins, then read the inner Output
+                component.inputPins.forEach((pin, i) => known.set(pin.outputNodes[0], driverOf(component.inputNodes[i])));
+                result = driverOf(component.outputPins[component.outputNodes.indexOf(node)].inputNodes[0]);
+            } else {
+                const values = component.inputNodes.map(driverOf);
+                if (component instanceof NotGate) result = bdd.not(values[0]);
+                else if (component instanceof AndGate) result = fold(values, bdd.and);
+                else if (component instanceof OrGate) result = fold(values, bdd.or);
+                else if (component instanceof XorGate) result = fold(values, bdd.xor);
+                else if (component instanceof NandGate) result = bdd.not(fold(values, bdd.and));
+                else if (component instanceof NorGate) result = bdd.not(fold(values, bdd.or));
+                else if (component instanceof XnorGate) result = bdd.not(fold(values, bdd.xor));
+                else throw new Error(`${component.label} parts can't be compared with more than ${this.EXHAUSTIVE_LIMIT} inputs.`);
+            }
+
+            inProgress.delete(node);
+            known.set(node, result);
+            return result;
+        };
+
+        return outputs.map(output => driverOf(output.inputNodes[0]));
+    },
+
+    handleCheck: function() {
+        let sides;
+        let result;
+        try {
+            sides = [this.getSelectedCircuit('a'), this.getSelectedCircuit('b')];
+            result = this.check(sides[0].data, sides[1].data);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        this.renderResult(result);
+        if (result.equivalent) {
+            AnimationManager.logStep(`"${sides[0].name}" and "${sides[1].name}" are equivalent.`);
+        } else {
+            AnimationManager.logError(`"${sides[0].name}" and "${sides[1].name}" differ.`);
+        }
+    },
+
+    // --- Display ---
+
+    showError: function(message) {
+        if (!this.resultElement) return;
+        this.resultElement.innerHTML = '';
+        const line = document.createElement('div');
+        line.className = 'equivalence-verdict fail';
+        line.textContent = message;
+        this.resultElement.appendChild(line);
+    },
+
+    renderResult: function(result) {
+        if (!this.resultElement) return;
+        this.resultElement.innerHTML = '';
+
+        const verdict = document.createElement('div');
+        verdict.className = `equivalence-verdict ${result.equivalent ? 'pass' : 'fail'}`;
+        verdict.textContent = result.equivalent ? '✓ Equivalent' : '✗ Not equivalent';
+        this.resultElement.appendChild(verdict);
+
+        const detail = document.createElement('div');
+        detail.className = 'equivalence-detail';
+        const how = result.method === 'exhaustive'
+            ? `all ${Math.pow(2, result.inputs.length)} input combinations tried`
+            : `proven with a decision diagram of ${result.bddNodes} nodes`;
+        detail.textContent = `${result.inputs.length} input(s), ${result.outputs.length} output(s); ${how}.`;
+        this.resultElement.appendChild(detail);
+
+        if (!result.counterexample) return;
+
+        const example = result.counterexample;
+        const table = document.createElement('table');
+        table.className = 'truth-table equivalence-report';
+        const headRow = table.createTHead().insertRow();
+        ['', ...result.inputs, ...result.outputs].forEach((name, i) => {
+            const th = document.createElement('th');
+            th.textContent = name;
+            if (i === result.inputs.length + 1) th.className = 'divider';
+            headRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        [['A', example.outputsA], ['B', example.outputsB]].forEach(([side, values]) => {
+            const tr = body.insertRow();
+            tr.insertCell().textContent = side;
+            example.inputs.forEach(value => tr.insertCell().textContent = value);
+            values.forEach((value, i) => {
+                const td = tr.insertCell();
+                td.textContent = value;
+                const differs = !this.sameValue(example.outputsA[i], example.outputsB[i]);
+                td.className = (i === 0 ? 'divider' : '') + (differs ? ' mismatch' : '');
+            });
+        });
+        this.resultElement.appendChild(table);
+    }
+};
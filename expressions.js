@@ -0,0 +1,213 @@
+// --- Boolean Expressions per Output ---
+// Finds the Inputs each Output depends on by walking the component graph
+// backwards, evaluates the Output over them and shows its canonical and
+// minimized sum-of-products (see BooleanAlgebra).
+
+const ExpressionManager = {
+    MAX_CANONICAL_TERMS: 64, // Longer canonical forms are cut short in the modal
+
+    // --- State ---
+    lastResults: [],
+
+    // --- UI Elements ---
+    modalBackdrop: null,
+    listElement: null,
+
+    /**
+     * Finds the modal elements and hooks up listeners.
+     */
+    init: function() {
+        this.modalBackdrop = document.getElementById('expression-modal-backdrop');
+        this.listElement = document.getElementById('expression-list');
+
+        document.getElementById('expression-btn')?.addEventListener('click', () => this.openModal());
+        document.getElementById('expression-modal-close-btn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('expression-close-btn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('expression-copy-btn')?.addEventListener('click', () => this.copyToClipboard());
+        this.modalBackdrop?.addEventListener('click', (e) => {
+            if (e.target === this.modalBackdrop) this.closeModal();
+        });
+    },
+
+    openModal: function() {
+        if (!this.modalBackdrop) return;
+        this.lastResults = this.analyzeAll();
+        this.render(this.lastResults);
+        this.modalBackdrop.classList.remove('hidden');
+    },
+
+    closeModal: function() {
+        this.modalBackdrop?.classList.add('hidden');
+    },
+
+    // --- Analysis ---
+
+    /**
+     * Walks backwards from a component (inputNodes[].connections ->
+     * startNode.parentComponent) and collects the Inputs that reach it.
+     * @param {BaseGate} component
+     * @returns {{inputs: Set<InputToggle>, isSequential: boolean}}
+     *   isSequential is true if a clock, flip-flop, latch or subcircuit is
+     *   in the way, i.e. the result may depend on stored state.
+     */
+    getInputCone: function(component) {
+        const inputs = new Set();
+        const visited = new Set();
+        let isSequential = false;
+        const stack = [component];
+
+        while (stack.length > 0) {
+            const current = stack.pop();
+            if (visited.has(current)) continue;
+            visited.add(current);
+
+            if (current instanceof InputToggle) {
+                inputs.add(current);
+                continue;
+            }
+            if (current instanceof Clock || current instanceof SequentialGate || current instanceof SubcircuitInstance) {
+                isSequential = true;
+            }
+            for (const node of current.inputNodes) {
+                for (const wire of node.connections) {
+                    stack.push(wire.startNode.parentComponent);
+                }
+            }
+        }
+        return { inputs: inputs, isSequential: isSequential };
+    },
+
+    /**
+     * Evaluates one Output over the Inputs it depends on and minimizes it.
+     * Rows that come out X or Z are treated as don't-cares.
+     * @param {OutputLed} output
+     * @param {string} name - The Output's column name.
+     * @param {Map<InputToggle, string>} inputNames
+     * @returns {object} - { name, variables, minterms, dontCares, primeImplicants, cover, isSequential, error }
+     */
+    analyzeOutput: function(output, name, inputNames) {
+        const cone = this.getInputCone(output);
+        const inputs = [...inputNames.keys()].filter(input => cone.inputs.has(input)); // Keep the table's order
+        const variables = inputs.map(input => inputNames.get(input));
+        const result = { name: name, variables: variables, minterms: [], dontCares: [], primeImplicants: [], cover: [], isSequential: cone.isSequential, error: null };
+
+        if (inputs.length > TruthTableManager.MAX_INPUTS) {
+            result.error = `Depends on ${inputs.length} inputs; the limit is ${TruthTableManager.MAX_INPUTS}.`;
+            return result;
+        }
+
+        AnimationManager.runDetached(() => {
+            const count = Math.pow(2, inputs.length);
+            for (let minterm = 0; minterm < count; minterm++) {
+                const values = new Map();
+                inputs.forEach((input, i) => values.set(input, (minterm >> (inputs.length - 1 - i)) & 1));
+
+                const settled = AnimationManager.evaluateWith(values);
+                const value = settled ? output.state : Logic.X;
+                if (value === 1) result.minterms.push(minterm);
+                else if (!Logic.isKnown(value)) result.dontCares.push(minterm);
+            }
+        });
+
+        const minimized = BooleanAlgebra.minimize(inputs.length, result.minterms, result.dontCares);
+        result.primeImplicants = minimized.primeImplicants;
+        result.cover = minimized.cover;
+        return result;
+    },
+
+    /**
+     * @returns {Array<object>} analyzeOutput() for every Output, in table order.
+     */
+    analyzeAll: function() {
+        const columns = TruthTableManager.getColumns();
+        const inputNames = new Map(columns.inputs.map(column => [column.component, column.name]));
+        return columns.outputs.map(column => this.analyzeOutput(column.component, column.name, inputNames));
+    },
+
+    /**
+     * @param {object} result - From analyzeOutput().
+     * @returns {string} e.g. "Y = A'B + AC"
+     */
+    formatMinimized: function(result) {
+        return `${result.name} = ${BooleanAlgebra.sumToString(result.cover, result.variables)}`;
+    },
+
+    /**
+     * @param {object} result - From analyzeOutput().
+     * @returns {string} The canonical SOP, cut short if it's very long.
+     */
+    formatCanonical: function(result) {
+        const shown = result.minterms.slice(0, this.MAX_CANONICAL_TERMS);
+        let text = `${result.name} = ${BooleanAlgebra.canonicalSOP(shown, result.variables)}`;
+        if (result.minterms.length > shown.length) text += ` + … (${result.minterms.length - shown.length} more)`;
+        return text;
+    },
+
+    // --- Display ---
+
+    render: function(results) {
+        if (!this.listElement) return;
+        this.listElement.innerHTML = '';
+
+        if (results.length === 0) {
+            this.listElement.textContent = 'The circuit has no Outputs.';
+            return;
+        }
+
+        for (const result of results) {
+            const card = document.createElement('div');
+            card.className = 'expression-card';
+
+            const title = document.createElement('h4');
+            title.textContent = result.variables.length > 0
+                ? `${result.name}(${result.variables.join(', ')})`
+                : `${result.name} (no inputs reach it)`;
+            card.appendChild(title);
+
+            const addLine = (label, text, className = '') => {
+                const line = document.createElement('div');
+                line.className = `expression-line ${className}`;
+                const labelElement = document.createElement('span');
+                labelElement.className = 'expression-label';
+                labelElement.textContent = label;
+                const code = document.createElement('code');
+                code.textContent = text;
+                line.append(labelElement, code);
+                card.appendChild(line);
+            };
+
+            if (result.error) {
+                addLine('Error', result.error, 'warning');
+                this.listElement.appendChild(card);
+                continue;
+            }
+            if (result.isSequential) {
+                addLine('Note', 'A clock, flip-flop, latch or subcircuit feeds this output; the result is for its current stored state.', 'warning');
+            }
+            if (result.dontCares.length > 0) {
+                addLine('Note', `${result.dontCares.length} row(s) came out X/Z and were treated as don't-cares.`, 'warning');
+            }
+
+            addLine('Minterms', BooleanAlgebra.mintermList(result.minterms, result.dontCares));
+            addLine('Canonical SOP', this.formatCanonical(result));
+            addLine('Minimized', this.formatMinimized(result), 'minimized');
+            const primes = result.primeImplicants.map(implicant =>
+                `${BooleanAlgebra.termToString(implicant, result.variables)} m(${implicant.minterms.join(',')})${implicant.essential ? ' *' : ''}`);
+            addLine('Prime implicants', primes.length > 0 ? `${primes.join('   ')}   (* essential)` : 'none');
+
+            this.listElement.appendChild(card);
+        }
+    },
+
+    copyToClipboard: async function() {
+        const lines = this.lastResults.filter(result => !result.error).map(result => this.formatMinimized(result));
+        if (lines.length === 0) return;
+        try {
+            await navigator.clipboard.writeText(lines.join('\n'));
+            Main.updateStatus("Minimized expressions copied to the clipboard.");
+        } catch (error) {
+            console.error("Clipboard write failed:", error);
+            Main.updateStatus(`Couldn't copy the expressions: ${error.message}`);
+        }
+    }
+};
@@ -0,0 +1,212 @@
+// --- Stuck-at Faults and Fault Coverage ---
+// Faults are injected per node from the properties panel (Node.stuckAt,
+// honoured by the engine) and saved with the circuit (see serializeCircuit). The fault simulator injects every single
+// stuck-at fault in turn, runs the circuit's test vectors (see
+// TestVectorManager) and counts a fault as detected when a checked
+// output differs from the fault-free circuit.
+
+const FaultManager = {
+    // --- State ---
+    lastResult: null,
+
+    // --- UI Elements ---
+    modalBackdrop: null,
+    injectedList: null,
+    resultElement: null,
+
+    /**
+     * Finds the modal elements and hooks up listeners.
+     */
+    init: function() {
+        this.modalBackdrop = document.getElementById('fault-modal-backdrop');
+        this.injectedList = document.getElementById('fault-injected-list');
+        this.resultElement = document.getElementById('fault-result');
+
+        document.getElementById('fault-btn')?.addEventListener('click', () => this.openModal());
+        document.getElementById('fault-modal-close-btn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('fault-close-btn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('fault-run-btn')?.addEventListener('click', () => this.handleRun());
+        document.getElementById('fault-vectors-btn')?.addEventListener('click', () => {
+            this.closeModal();
+            TestVectorManager.openModal();
+        });
+        document.getElementById('fault-clear-btn')?.addEventListener('click', () => {
+            this.clearAll();
+            this.renderInjected();
+        });
+        this.modalBackdrop?.addEventListener('click', (e) => {
+            if (e.target === this.modalBackdrop) this.closeModal();
+        });
+    },
+
+    openModal: function() {
+        if (!this.modalBackdrop) return;
+        this.renderInjected();
+        if (this.resultElement) this.resultElement.innerHTML = '';
+        this.modalBackdrop.classList.remove('hidden');
+    },
+
+    closeModal: function() {
+        this.modalBackdrop?.classList.add('hidden');
+    },
+
+    // --- Fault List ---
+
+    /**
+     * @param {Node} node
+     * @param {number} value - 0 or 1
+     * @returns {string} e.g. "AND #12.A stuck-at-1"
+     */
+    describe: function(node, value) {
+        const component = node.parentComponent;
+        const name = component.customLabel || `${component.label} ${component.id.replace('gate_', '#')}`;
+        return `${name}.${component.getPinName(node)} stuck-at-${value}`;
+    },
+
+    /**
+     * Every single stuck-at fault on the canvas: both values on every
+     * single-bit node (uncollapsed, so equivalent faults are listed apart).
+     * @returns {Array<{node: Node, value: number}>}
+     */
+    getFaultList: function() {
+        const faults = [];
+        for (const component of Simulator.allComponents) {
+            for (const node of component.getAllNodes()) {
+                if (node.bitWidth !== 1) continue;
+                faults.push({ node: node, value: 0 }, { node: node, value: 1 });
+            }
+        }
+        return faults;
+    },
+
+    /**
+     * @returns {Array<Node>} Nodes with a fault injected right now.
+     */
+    getInjectedNodes: function() {
+        return Simulator.allComponents.flatMap(c => c.getAllNodes()).filter(node => node.stuckAt !== null);
+    },
+
+    /**
+     * Removes every injected fault and re-evaluates the canvas.
+     */
+    clearAll: function() {
+        const nodes = this.getInjectedNodes();
+        if (nodes.length === 0) return;
+        nodes.forEach(node => node.stuckAt = null);
+        AnimationManager.startSimulation();
+        Main.updateStatus(`Removed ${nodes.length} injected fault(s).`);
+    },
+
+    // --- Fault Simulation ---
+
+    /**
+     * Runs the test vectors once fault-free and once per single fault.
+     * Injected faults are lifted for the run and put back afterwards.
+     * @param {string} text - Test vectors, see TestVectorManager.parse().
+     * @returns {object} - { faults: [{ node, value, name, detectedAt }], detected, total, coverage }
+     *   detectedAt is the line of the first row that catches the fault, or null.
+     * @throws {Error} If the vectors can't be run or have no rows.
+     */
+    analyze: function(text) {
+        const injected = this.getInjectedNodes().map(node => ({ node: node, value: node.stuckAt }));
+        injected.forEach(entry => entry.node.stuckAt = null);
+
+        try {
+            const good = TestVectorManager.run(text);
+            if (good.rows.length === 0) throw new Error("The test vectors have no rows to apply.");
+
+            const faults = this.getFaultList().map(fault => {
+                fault.node.stuckAt = fault.value;
+                let faulty;
+                try {
+                    faulty = TestVectorManager.run(text);
+                } finally {
+                    fault.node.stuckAt = null;
+                }
+
+                // Only outputs the table checks count, compared with the fault-free circuit
+                const catching = faulty.rows.find((row, r) => row.expected.some((cell, i) =>
+                    cell !== '-' && String(row.actual[i]) !== String(good.rows[r].actual[i])));
+                return {
+                    node: fault.node,
+                    value: fault.value,
+                    name: this.describe(fault.node, fault.value),
+                    detectedAt: catching ? catching.line : null
+                };
+            });
+
+            const detected = faults.filter(fault => fault.detectedAt !== null).length;
+            return {
+                faults: faults,
+                detected: detected,
+                total: faults.length,
+                coverage: faults.length > 0 ? (100 * detected / faults.length) : 0
+            };
+        } finally {
+            injected.forEach(entry => entry.node.stuckAt = entry.value);
+        }
+    },
+
+    handleRun: function() {
+        try {
+            this.lastResult = this.analyze(Simulator.testVectors);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        const result = this.lastResult;
+        this.renderResult(result);
+        AnimationManager.logStep(`Fault coverage: ${result.detected}/${result.total} stuck-at faults detected (${result.coverage.toFixed(1)}%).`);
+    },
+
+    // --- Display ---
+
+    renderInjected: function() {
+        if (!this.injectedList) return;
+        this.injectedList.innerHTML = '';
+
+        const nodes = this.getInjectedNodes();
+        if (nodes.length === 0) {
+            this.injectedList.textContent = 'No faults injected. Pick one in a component\'s properties ("Fault").';
+            return;
+        }
+        for (const node of nodes) {
+            const item = document.createElement('div');
+            item.className = 'fault-item';
+            item.textContent = this.describe(node, node.stuckAt);
+            this.injectedList.appendChild(item);
+        }
+    },
+
+    showError: function(message) {
+        if (!this.resultElement) return;
+        this.resultElement.innerHTML = '';
+        const line = document.createElement('div');
+        line.className = 'fault-coverage low';
+        line.textContent = message;
+        this.resultElement.appendChild(line);
+    },
+
+    renderResult: function(result) {
+        if (!this.resultElement) return;
+        this.resultElement.innerHTML = '';
+
+        const summary = document.createElement('div');
+        summary.className = `fault-coverage ${result.coverage === 100 ? 'full' : 'low'}`;
+        summary.textContent = `Coverage: ${result.coverage.toFixed(1)}% (${result.detected} of ${result.total} faults detected)`;
+        this.resultElement.appendChild(summary);
+
+        const undetected = result.faults.filter(fault => fault.detectedAt === null);
+        const heading = document.createElement('h4');
+        heading.textContent = undetected.length > 0 ? `Undetected faults (${undetected.length})` : 'Every fault is detected.';
+        this.resultElement.appendChild(heading);
+
+        for (const fault of undetected) {
+            const item = document.createElement('div');
+            item.className = 'fault-item undetected';
+            item.textContent = fault.name;
+            this.resultElement.appendChild(item);
+        }
+    }
+};
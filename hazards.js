@@ -0,0 +1,293 @@
+// --- Static Hazard and Glitch Detection ---
+// For every Output, tries each single-input change that should leave the
+// Output where it is (two adjacent 1s or two adjacent 0s of its truth
+// table). The changing input is set to X and the circuit evaluated
+// (ternary simulation): if the X reaches the Output, two paths of
+// different polarity reconverge and the Output can glitch — a static
+// hazard. Each hazard is then replayed through the engine with the real
+// gate delays to show the glitch pulses it actually produces.
+
+const HazardAnalyzer = {
+    MAX_INPUTS: 10, // n · 2^(n-1) transitions per Output
+    MAX_REPLAYS: 64, // Hazards replayed with delays; the rest are only listed
+
+    // --- State ---
+    lastResults: [],
+
+    // --- UI Elements ---
+    modalBackdrop: null,
+    listElement: null,
+
+    /**
+     * Finds the modal elements and hooks up listeners.
+     */
+    init: function() {
+        this.modalBackdrop = document.getElementById('hazard-modal-backdrop');
+        this.listElement = document.getElementById('hazard-list');
+
+        document.getElementById('hazard-btn')?.addEventListener('click', () => this.openModal());
+        document.getElementById('hazard-modal-close-btn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('hazard-close-btn')?.addEventListener('click', () => this.closeModal());
+        this.modalBackdrop?.addEventListener('click', (e) => {
+            if (e.target === this.modalBackdrop) this.closeModal();
+        });
+    },
+
+    openModal: function() {
+        if (!this.modalBackdrop) return;
+        this.lastResults = this.analyzeAll();
+        this.render(this.lastResults);
+        this.modalBackdrop.classList.remove('hidden');
+    },
+
+    closeModal: function() {
+        this.modalBackdrop?.classList.add('hidden');
+    },
+
+    // --- Analysis ---
+
+    /**
+     * @returns {Array<object>} analyzeOutput() for every Output, in table order.
+     */
+    analyzeAll: function() {
+        const columns = TruthTableManager.getColumns();
+        const inputNames = new Map(columns.inputs.map(column => [column.component, column.name]));
+        let replays = 0;
+        return columns.outputs.map(column => {
+            const result = this.analyzeOutput(column.component, column.name, inputNames, this.MAX_REPLAYS - replays);
+            replays += result.hazards.filter(hazard => hazard.glitches).length;
+            return result;
+        });
+    },
+
+    /**
+     * Finds the static hazards of one Output.
+     * @param {OutputLed} output
+     * @param {string} name - The Output's column name.
+     * @param {Map<InputToggle, string>} inputNames
+     * @param {number} replayBudget - How many hazards may still be replayed with delays.
+     * @returns {object} - { name, variables, hazards, isSequential, error }
+     *   Each hazard is { type, input, variable, from, to, gates, reconvergent, fix, glitches }.
+     */
+    analyzeOutput: function(output, name, inputNames, replayBudget = this.MAX_REPLAYS) {
+        const result = { name: name, variables: [], hazards: [], isSequential: false, error: null };
+
+        const cone = ExpressionManager.getInputCone(output);
+        const inputs = [...inputNames.keys()].filter(input => cone.inputs.has(input));
+        result.variables = inputs.map(input => inputNames.get(input));
+        result.isSequential = cone.isSequential;
+        if (cone.isSequential) {
+            result.error = 'A clock, flip-flop, latch or subcircuit feeds this output; only combinational logic is checked.';
+            return result;
+        }
+        if (inputs.length > this.MAX_INPUTS) {
+            result.error = `Depends on ${inputs.length} inputs; the limit is ${this.MAX_INPUTS}.`;
+            return result;
+        }
+
+        const n = inputs.length;
+        const gates = this.getConeGates(output);
+        const valuesOf = (minterm) => new Map(inputs.map((input, i) => [input, (minterm >> (n - 1 - i)) & 1]));
+
+        AnimationManager.runDetached(() => {
+            // 1. The function itself
+            const table = [];
+            for (let minterm = 0; minterm < (1 << n); minterm++) {
+                table.push(AnimationManager.evaluateWith(valuesOf(minterm)) ? output.state : Logic.X);
+            }
+
+            // 2. Ternary simulation of every change that shouldn't move the Output
+            for (let minterm = 0; minterm < (1 << n); minterm++) {
+                for (let i = 0; i < n; i++) {
+                    const bit = 1 << (n - 1 - i);
+                    if (minterm & bit) continue; // Each pair once, from its 0 side
+                    const other = minterm | bit;
+                    if (!Logic.isKnown(table[minterm]) || table[minterm] !== table[other]) continue;
+
+                    const values = valuesOf(minterm);
+                    values.set(inputs[i], Logic.X);
+                    AnimationManager.evaluateWith(values);
+                    if (Logic.isKnown(output.state)) continue;
+
+                    const unknown = gates.filter(gate => gate.outputNodes.some(node => !Logic.isKnown(node.state)));
+                    result.hazards.push({
+                        type: table[minterm] === 1 ? 'static-1' : 'static-0',
+                        input: inputs[i],
+                        variable: result.variables[i],
+                        from: minterm,
+                        to: other,
+                        gates: unknown,
+                        // Where an X path meets another: more than one unknown input
+                        reconvergent: unknown.filter(gate => gate.inputNodes.filter(node => !Logic.isKnown(Logic.read(node))).length > 1),
+                        fix: null,
+                        glitches: null
+                    });
+                }
+            }
+
+            // 3. Replay each hazard both ways with the real delays
+            for (const hazard of result.hazards.slice(0, Math.max(0, replayBudget))) {
+                hazard.glitches = [
+                    this.replay(output, valuesOf(hazard.from), hazard.input, 1),
+                    this.replay(output, valuesOf(hazard.to), hazard.input, 0)
+                ];
+            }
+
+            // 4. The term that would cover each pair (the missing consensus term)
+            const ones = table.map((value, m) => value === 1 ? m : -1).filter(m => m >= 0);
+            const zeros = table.map((value, m) => value === 0 ? m : -1).filter(m => m >= 0);
+            const dontCares = table.map((value, m) => Logic.isKnown(value) ? -1 : m).filter(m => m >= 0);
+            const onPrimes = BooleanAlgebra.minimize(n, ones, dontCares).primeImplicants;
+            const offPrimes = BooleanAlgebra.minimize(n, zeros, dontCares).primeImplicants;
+            for (const hazard of result.hazards) {
+                const primes = hazard.type === 'static-1' ? onPrimes : offPrimes;
+                const term = primes.find(p => p.minterms.includes(hazard.from) && p.minterms.includes(hazard.to));
+                if (!term) continue;
+                hazard.fix = hazard.type === 'static-1'
+                    ? `add the product term ${BooleanAlgebra.termToString(term, result.variables)}`
+                    : `add the sum term ${BooleanAlgebra.productOfSumsToString([term], result.variables)}`;
+            }
+        });
+
+        return result;
+    },
+
+    /**
+     * @param {BaseGate} output
+     * @returns {Array<BaseGate>} The logic between the Inputs and the Output.
+     */
+    getConeGates: function(output) {
+        const visited = new Set();
+        const stack = [output];
+        while (stack.length > 0) {
+            const current = stack.pop();
+            if (visited.has(current)) continue;
+            visited.add(current);
+            current.inputNodes.forEach(node => node.connections.forEach(wire => stack.push(wire.startNode.parentComponent)));
+        }
+        return [...visited].filter(c => !(c instanceof InputToggle) && !(c instanceof OutputLed));
+    },
+
+    /**
+     * Settles the circuit at the start values, then changes one input with
+     * the engine's delays and records every change of the Output.
+     * Only valid inside runDetached().
+     * @returns {object} - { variable value it goes to, pulses: [{ start, end, value }], settled }
+     *   Pulse times are relative to the input change.
+     */
+    replay: function(output, startValues, input, newValue) {
+        AnimationManager.evaluateWith(startValues);
+        const startTime = AnimationManager.simulationTime;
+        const steady = output.state;
+        const changes = [];
+        let last = steady;
+
+        const settled = AnimationManager.applyInputChange(input, newValue, (time) => {
+            if (output.state === last) return;
+            last = output.state;
+            changes.push({ time: time - startTime, value: last });
+        });
+
+        // Each excursion away from the steady value is one pulse
+        const pulses = [];
+        for (let i = 0; i < changes.length; i++) {
+            if (changes[i].value === steady) continue;
+            const back = changes.slice(i + 1).find(change => change.value === steady);
+            pulses.push({ start: changes[i].time, end: back ? back.time : null, value: changes[i].value });
+            if (!back) break;
+            i = changes.indexOf(back);
+        }
+        return { value: newValue, pulses: pulses, settled: settled };
+    },
+
+    // --- Display ---
+
+    /**
+     * @returns {string} e.g. "B 0→1 with A=1, C=1"
+     */
+    describeTransition: function(result, hazard, rising = true) {
+        const n = result.variables.length;
+        const others = result.variables
+            .map((name, i) => ({ name: name, value: (hazard.from >> (n - 1 - i)) & 1 }))
+            .filter(entry => entry.name !== hazard.variable)
+            .map(entry => `${entry.name}=${entry.value}`);
+        const change = rising ? '0→1' : '1→0';
+        return `${hazard.variable} ${change}${others.length > 0 ? ` with ${others.join(', ')}` : ''}`;
+    },
+
+    /**
+     * @returns {string} e.g. "glitch to 0 from +2 to +3 ms" or "no glitch"
+     */
+    describeGlitches: function(replay) {
+        if (!replay.settled) return 'never settles';
+        if (replay.pulses.length === 0) return 'no glitch with the current delays';
+        return replay.pulses.map(pulse => pulse.end === null
+            ? `stuck at ${pulse.value} from +${pulse.start} ms`
+            : `glitch to ${pulse.value} from +${pulse.start} to +${pulse.end} ms (${pulse.end - pulse.start} ms wide)`).join('; ');
+    },
+
+    render: function(results) {
+        if (!this.listElement) return;
+        this.listElement.innerHTML = '';
+
+        if (results.length === 0) {
+            this.listElement.textContent = 'The circuit has no Outputs.';
+            return;
+        }
+
+        for (const result of results) {
+            const card = document.createElement('div');
+            card.className = 'expression-card';
+
+            const title = document.createElement('h4');
+            title.textContent = `${result.name}(${result.variables.join(', ')})`;
+            card.appendChild(title);
+
+            const addLine = (label, text, className = '') => {
+                const line = document.createElement('div');
+                line.className = `expression-line ${className}`;
+                const labelElement = document.createElement('span');
+                labelElement.className = 'expression-label';
+                labelElement.textContent = label;
+                const code = document.createElement('code');
+                code.textContent = text;
+                line.append(labelElement, code);
+                card.appendChild(line);
+            };
+
+            if (result.error) {
+                addLine('Skipped', result.error, 'warning');
+            } else if (result.hazards.length === 0) {
+                addLine('Hazards', 'none: no single input change can glitch this output', 'minimized');
+            }
+
+            for (const hazard of result.hazards) {
+                const item = document.createElement('div');
+                item.className = `hazard-item ${hazard.type}`;
+                card.appendChild(item);
+
+                const heading = document.createElement('div');
+                heading.className = 'hazard-heading';
+                heading.textContent = `${hazard.type === 'static-1' ? 'Static-1' : 'Static-0'} hazard: ${this.describeTransition(result, hazard)}`;
+                item.appendChild(heading);
+
+                const gateNames = hazard.gates.map(gate => LoopDetector.componentName(gate));
+                const meeting = hazard.reconvergent.map(gate => LoopDetector.componentName(gate));
+                const details = [`Gates involved: ${gateNames.join(', ') || '—'}`];
+                if (meeting.length > 0) details.push(`Paths reconverge at ${meeting.join(', ')}`);
+                if (hazard.fix) details.push(`Fix: ${hazard.fix}`);
+                if (hazard.glitches) {
+                    details.push(`${hazard.variable} 0→1: ${this.describeGlitches(hazard.glitches[0])}`);
+                    details.push(`${hazard.variable} 1→0: ${this.describeGlitches(hazard.glitches[1])}`);
+                }
+                details.forEach(text => {
+                    const line = document.createElement('div');
+                    line.textContent = text;
+                    item.appendChild(line);
+                });
+            }
+
+            this.listElement.appendChild(card);
+        }
+    }
+};
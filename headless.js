@@ -0,0 +1,158 @@
+// --- Headless Core (Node.js) ---
+// Loads the DOM-free part of the simulator (components.js, simulator.js,
+// netlist.js and engine.js) so circuits can be simulated without a
+// browser, e.g. to grade a folder of student submissions (see cli.js).
+// The files are plain browser scripts that share one global scope, so they
+// are run together in a fresh VM context; every createCore() call gets its
+// own, and circuits never leak into each other.
+//
+//   const { createCore } = require('./headless.js');
+//   const core = createCore();
+//   core.load(JSON.parse(fs.readFileSync('adder.json', 'utf8')));
+//   core.evaluate({ A: 1, B: 1 }); // { inputs: [...], outputs: [{ name: 'S', value: 0 }, ...], settled: true }
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const CORE_FILES = ['components.js', 'simulator.js', 'netlist.js', 'engine.js'];
+const MAX_TABLE_INPUTS = 16; // 65536 rows
+
+// The core logs progress ("Resetting simulation...") with console.log;
+// only its warnings are worth showing on the command line.
+const quietConsole = {
+    log: () => {},
+    info: () => {},
+    warn: (...args) => console.error(...args),
+    error: (...args) => console.error(...args)
+};
+
+/**
+ * Creates an independent simulator.
+ * @param {object} [options]
+ * @param {object} [options.console] - Receives the core's console output (default: warnings only, on stderr).
+ * @returns {object} - { Simulator, SimulationEngine, CompiledNetlist, Logic, load, getColumns, evaluate, truthTable }
+ */
+function createCore(options = {}) {
+    const context = vm.createContext({ console: options.console || quietConsole });
+    for (const file of CORE_FILES) {
+        const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    }
+    const { Simulator, SimulationEngine, CompiledNetlist, Logic } =
+        vm.runInContext('({ Simulator, SimulationEngine, CompiledNetlist, Logic })', context);
+
+    return {
+        Simulator: Simulator,
+        SimulationEngine: SimulationEngine,
+        CompiledNetlist: CompiledNetlist,
+        Logic: Logic,
+
+        /**
+         * Replaces the circuit and settles it with the saved input values.
+         * @param {object|string} data - getCircuitData() output, as an object or JSON.
+         *   A cloud save ({ name, circuitData: "<json>" }) is unwrapped.
+         * @returns {boolean} False if the circuit never settled.
+         * @throws {Error} If the data is not a circuit.
+         */
+        load: function(data) {
+            if (typeof data === 'string') data = JSON.parse(data);
+            if (data && typeof data.circuitData === 'string') data = JSON.parse(data.circuitData);
+            Simulator.loadCircuitData(data);
+            // The wiring only changes here, so it is compiled once per circuit
+            SimulationEngine.netlist = CompiledNetlist.compile(Simulator.allComponents, Simulator.allWires);
+            return SimulationEngine.evaluateWith(new Map());
+        },
+
+        /**
+         * @returns {{inputs: string[], outputs: string[]}} The column names, as in the truth table.
+         */
+        getColumns: function() {
+            const columns = Simulator.getIOColumns();
+            return {
+                inputs: columns.inputs.map(column => column.name),
+                outputs: columns.outputs.map(column => column.name)
+            };
+        },
+
+        /**
+         * Sets some inputs and lets the circuit settle. Inputs that aren't
+         * given keep their current value; Clocks keep their current level.
+         * Only the part of the circuit the changed inputs reach is evaluated.
+         * @param {object|Map} assignments - Input name -> 0 or 1.
+         * @returns {object} - { inputs: [{ name, value }], outputs: [{ name, value }], settled }
+         *   inputs lists every Input's value after the assignment.
+         * @throws {Error} If an input name or value is unknown.
+         */
+        evaluate: function(assignments) {
+            const columns = Simulator.getIOColumns();
+            const byName = new Map(columns.inputs.map(column => [column.name, column.component]));
+            const entries = assignments instanceof Map ? [...assignments] : Object.entries(assignments);
+
+            const values = new Map();
+            for (const [name, value] of entries) {
+                const input = byName.get(name);
+                if (!input) {
+                    const known = columns.inputs.map(column => column.name).join(', ') || 'none';
+                    throw new Error(`Unknown input "${name}". The circuit's inputs are: ${known}.`);
+                }
+                const bit = Number(value);
+                if (bit !== 0 && bit !== 1) throw new Error(`Input "${name}" must be 0 or 1, not "${value}".`);
+                values.set(input, bit);
+            }
+
+            const settled = SimulationEngine.applyInputs(values);
+            const read = column => ({ name: column.name, value: column.component.state });
+            return {
+                inputs: columns.inputs.map(read),
+                outputs: columns.outputs.map(read),
+                settled: settled
+            };
+        },
+
+        /**
+         * Runs every input combination. The first input is the most
+         * significant bit. The circuit is put back as it was afterwards.
+         * @returns {object} - { inputs, outputs, rows: [{ inputs: [], outputs: [] }], unsettled }
+         * @throws {Error} If there are no inputs/outputs or too many inputs.
+         */
+        truthTable: function() {
+            const { inputs, outputs } = Simulator.getIOColumns();
+            if (inputs.length === 0) throw new Error("The circuit has no Inputs.");
+            if (outputs.length === 0) throw new Error("The circuit has no Outputs.");
+            if (inputs.length > MAX_TABLE_INPUTS) {
+                throw new Error(`${inputs.length} inputs would make ${Math.pow(2, inputs.length)} rows. The limit is ${MAX_TABLE_INPUTS} inputs.`);
+            }
+
+            const saved = { circuit: Simulator.captureState(), time: SimulationEngine.time };
+            const rows = [];
+            let unsettled = 0;
+            try {
+                for (let combination = 0; combination < Math.pow(2, inputs.length); combination++) {
+                    const values = new Map();
+                    const inputValues = inputs.map((column, i) => {
+                        const bit = (combination >> (inputs.length - 1 - i)) & 1;
+                        values.set(column.component, bit);
+                        return bit;
+                    });
+                    if (!SimulationEngine.evaluateWith(values)) unsettled++;
+                    rows.push({ inputs: inputValues, outputs: outputs.map(column => column.component.state) });
+                }
+            } finally {
+                Simulator.restoreState(saved.circuit);
+                SimulationEngine.time = saved.time;
+            }
+
+            return {
+                inputs: inputs.map(column => column.name),
+                outputs: outputs.map(column => column.name),
+                rows: rows,
+                unsettled: unsettled
+            };
+        }
+    };
+}
+
+module.exports = { createCore, CORE_FILES, MAX_TABLE_INPUTS };
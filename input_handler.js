@@ -120,6 +120,9 @@ const InputHandler = {
         });
 
         this.canvasWrapper.addEventListener('contextmenu', (e) => e.preventDefault());
+
+        // --- NEW: Double-click drills into subcircuits ---
+        this.canvasWrapper.addEventListener('dblclick', this.handleDoubleClick.bind(this));
     },
 
     // --- Pointer Event Handlers (Mouse + Touch) ---
@@ -168,7 +171,7 @@ const InputHandler = {
         this.lastMouseScreenX = pointer.clientX;
         this.lastMouseScreenY = pointer.clientY;
         
-        if (e.target.closest('.modal-dialog') || e.target.closest('#ai-modal') || e.target.closest('#properties-popup')) {
+        if (e.target.closest('.modal-dialog') || e.target.closest('#ai-modal') || e.target.closest('#properties-popup') || e.target.closest('#breadcrumb-bar')) {
              return; 
         }
         
@@ -185,6 +188,12 @@ const InputHandler = {
             
             // --- MODIFIED: Handle selection based on tool ---
             if (Main.currentTool === 'SELECT') {
+                 // --- NEW: Shift+click builds a group instead ---
+                 if (e.shiftKey && clickedObject instanceof BaseGate) {
+                     Main.toggleGroupSelection(clickedObject);
+                     return;
+                 }
+                 Main.selectedGroup.clear();
                  if (clickedObject && (clickedObject instanceof BaseGate)) {
                     Main.setSelectedComponent(clickedObject); 
                  } else {
@@ -207,7 +216,9 @@ const InputHandler = {
                             }
                         } else if (clickedObject instanceof InputToggle) {
                             Simulator.toggleInput(clickedObject);
-                            AnimationManager.startSimulation(); 
+                            if (!WorkerManager.setInput(clickedObject)) { // --- NEW: A background run takes it over
+                                AnimationManager.startSimulation([clickedObject]); // --- MODIFIED: Only its fan-out cone
+                            }
                             Simulator.autoSaveCircuit(); 
                         } else if (clickedObject instanceof BaseGate) {
                             const clickRelX = worldX - clickedObject.x;
@@ -318,6 +329,24 @@ const InputHandler = {
         }
     },
 
+    /**
+     * --- NEW ---
+     * Opens a subcircuit instance when it is double-clicked.
+     */
+    handleDoubleClick: function(e) {
+        if (e.target.closest('#properties-popup') || e.target.closest('#breadcrumb-bar')) return;
+
+        const worldX = CanvasRenderer.getWorldX(e.clientX);
+        const worldY = CanvasRenderer.getWorldY(e.clientY);
+        const clickedObject = Simulator.getObjectAt(worldX, worldY);
+
+        if (clickedObject instanceof SubcircuitInstance) {
+            this.isDraggingComponent = false;
+            this.draggedComponent = null;
+            SubcircuitManager.enterInstance(clickedObject);
+        }
+    },
+
     handlePointerUp: function(e) {
         const worldX = CanvasRenderer.getWorldX(this.lastMouseScreenX);
         const worldY = CanvasRenderer.getWorldY(this.lastMouseScreenY);
@@ -0,0 +1,401 @@
+// --- Karnaugh Map Editor ---
+// Click cells to set 0 / 1 / don't-care; the minimized groupings are drawn
+// over the map. The map can be loaded from an Output on the canvas and
+// built back onto the canvas (via SynthesisManager).
+// 5 and 6 variables are drawn as 2 or 4 side-by-side 4x4 maps.
+
+const KarnaughManager = {
+    MIN_VARS: 2,
+    MAX_VARS: 6,
+    CELL_SIZE: 40,
+    MARGIN: 44, // Room for the Gray-code labels
+    SUBMAP_GAP: 30,
+    GROUP_COLORS: ['#dc3545', '#007bff', '#28a745', '#fd7e14', '#6f42c1', '#17a2b8', '#e83e8c', '#20c997'],
+
+    // --- State ---
+    numVars: 4,
+    names: ['A', 'B', 'C', 'D'],
+    outputName: 'Y',
+    cells: [], // Indexed by minterm: 0, 1 or Logic.X (don't-care)
+    cover: [],
+
+    // --- UI Elements ---
+    modalBackdrop: null,
+    canvas: null,
+    ctx: null,
+    varsSelect: null,
+    namesInput: null,
+    outputInput: null,
+    sourceSelect: null,
+    styleSelect: null,
+    resultElement: null,
+
+    /**
+     * Finds the modal elements and hooks up listeners.
+     */
+    init: function() {
+        this.modalBackdrop = document.getElementById('kmap-modal-backdrop');
+        this.canvas = document.getElementById('kmap-canvas');
+        this.varsSelect = document.getElementById('kmap-vars');
+        this.namesInput = document.getElementById('kmap-names');
+        this.outputInput = document.getElementById('kmap-output-name');
+        this.sourceSelect = document.getElementById('kmap-source');
+        this.styleSelect = document.getElementById('kmap-style');
+        this.resultElement = document.getElementById('kmap-result');
+        if (!this.modalBackdrop || !this.canvas) return;
+        this.ctx = this.canvas.getContext('2d');
+
+        document.getElementById('kmap-btn')?.addEventListener('click', () => this.openModal());
+        document.getElementById('kmap-modal-close-btn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('kmap-close-btn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('kmap-clear-btn')?.addEventListener('click', () => this.setVariableCount(this.numVars));
+        document.getElementById('kmap-load-btn')?.addEventListener('click', () => this.loadSelectedOutput());
+        document.getElementById('kmap-build-btn')?.addEventListener('click', () => this.buildOnCanvas());
+        this.modalBackdrop.addEventListener('click', (e) => {
+            if (e.target === this.modalBackdrop) this.closeModal();
+        });
+
+        this.varsSelect?.addEventListener('change', (e) => this.setVariableCount(parseInt(e.target.value, 10)));
+        this.namesInput?.addEventListener('change', (e) => this.setNames(e.target.value));
+        this.outputInput?.addEventListener('change', (e) => {
+            this.outputName = e.target.value.trim() || 'Y';
+            this.update();
+        });
+        this.canvas.addEventListener('click', (e) => this.handleClick(e));
+
+        this.setVariableCount(this.numVars);
+    },
+
+    openModal: function() {
+        if (!this.modalBackdrop) return;
+        this.refreshSourceList();
+        this.modalBackdrop.classList.remove('hidden');
+        this.update();
+    },
+
+    closeModal: function() {
+        this.modalBackdrop?.classList.add('hidden');
+    },
+
+    // --- Editing ---
+
+    /**
+     * Starts a blank map with a different number of variables.
+     * @param {number} count - 2 to 6.
+     */
+    setVariableCount: function(count) {
+        this.numVars = Math.max(this.MIN_VARS, Math.min(this.MAX_VARS, count || 4));
+        // Keep the names the user typed, fill up with letters
+        this.names = Array.from({ length: this.numVars }, (_, i) => this.names[i] || String.fromCharCode(65 + i));
+        this.cells = new Array(Math.pow(2, this.numVars)).fill(0);
+        if (this.varsSelect) this.varsSelect.value = String(this.numVars);
+        if (this.namesInput) this.namesInput.value = this.names.join(' ');
+        this.update();
+    },
+
+    /**
+     * @param {string} text - Names separated by spaces or commas.
+     */
+    setNames: function(text) {
+        const names = text.split(/[\s,]+/).filter(name => name.length > 0);
+        this.names = Array.from({ length: this.numVars }, (_, i) => names[i] || String.fromCharCode(65 + i));
+        if (this.namesInput) this.namesInput.value = this.names.join(' ');
+        this.update();
+    },
+
+    /**
+     * Cycles a cell 0 -> 1 -> don't-care -> 0.
+     * @param {number} minterm
+     */
+    cycleCell: function(minterm) {
+        const value = this.cells[minterm];
+        this.cells[minterm] = value === 0 ? 1 : (value === 1 ? Logic.X : 0);
+        this.update();
+    },
+
+    /**
+     * Re-minimizes and redraws.
+     */
+    update: function() {
+        const minterms = this.getMinterms();
+        const dontCares = this.getDontCares();
+        this.cover = BooleanAlgebra.minimize(this.numVars, minterms, dontCares).cover;
+        this.draw();
+
+        if (this.resultElement) {
+            this.resultElement.textContent = `${this.outputName} = ${BooleanAlgebra.sumToString(this.cover, this.names)}` +
+                `\n${BooleanAlgebra.mintermList(minterms, dontCares)}`;
+        }
+    },
+
+    getMinterms: function() {
+        return this.cells.flatMap((value, minterm) => value === 1 ? [minterm] : []);
+    },
+
+    getDontCares: function() {
+        return this.cells.flatMap((value, minterm) => value === Logic.X ? [minterm] : []);
+    },
+
+    // --- Canvas Link ---
+
+    /**
+     * Fills the "Load from output" dropdown with the canvas's Outputs.
+     */
+    refreshSourceList: function() {
+        if (!this.sourceSelect) return;
+        this.sourceSelect.innerHTML = '';
+        const outputs = TruthTableManager.getColumns().outputs;
+        if (outputs.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'No Outputs on the canvas';
+            this.sourceSelect.appendChild(option);
+        }
+        outputs.forEach(column => {
+            const option = document.createElement('option');
+            option.value = column.component.id;
+            option.textContent = column.name;
+            this.sourceSelect.appendChild(option);
+        });
+    },
+
+    /**
+     * Opens the Output picked in the dropdown as a K-map, over the
+     * Inputs it depends on (see ExpressionManager.analyzeOutput).
+     */
+    loadSelectedOutput: function() {
+        const columns = TruthTableManager.getColumns();
+        const column = columns.outputs.find(c => c.component.id === this.sourceSelect?.value);
+        if (!column) return;
+
+        const inputNames = new Map(columns.inputs.map(c => [c.component, c.name]));
+        const result = ExpressionManager.analyzeOutput(column.component, column.name, inputNames);
+        if (result.error) {
+            Main.updateStatus(result.error);
+            return;
+        }
+        if (result.variables.length < this.MIN_VARS || result.variables.length > this.MAX_VARS) {
+            Main.updateStatus(`${column.name} depends on ${result.variables.length} input(s); a K-map needs ${this.MIN_VARS} to ${this.MAX_VARS}.`);
+            return;
+        }
+
+        this.names = result.variables;
+        this.setVariableCount(result.variables.length);
+        result.minterms.forEach(m => this.cells[m] = 1);
+        result.dontCares.forEach(m => this.cells[m] = Logic.X);
+        this.outputName = column.name;
+        if (this.outputInput) this.outputInput.value = column.name;
+        this.update();
+        Main.updateStatus(`Opened ${column.name} as a ${this.numVars}-variable K-map.`);
+    },
+
+    /**
+     * Builds the map's minimized function on the canvas as gates.
+     */
+    buildOnCanvas: function() {
+        const spec = {
+            variables: this.names,
+            outputs: [{ name: this.outputName, minterms: this.getMinterms(), dontCares: this.getDontCares() }]
+        };
+        const style = this.styleSelect?.value || 'and-or';
+        try {
+            const count = SynthesisManager.build(spec, style);
+            this.closeModal();
+            Main.updateStatus(`Built ${this.outputName} from ${count} component(s) (${SynthesisManager.STYLES[style]}).`);
+        } catch (error) {
+            Main.updateStatus(`Couldn't build the K-map: ${error.message}`);
+        }
+    },
+
+    // --- Layout ---
+
+    /**
+     * @param {number} bits
+     * @returns {number[]} The Gray code sequence (0, 1, 3, 2 for 2 bits).
+     */
+    grayCode: function(bits) {
+        return Array.from({ length: 1 << bits }, (_, i) => i ^ (i >> 1));
+    },
+
+    /**
+     * Works out where every cell goes. Variables beyond the first four pick
+     * the sub-map; of the rest, the first half label the rows.
+     * @returns {object} - { subBits, rowBits, colBits, rows, cols, subRows, subCols, width, height }
+     */
+    getLayout: function() {
+        const subBits = Math.max(0, this.numVars - 4);
+        const mapBits = this.numVars - subBits;
+        const rowBits = Math.floor(mapBits / 2);
+        const colBits = mapBits - rowBits;
+        const rows = 1 << rowBits;
+        const cols = 1 << colBits;
+        const subRows = subBits === 2 ? 2 : 1;
+        const subCols = subBits >= 1 ? 2 : 1;
+        const mapWidth = this.MARGIN + cols * this.CELL_SIZE;
+        const mapHeight = this.MARGIN + rows * this.CELL_SIZE + 16; // + sub-map caption
+        return {
+            subBits: subBits, rowBits: rowBits, colBits: colBits,
+            rows: rows, cols: cols, subRows: subRows, subCols: subCols,
+            mapWidth: mapWidth, mapHeight: mapHeight,
+            width: subCols * mapWidth + (subCols - 1) * this.SUBMAP_GAP + 10,
+            height: subRows * mapHeight + (subRows - 1) * this.SUBMAP_GAP + 10
+        };
+    },
+
+    /**
+     * @returns {{x: number, y: number}} Top-left corner of a sub-map's cells.
+     */
+    getSubmapOrigin: function(layout, sub) {
+        const subRow = layout.subBits === 2 ? (sub >> 1) : 0;
+        const subCol = layout.subBits === 2 ? (sub & 1) : sub;
+        return {
+            x: subCol * (layout.mapWidth + this.SUBMAP_GAP) + this.MARGIN,
+            y: subRow * (layout.mapHeight + this.SUBMAP_GAP) + this.MARGIN + 16
+        };
+    },
+
+    /**
+     * @returns {number} The minterm shown in a cell.
+     */
+    getMinterm: function(layout, sub, row, col) {
+        const rowCode = this.grayCode(layout.rowBits)[row];
+        const colCode = this.grayCode(layout.colBits)[col];
+        return (sub << (layout.rowBits + layout.colBits)) | (rowCode << layout.colBits) | colCode;
+    },
+
+    handleClick: function(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        const layout = this.getLayout();
+
+        for (let sub = 0; sub < (1 << layout.subBits); sub++) {
+            const origin = this.getSubmapOrigin(layout, sub);
+            const col = Math.floor((x - origin.x) / this.CELL_SIZE);
+            const row = Math.floor((y - origin.y) / this.CELL_SIZE);
+            if (row >= 0 && row < layout.rows && col >= 0 && col < layout.cols) {
+                this.cycleCell(this.getMinterm(layout, sub, row, col));
+                return;
+            }
+        }
+    },
+
+    // --- Drawing ---
+
+    draw: function() {
+        if (!this.ctx) return;
+        const layout = this.getLayout();
+        this.canvas.width = layout.width;
+        this.canvas.height = layout.height;
+
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, layout.width, layout.height);
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        const rowNames = this.names.slice(layout.subBits, layout.subBits + layout.rowBits).join('');
+        const colNames = this.names.slice(layout.subBits + layout.rowBits).join('');
+        const toBits = (value, bits) => value.toString(2).padStart(bits, '0');
+
+        for (let sub = 0; sub < (1 << layout.subBits); sub++) {
+            const origin = this.getSubmapOrigin(layout, sub);
+            const size = this.CELL_SIZE;
+
+            // Caption: which values of the extra variables this sub-map is for
+            ctx.fillStyle = CanvasRenderer.COLOR_COMPONENT_LABEL;
+            if (layout.subBits > 0) {
+                const subNames = this.names.slice(0, layout.subBits);
+                const caption = subNames.map((name, i) => `${name}=${(sub >> (layout.subBits - 1 - i)) & 1}`).join(', ');
+                ctx.fillText(caption, origin.x + layout.cols * size / 2, origin.y - this.MARGIN - 6);
+            }
+
+            // Axis labels
+            ctx.fillStyle = CanvasRenderer.COLOR_NODE_LABEL;
+            ctx.fillText(`${rowNames}\\${colNames}`, origin.x - this.MARGIN / 2, origin.y - this.MARGIN / 2 + 4);
+            this.grayCode(layout.colBits).forEach((code, col) => {
+                ctx.fillText(toBits(code, layout.colBits), origin.x + col * size + size / 2, origin.y - 10);
+            });
+            this.grayCode(layout.rowBits).forEach((code, row) => {
+                ctx.fillText(toBits(code, layout.rowBits), origin.x - 14, origin.y + row * size + size / 2);
+            });
+
+            // Cells
+            for (let row = 0; row < layout.rows; row++) {
+                for (let col = 0; col < layout.cols; col++) {
+                    const minterm = this.getMinterm(layout, sub, row, col);
+                    const value = this.cells[minterm];
+                    const x = origin.x + col * size;
+                    const y = origin.y + row * size;
+
+                    ctx.fillStyle = value === 1 ? CanvasRenderer.COLOR_INPUT_ON : CanvasRenderer.COLOR_COMPONENT_FILL;
+                    ctx.fillRect(x, y, size, size);
+                    ctx.strokeStyle = CanvasRenderer.COLOR_COMPONENT_BORDER;
+                    ctx.lineWidth = 1;
+                    ctx.strokeRect(x, y, size, size);
+
+                    ctx.fillStyle = value === 1 ? CanvasRenderer.COLOR_COMPONENT_LABEL : CanvasRenderer.COLOR_NODE_LABEL;
+                    ctx.font = value === 1 ? 'bold 14px Arial' : '14px Arial';
+                    ctx.fillText(value === Logic.X ? 'X' : String(value), x + size / 2, y + size / 2 + 2);
+                    ctx.font = '8px Arial';
+                    ctx.fillStyle = CanvasRenderer.COLOR_NODE_LABEL;
+                    ctx.fillText(String(minterm), x + size - 7, y + 7);
+                    ctx.font = '12px Arial';
+                }
+            }
+
+            this.cover.forEach((implicant, i) => this.drawGroup(layout, sub, origin, implicant, i));
+        }
+    },
+
+    /**
+     * Outlines the cells one implicant covers in one sub-map. A group that
+     * wraps around an edge is drawn as two (or four) pieces.
+     */
+    drawGroup: function(layout, sub, origin, implicant, index) {
+        const rows = new Set();
+        const cols = new Set();
+        for (let row = 0; row < layout.rows; row++) {
+            for (let col = 0; col < layout.cols; col++) {
+                const minterm = this.getMinterm(layout, sub, row, col);
+                if ((minterm & ~implicant.mask) === (implicant.value & ~implicant.mask)) {
+                    rows.add(row);
+                    cols.add(col);
+                }
+            }
+        }
+        if (rows.size === 0) return;
+
+        const ctx = this.ctx;
+        const size = this.CELL_SIZE;
+        const inset = 3 + (index % 4) * 3; // Overlapping groups stay visible
+        ctx.strokeStyle = this.GROUP_COLORS[index % this.GROUP_COLORS.length];
+        ctx.lineWidth = 2;
+
+        for (const [rowStart, rowEnd] of this.getSegments(rows, layout.rows)) {
+            for (const [colStart, colEnd] of this.getSegments(cols, layout.cols)) {
+                const x = origin.x + colStart * size + inset;
+                const y = origin.y + rowStart * size + inset;
+                const w = (colEnd - colStart + 1) * size - inset * 2;
+                const h = (rowEnd - rowStart + 1) * size - inset * 2;
+                ctx.beginPath();
+                if (ctx.roundRect) ctx.roundRect(x, y, w, h, 8);
+                else ctx.rect(x, y, w, h);
+                ctx.stroke();
+            }
+        }
+    },
+
+    /**
+     * Splits a cyclic run of indexes into plain ranges.
+     * @param {Set<number>} indexes - A contiguous (possibly wrapping) run.
+     * @param {number} length - Row or column count.
+     * @returns {Array<[number, number]>}
+     */
+    getSegments: function(indexes, length) {
+        if (indexes.size === length) return [[0, length - 1]];
+        const start = [...indexes].find(i => !indexes.has((i - 1 + length) % length));
+        const end = start + indexes.size - 1;
+        return end < length ? [[start, end]] : [[start, length - 1], [0, end - length]];
+    }
+};
@@ -0,0 +1,244 @@
+// --- Combinational Loop Detector ---
+// Finds feedback cycles in the wiring that don't pass through a storage
+// element (flip-flop, latch, or a subcircuit containing one). Such loops
+// either hold a value by accident or oscillate forever; when the engine
+// gives up on a circuit that never settles, the loops involved are
+// reported with their exact path and highlighted on the canvas.
+
+const LoopDetector = {
+    // --- State ---
+    highlightedWires: new Set(), // Wires drawn in the loop colour (see CanvasRenderer.draw)
+    highlightedComponents: new Set(),
+
+    /**
+     * Sets up the sidebar button.
+     */
+    init: function() {
+        document.getElementById('loop-btn')?.addEventListener('click', () => this.report());
+    },
+
+    // --- Analysis ---
+
+    /**
+     * A storage element breaks a loop: its outputs only change on a clock
+     * or enable, not as a direct result of its inputs settling.
+     * @param {BaseGate} component
+     * @returns {boolean}
+     */
+    isStorage: function(component) {
+        if (component instanceof SequentialGate) return true;
+        if (component instanceof SubcircuitInstance) return component.innerComponents.some(c => this.isStorage(c));
+        return false;
+    },
+
+    /**
+     * @param {BaseGate} component
+     * @returns {string} e.g. "NOR #12", or the custom label.
+     */
+    componentName: function(component) {
+        return component.customLabel || `${component.label} ${component.id.replace('gate_', '#')}`;
+    },
+
+    /**
+     * Finds every combinational feedback loop.
+     * Strongly connected groups of gates are found first (Tarjan's
+     * algorithm); each group is reported with its shortest cycle.
+     * @param {Array<BaseGate>} components
+     * @param {Array<Wire>} wires
+     * @returns {Array<object>} - { members: Set<BaseGate>, cycle: Array<BaseGate>, wires: Array<Wire>, inversions: 'odd'|'even'|null }
+     *   cycle[i] drives cycle[i + 1] through wires[i]; the last wire closes the loop.
+     */
+    findLoops: function(components, wires) {
+        // Only wires between combinational parts can form a loop
+        const edges = new Map(components.map(c => [c, []]));
+        for (const wire of wires) {
+            const from = wire.startNode.parentComponent;
+            const to = wire.endNode.parentComponent;
+            if (!edges.has(from) || !edges.has(to) || this.isStorage(from) || this.isStorage(to)) continue;
+            edges.get(from).push({ wire: wire, to: to });
+        }
+
+        // Tarjan's strongly connected components, iteratively (no deep recursion on big circuits)
+        const index = new Map();
+        const lowLink = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const groups = [];
+        let counter = 0;
+
+        for (const root of components) {
+            if (index.has(root)) continue;
+            const work = [{ component: root, next: 0 }];
+            index.set(root, counter);
+            lowLink.set(root, counter++);
+            stack.push(root);
+            onStack.add(root);
+
+            while (work.length > 0) {
+                const frame = work[work.length - 1];
+                const out = edges.get(frame.component);
+                if (frame.next < out.length) {
+                    const to = out[frame.next++].to;
+                    if (!index.has(to)) {
+                        index.set(to, counter);
+                        lowLink.set(to, counter++);
+                        stack.push(to);
+                        onStack.add(to);
+                        work.push({ component: to, next: 0 });
+                    } else if (onStack.has(to)) {
+                        lowLink.set(frame.component, Math.min(lowLink.get(frame.component), index.get(to)));
+                    }
+                    continue;
+                }
+
+                work.pop();
+                if (work.length > 0) {
+                    const parent = work[work.length - 1].component;
+                    lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.component)));
+                }
+                if (lowLink.get(frame.component) === index.get(frame.component)) {
+                    const group = new Set();
+                    let member;
+                    do {
+                        member = stack.pop();
+                        onStack.delete(member);
+                        group.add(member);
+                    } while (member !== frame.component);
+                    groups.push(group);
+                }
+            }
+        }
+
+        const loops = [];
+        for (const group of groups) {
+            const start = group.values().next().value;
+            const selfLoop = edges.get(start).some(edge => edge.to === start);
+            if (group.size === 1 && !selfLoop) continue;
+
+            const path = this.shortestCycle(start, group, edges);
+            loops.push({
+                members: group,
+                cycle: path.map(step => step.from),
+                wires: path.map(step => step.wire),
+                inversions: this.countInversions(path.map(step => step.from))
+            });
+        }
+        return loops;
+    },
+
+    /**
+     * Breadth-first search from start back to itself, staying in the group.
+     * @returns {Array<{from: BaseGate, wire: Wire}>}
+     */
+    shortestCycle: function(start, group, edges) {
+        const cameFrom = new Map(); // component -> { from, wire }
+        const queue = [start];
+        let closing = null;
+
+        for (let i = 0; i < queue.length && !closing; i++) {
+            const current = queue[i];
+            for (const edge of edges.get(current)) {
+                if (!group.has(edge.to)) continue;
+                if (edge.to === start) {
+                    closing = { from: current, wire: edge.wire };
+                    break;
+                }
+                if (!cameFrom.has(edge.to)) {
+                    cameFrom.set(edge.to, { from: current, wire: edge.wire });
+                    queue.push(edge.to);
+                }
+            }
+        }
+
+        const path = [closing];
+        let step = closing;
+        while (step.from !== start) {
+            step = cameFrom.get(step.from);
+            path.unshift(step);
+        }
+        return path;
+    },
+
+    /**
+     * A loop with an odd number of inverting gates can't settle (it is a
+     * ring oscillator); an even number makes it hold a value instead.
+     * @param {Array<BaseGate>} cycle
+     * @returns {string|null} 'odd', 'even', or null if it depends on other
+     *   inputs (XOR gates, tri-states, subcircuits).
+     */
+    countInversions: function(cycle) {
+        let count = 0;
+        for (const component of cycle) {
+            if (component instanceof NotGate || component instanceof NandGate || component instanceof NorGate) count++;
+            else if (!(component instanceof AndGate || component instanceof OrGate || component instanceof Splitter || component instanceof Merger)) return null;
+        }
+        return count % 2 === 1 ? 'odd' : 'even';
+    },
+
+    /**
+     * @param {object} loop - From findLoops().
+     * @returns {string} e.g. "NOR #3 → NOR #5 → NOR #3 (2 inverting gates: holds a value like a latch)"
+     */
+    describeLoop: function(loop) {
+        const names = [...loop.cycle, loop.cycle[0]].map(c => this.componentName(c));
+        let text = names.join(' → ');
+        if (loop.members.size > loop.cycle.length) text += ` (part of a group of ${loop.members.size} gates)`;
+        if (loop.inversions === 'odd') text += ' — odd number of inversions, so it oscillates';
+        else if (loop.inversions === 'even') text += ' — even number of inversions, so it latches a value';
+        return text;
+    },
+
+    // --- Highlighting ---
+
+    highlight: function(loops) {
+        this.highlightedWires = new Set(loops.flatMap(loop => loop.wires));
+        this.highlightedComponents = new Set(loops.flatMap(loop => loop.cycle));
+    },
+
+    clearHighlight: function() {
+        this.highlightedWires.clear();
+        this.highlightedComponents.clear();
+    },
+
+    // --- Reporting ---
+
+    /**
+     * Runs the analysis on the canvas and logs every loop found.
+     * @returns {Array<object>} The loops, see findLoops().
+     */
+    report: function() {
+        const loops = this.findLoops(Simulator.allComponents, Simulator.allWires);
+        this.highlight(loops);
+
+        if (loops.length === 0) {
+            AnimationManager.logStep("No combinational loops: every feedback path goes through a flip-flop or latch.");
+            Main.updateStatus("No combinational loops found.");
+            return loops;
+        }
+        loops.forEach(loop => AnimationManager.logError(`🔁 Combinational loop: ${this.describeLoop(loop)}`));
+        Main.updateStatus(`Found ${loops.length} combinational loop(s); they are highlighted on the canvas.`);
+        return loops;
+    },
+
+    /**
+     * Called by the engine when it gives up on a circuit that never settles.
+     * Reports the loops the runaway events were passing through, or every
+     * loop if none of them match.
+     * @param {Array<object>} pendingEvents - The queue at the time it gave up.
+     */
+    onSimulationStuck: function(pendingEvents) {
+        const active = new Set();
+        for (const event of pendingEvents) {
+            if (event.component) active.add(event.component);
+            if (event.wire) active.add(event.wire.endNode.parentComponent);
+        }
+
+        const loops = this.findLoops(Simulator.allComponents, Simulator.allWires);
+        if (loops.length === 0) return;
+        const involved = loops.filter(loop => [...loop.members].some(c => active.has(c)));
+        const shown = involved.length > 0 ? involved : loops;
+
+        this.highlight(shown);
+        shown.forEach(loop => AnimationManager.logError(`🔁 The circuit is oscillating around this loop: ${this.describeLoop(loop)}`));
+    }
+};
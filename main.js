@@ -7,6 +7,7 @@ const Main = {
     // --- 1. Application State ---
     currentTool: 'SELECT',
     selectedComponent: null,
+    selectedGroup: new Set(), // --- NEW: Components picked with Shift+click (e.g. for Make Subcircuit)
     wireStartNode: null, 
     hoveredNode: null, 
     
@@ -39,6 +40,21 @@ const Main = {
         CanvasRenderer.init(this.canvas); 
         AIManager.init(); 
         AnimationManager.init(); // This will clear and show the "Ready" log
+        SubcircuitManager.init();
+        WaveformManager.init(); // --- NEW: Timing diagram panel
+        BreakpointManager.init(); // --- NEW: Signal breakpoints
+        TruthTableManager.init(); // --- NEW: Truth table modal
+        ExpressionManager.init(); // --- NEW: Output expressions modal
+        SynthesisManager.init(); // --- NEW: Build from expression modal
+        KarnaughManager.init(); // --- NEW: K-map editor
+        TestVectorManager.init(); // --- NEW: Test vector runner
+        EquivalenceManager.init(); // --- NEW: Equivalence checker
+        FaultManager.init(); // --- NEW: Stuck-at faults and fault coverage
+        LoopDetector.init(); // --- NEW: Combinational loop detector
+        DesignCheckManager.init(); // --- NEW: Design rule checker
+        TimingAnalyzer.init(); // --- NEW: Critical path report
+        HazardAnalyzer.init(); // --- NEW: Static hazards and glitches
+        WorkerManager.init(); // --- NEW: Background simulation in a Web Worker
         InputHandler.init(); 
 
         // --- Setup (non-input) listeners ---
@@ -114,6 +130,9 @@ const Main = {
             this.updatePropertiesPanelPosition();
         }
 
+        // --- NEW: Redraw the timing diagram (does nothing while it's hidden) ---
+        WaveformManager.draw();
+
         // Use 'this' context for requestAnimationFrame
         requestAnimationFrame(this.mainLoop.bind(this));
     },
@@ -163,6 +182,53 @@ const Main = {
     },
 
     setupRunButtonListeners: function() {
+        // --- NEW: Free-running clock controls ---
+        const runBtn = document.getElementById('run-btn');
+        const pauseBtn = document.getElementById('pause-btn');
+        runBtn?.addEventListener('click', () => {
+            AnimationManager.runSimulation();
+            this.updateStatus('Clock running.');
+        });
+        pauseBtn?.addEventListener('click', () => {
+            AnimationManager.pauseSimulation();
+            this.updateStatus('Clock paused.');
+        });
+
+        // --- NEW: Pause / Step / Step Back / Resume for the event queue ---
+        document.getElementById('step-pause-btn')?.addEventListener('click', () => {
+            AnimationManager.pauseQueue();
+            this.updateStatus('Propagation paused. Step through it one event at a time.');
+        });
+        document.getElementById('step-btn')?.addEventListener('click', () => AnimationManager.stepForward());
+        document.getElementById('step-back-btn')?.addEventListener('click', () => AnimationManager.stepBack());
+        document.getElementById('resume-btn')?.addEventListener('click', () => {
+            AnimationManager.resumeQueue();
+            this.updateStatus('Propagation resumed.');
+        });
+
+        // --- NEW: Explain mode narrates every step instead of updating instantly ---
+        const explainBtn = document.getElementById('explain-btn');
+        explainBtn?.addEventListener('click', () => {
+            const enabled = !AnimationManager.explainMode;
+            explainBtn.classList.toggle('active', enabled);
+            AnimationManager.setExplainMode(enabled);
+            this.updateStatus(enabled
+                ? 'Explain mode on: every step is narrated in the log.'
+                : 'Explain mode off: changes apply instantly.');
+        });
+
+        // --- NEW: Two-valued / four-valued logic toggle ---
+        const logicBtn = document.getElementById('logic-mode-btn');
+        logicBtn?.addEventListener('click', () => {
+            const enabled = !Logic.fourValued;
+            Simulator.setFourValuedLogic(enabled);
+            logicBtn.classList.toggle('active', enabled);
+            this.updateStatus(enabled
+                ? 'Four-valued logic on: floating inputs are Z, unknown signals are X.'
+                : 'Two-valued logic: floating inputs read as 0.');
+            AnimationManager.startSimulation();
+        });
+
         const resetBtn = document.getElementById('reset-btn');
         resetBtn?.addEventListener('click', () => {
             // --- Use confirm to prevent accidental reset ---
@@ -197,9 +263,20 @@ const Main = {
     createComponent: function(toolName, worldX, worldY) {
         const x = this.snapToGrid(worldX);
         const y = this.snapToGrid(worldY);
+
+        // --- NEW: Subcircuit tools are named 'SUB:<definition>' ---
+        if (toolName.startsWith('SUB:')) {
+            const definitionName = toolName.slice(4);
+            if (!SubcircuitManager.canPlace(definitionName)) {
+                this.updateStatus(`"${definitionName}" can't be placed inside itself.`);
+                return null;
+            }
+            return new SubcircuitInstance(x - 60, y - 30, definitionName);
+        }
         
         switch (toolName) {
             case 'INPUT': return new InputToggle(x - 20, y - 20);
+            case 'CLOCK': return new Clock(x - 20, y - 20);
             case 'OUTPUT': return new OutputLed(x - 20, y - 20);
             case 'AND': return new AndGate(x - 60, y - 30);
             case 'OR': return new OrGate(x - 60, y - 30);
@@ -208,6 +285,14 @@ const Main = {
             case 'NAND': return new NandGate(x - 60, y - 30);
             case 'NOR': return new NorGate(x - 60, y - 30);
             case 'XNOR': return new XnorGate(x - 60, y - 30);
+            case 'DFF': return new DFlipFlop(x - 60, y - 40);
+            case 'JKFF': return new JkFlipFlop(x - 60, y - 50);
+            case 'TFF': return new TFlipFlop(x - 60, y - 40);
+            case 'SRLATCH': return new SrLatch(x - 60, y - 50);
+            case 'DLATCH': return new DLatch(x - 60, y - 40);
+            case 'SPLIT': return new Splitter(x - 30, y - 40);
+            case 'MERGE': return new Merger(x - 30, y - 40);
+            case 'TRISTATE': return new TriStateBuffer(x - 50, y - 30);
             default: return null; // Not a component tool
         }
     },
@@ -246,6 +331,19 @@ const Main = {
         ); 
     },
 
+    /**
+     * --- NEW ---
+     * Adds a component to the Shift+click group, or takes it out again.
+     * @param {BaseGate} component
+     */
+    toggleGroupSelection: function(component) {
+        if (this.selectedGroup.has(component)) this.selectedGroup.delete(component);
+        else this.selectedGroup.add(component);
+        this.updateStatus(this.selectedGroup.size > 0
+            ? `${this.selectedGroup.size} component(s) selected. Make Subcircuit packages just these.`
+            : "Selection cleared.");
+    },
+
     setSelectedComponent: function(component) {
         // --- MODIFIED: Only show popup if Properties tool is active ---
         if (this.selectedComponent === component) {
@@ -313,7 +411,8 @@ const Main = {
              cursorStyle = 'crosshair';
              if (objectAtMouse instanceof Node) {
                  if (this.wireStartNode) { 
-                     if (objectAtMouse.type === 'input' && objectAtMouse.parentComponent !== this.wireStartNode.parentComponent) {
+                     if (objectAtMouse.type === 'input' && objectAtMouse.parentComponent !== this.wireStartNode.parentComponent &&
+                         objectAtMouse.bitWidth === this.wireStartNode.bitWidth) {
                          this.hoveredNode = objectAtMouse;
                          cursorStyle = 'pointer'; 
                      } else {
@@ -387,6 +486,23 @@ const Main = {
     },
 
     handleWireEnd: function(node) {
+        // --- NEW: Buses only connect to nodes of the same width ---
+        if (this.wireStartNode.bitWidth !== node.bitWidth) {
+            this.updateStatus(`Wiring canceled: can't connect a ${this.wireStartNode.bitWidth}-bit output to a ${node.bitWidth}-bit input.`);
+            this.wireStartNode = null;
+            this.hoveredNode = null;
+            return;
+        }
+
+        // --- NEW: Inputs may have several drivers, but not the same one twice ---
+        if (node.connections.some(w => w.startNode === this.wireStartNode)) {
+            this.updateStatus("Wiring canceled: these nodes are already connected.");
+            this.wireStartNode = null;
+            this.hoveredNode = null;
+            return;
+        }
+        const isSharedNet = node.connections.length > 0;
+
         const newWire = new Wire(this.wireStartNode, node);
         Simulator.addWire(newWire);
         AnimationManager.startSimulation();
@@ -395,7 +511,9 @@ const Main = {
         this.wireStartNode = null; 
         this.hoveredNode = null;
         this.canvasWrapper.style.cursor = 'crosshair'; 
-        this.updateStatus("Wire connected. Continue wiring or select another tool.");
+        this.updateStatus(isSharedNet
+            ? `Wire connected. This input now has ${node.connections.length} drivers; use tri-state buffers so only one drives at a time.`
+            : "Wire connected. Continue wiring or select another tool.");
     },
 
     drawGhostWire: function() {
@@ -522,7 +640,8 @@ const Main = {
         }
 
         this.propertiesPopup.innerHTML = ''; 
-        const props = this.selectedComponent.getProperties();
+        // --- MODIFIED: Every component can also carry a stuck-at fault ---
+        const props = [...this.selectedComponent.getProperties(), ...this.selectedComponent.getFaultProperties()];
         if (props.length === 0) {
             this.propertiesPopup.classList.remove('visible');
             return; 
@@ -559,9 +678,12 @@ const Main = {
                 const select = document.createElement('select');
                 select.id = `prop-${prop.name}`;
                 prop.options.forEach(optValue => { 
+                    // --- MODIFIED: An option may also be { value, text } ---
+                    const text = typeof optValue === 'object' ? optValue.text : optValue;
+                    if (typeof optValue === 'object') optValue = optValue.value;
                     const option = document.createElement('option');
                     option.value = optValue;
-                    option.textContent = optValue; 
+                    option.textContent = text; 
                     if (optValue == prop.value) { 
                         option.selected = true;
                     }
@@ -569,6 +691,8 @@ const Main = {
                 });
                 select.addEventListener('change', (e) => {
                     setterFunction.call(this.selectedComponent, e.target.value);
+                    // --- NEW: Drop wires left on nodes that were rebuilt ---
+                    Simulator.pruneDetachedWires();
                     AnimationManager.startSimulation(); 
                     Simulator.autoSaveCircuit();
                 });
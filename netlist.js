@@ -0,0 +1,764 @@
+// --- Compiled Netlist ---
+// A flat copy of the circuit for simulating big designs (10k+ gates).
+// Components, output nodes ("signals") and input nodes ("pins") become
+// integer indices, values live in typed arrays, and the connections are
+// index lists, so settling the circuit creates no objects per event.
+// Plain gates are evaluated right here; everything else (flip-flops,
+// splitters, tri-states, subcircuits...) keeps its own calculateOutputs().
+//
+// Timing is the same as SimulationEngine's: gate delays, inertial and
+// transport delay models, stuck-at faults, four-valued logic and shared
+// nets. Within one instant, components are evaluated in level order
+// (inputs first), so a change ripples through each gate once instead of
+// once per path.
+//
+// It has no view of its own: load() reads the component and wire states,
+// store() writes the results back to them.
+
+// Values are stored as integers; 0/1 and bus values as they are
+const VALUE_X = -1;
+const VALUE_Z = -2;
+const VALUE_NONE = -3; // No active driver seen yet, see resolvePin()
+
+// How a component is evaluated
+const NETLIST_KINDS = {
+    SOURCE: 0, // InputToggle, Clock: only changed from outside
+    OUTPUT: 1, // OutputLed: shows its input, see store()
+    AND: 2,
+    NAND: 3,
+    OR: 4,
+    NOR: 5,
+    XOR: 6,
+    XNOR: 7,
+    NOT: 8,
+    BEHAVIOUR: 9 // Anything else: calculateOutputs()
+};
+
+class CompiledNetlist {
+    /**
+     * @param {Array<BaseGate>} components
+     * @param {Array<Wire>} wires - Wires to components not in the list are ignored.
+     * @param {object} [options]
+     * @param {boolean} [options.zeroDelay] - --- NEW: Ignore the gate delays, so
+     *   every change settles within one instant, in level order. For when only
+     *   the settled values matter (subcircuit insides, equivalence checks).
+     * @returns {CompiledNetlist}
+     */
+    static compile(components, wires, options = {}) {
+        return new CompiledNetlist(components, wires, options);
+    }
+
+    constructor(components, wires, options = {}) {
+        this.components = components;
+        this.componentIndex = new Map(components.map((component, c) => [component, c]));
+        this.zeroDelay = !!options.zeroDelay;
+        this.time = 0;
+
+        this.buildNodes();
+        this.buildWires(wires);
+        this.levelize();
+
+        // --- State ---
+        const signalCount = this.signalNodes.length;
+        const pinCount = this.pinNodes.length;
+        this.signalValue = new Int32Array(signalCount);
+        this.pinValue = new Int32Array(pinCount);
+        this.pinContention = new Uint8Array(pinCount);
+        this.pendingSeq = new Float64Array(signalCount).fill(-1); // Inertial: the one pending change per signal
+        this.pendingValue = new Int32Array(signalCount);
+        this.transportPending = new Map(); // Transport: signal -> [{ seq, time, value }], in time order
+        this.evalQueued = new Uint8Array(components.length);
+        this.signalDirty = new Uint8Array(signalCount); // Changed since load(), see store()
+        this.pinDirty = new Uint8Array(pinCount);
+        this.dirtySignals = [];
+        this.dirtyPins = [];
+        this.stuckComponents = []; // Had events waiting when run() gave up, for loop reports
+
+        this.allocateEvents(1024);
+    }
+
+    // --- Compiling ---
+
+    /**
+     * @param {BaseGate} component
+     * @returns {number} One of NETLIST_KINDS.
+     */
+    static kindOf(component) {
+        if (component instanceof InputToggle || component instanceof Clock) return NETLIST_KINDS.SOURCE;
+        if (component instanceof OutputLed) return NETLIST_KINDS.OUTPUT;
+        if (component instanceof NandGate) return NETLIST_KINDS.NAND;
+        if (component instanceof AndGate) return NETLIST_KINDS.AND;
+        if (component instanceof NorGate) return NETLIST_KINDS.NOR;
+        if (component instanceof OrGate) return NETLIST_KINDS.OR;
+        if (component instanceof XnorGate) return NETLIST_KINDS.XNOR;
+        if (component instanceof XorGate) return NETLIST_KINDS.XOR;
+        if (component instanceof NotGate) return NETLIST_KINDS.NOT;
+        return NETLIST_KINDS.BEHAVIOUR;
+    }
+
+    /**
+     * Numbers every output node (signal) and input node (pin). A
+     * component's signals and pins get consecutive numbers, found through
+     * outputStart[c] and inputStart[c].
+     */
+    buildNodes() {
+        const count = this.components.length;
+        this.kind = new Uint8Array(count);
+        this.delay = new Float64Array(count);
+        this.transport = new Uint8Array(count);
+        this.outputStart = new Int32Array(count + 1);
+        this.inputStart = new Int32Array(count + 1);
+        this.signalNodes = [];
+        this.pinNodes = [];
+
+        this.components.forEach((component, c) => {
+            this.kind[c] = CompiledNetlist.kindOf(component);
+            this.delay[c] = this.zeroDelay ? 0 : (component.delay || 0);
+            this.transport[c] = component.delayModel === 'transport' ? 1 : 0;
+            this.outputStart[c] = this.signalNodes.length;
+            this.signalNodes.push(...component.outputNodes);
+            this.inputStart[c] = this.pinNodes.length;
+            this.pinNodes.push(...component.inputNodes);
+        });
+        this.outputStart[count] = this.signalNodes.length;
+        this.inputStart[count] = this.pinNodes.length;
+
+        this.signalOwner = new Int32Array(this.signalNodes.length);
+        this.pinOwner = new Int32Array(this.pinNodes.length);
+        for (let c = 0; c < count; c++) {
+            this.signalOwner.fill(c, this.outputStart[c], this.outputStart[c + 1]);
+            this.pinOwner.fill(c, this.inputStart[c], this.inputStart[c + 1]);
+        }
+    }
+
+    /**
+     * Turns the wires into two index lists: the signals driving each pin
+     * (driverStart/driverSignal) and the pins each signal drives
+     * (fanoutStart/fanoutPin, with the wire itself in fanoutWire).
+     * @param {Array<Wire>} wires
+     */
+    buildWires(wires) {
+        const signalIndex = new Map(this.signalNodes.map((node, s) => [node, s]));
+        const pinIndex = new Map(this.pinNodes.map((node, p) => [node, p]));
+        const kept = [];
+        const drivers = [];
+        const sinks = [];
+        for (const wire of wires) {
+            const s = signalIndex.get(wire.startNode);
+            const p = pinIndex.get(wire.endNode);
+            if (s === undefined || p === undefined) continue;
+            kept.push(wire);
+            drivers.push(s);
+            sinks.push(p);
+        }
+        this.wires = kept;
+
+        const byPin = CompiledNetlist.groupBy(this.pinNodes.length, sinks);
+        this.driverStart = byPin.start;
+        this.driverSignal = byPin.order.map(w => drivers[w]);
+
+        const bySignal = CompiledNetlist.groupBy(this.signalNodes.length, drivers);
+        this.fanoutStart = bySignal.start;
+        this.fanoutPin = bySignal.order.map(w => sinks[w]);
+        this.fanoutWire = Array.from(bySignal.order, w => kept[w]);
+    }
+
+    /**
+     * Counting sort of items into groups.
+     * @param {number} groupCount
+     * @param {number[]} groupOf - The group of each item.
+     * @returns {{start: Int32Array, order: Int32Array}} Group g holds
+     *   order[start[g]] .. order[start[g + 1] - 1].
+     */
+    static groupBy(groupCount, groupOf) {
+        const start = new Int32Array(groupCount + 1);
+        for (const group of groupOf) start[group + 1]++;
+        for (let g = 0; g < groupCount; g++) start[g + 1] += start[g];
+        const next = start.slice(0, groupCount);
+        const order = new Int32Array(groupOf.length);
+        groupOf.forEach((group, item) => { order[next[group]++] = item; });
+        return { start: start, order: order };
+    }
+
+    /**
+     * Gives every component a level: one more than the deepest component
+     * driving it, 0 for sources. A loop is broken open at its first
+     * component in canvas order, so feedback still gets a level.
+     */
+    levelize() {
+        const count = this.components.length;
+        const waiting = new Int32Array(count); // Drivers not yet levelled
+        for (let p = 0; p < this.pinNodes.length; p++) {
+            waiting[this.pinOwner[p]] += this.driverStart[p + 1] - this.driverStart[p];
+        }
+
+        this.level = new Int32Array(count);
+        const placed = new Uint8Array(count);
+        const order = new Int32Array(count);
+        let head = 0;
+        let tail = 0;
+        for (let c = 0; c < count; c++) {
+            if (waiting[c] === 0) {
+                placed[c] = 1;
+                order[tail++] = c;
+            }
+        }
+
+        let nextUnplaced = 0;
+        while (head < count) {
+            if (head === tail) { // Only loops are left
+                while (placed[nextUnplaced]) nextUnplaced++;
+                placed[nextUnplaced] = 1;
+                order[tail++] = nextUnplaced;
+            }
+            const c = order[head++];
+            for (let s = this.outputStart[c]; s < this.outputStart[c + 1]; s++) {
+                for (let k = this.fanoutStart[s]; k < this.fanoutStart[s + 1]; k++) {
+                    const next = this.pinOwner[this.fanoutPin[k]];
+                    if (placed[next]) continue;
+                    this.level[next] = Math.max(this.level[next], this.level[c] + 1);
+                    if (--waiting[next] === 0) {
+                        placed[next] = 1;
+                        order[tail++] = next;
+                    }
+                }
+            }
+        }
+    }
+
+    // --- Values ---
+
+    static encode(value) {
+        if (value === Logic.X) return VALUE_X;
+        if (value === Logic.Z) return VALUE_Z;
+        return value;
+    }
+
+    static decode(value) {
+        if (value === VALUE_X) return Logic.X;
+        if (value === VALUE_Z) return Logic.Z;
+        return value;
+    }
+
+    static invert(value) {
+        if (value === 0) return 1;
+        if (value === 1) return 0;
+        return VALUE_X;
+    }
+
+    /**
+     * Works out a pin's value from its drivers, like Node.resolve() followed
+     * by Logic.read().
+     * @param {number} p
+     * @returns {boolean} True if the value or the contention flag changed.
+     */
+    resolvePin(p) {
+        const node = this.pinNodes[p];
+        const start = this.driverStart[p];
+        const end = this.driverStart[p + 1];
+        const floating = Logic.fourValued ? VALUE_Z : 0;
+        let value;
+        let contention = 0;
+
+        if (node.stuckAt !== null) {
+            value = CompiledNetlist.encode(node.stuckAt);
+        } else if (start === end) {
+            value = Logic.fourValued ? VALUE_Z : CompiledNetlist.encode(node.state);
+        } else if (end - start === 1) {
+            value = this.signalValue[this.driverSignal[start]];
+            if (value === VALUE_Z) value = floating;
+        } else {
+            // A shared net: Z drivers let go, disagreeing drivers give X
+            let active = VALUE_NONE;
+            let known = VALUE_NONE;
+            let mixed = false;
+            for (let k = start; k < end; k++) {
+                const driven = this.signalValue[this.driverSignal[k]];
+                if (driven === VALUE_Z) continue;
+                if (active === VALUE_NONE) active = driven;
+                else if (driven !== active) mixed = true;
+                if (driven >= 0) {
+                    if (known === VALUE_NONE) known = driven;
+                    else if (driven !== known) contention = 1;
+                }
+            }
+            value = active === VALUE_NONE ? floating : (mixed ? VALUE_X : active);
+        }
+
+        if (value === this.pinValue[p] && contention === this.pinContention[p]) return false;
+        this.pinValue[p] = value;
+        this.pinContention[p] = contention;
+        return true;
+    }
+
+    markSignal(s) {
+        if (this.signalDirty[s]) return;
+        this.signalDirty[s] = 1;
+        this.dirtySignals.push(s);
+    }
+
+    markPin(p) {
+        if (this.pinDirty[p]) return;
+        this.pinDirty[p] = 1;
+        this.dirtyPins.push(p);
+    }
+
+    // --- Loading and Storing ---
+
+    /**
+     * Reads the current states of the circuit and drops any pending
+     * events. Only what differs from the circuit is marked for store().
+     * @param {number} time - The simulated time to continue from.
+     */
+    load(time) {
+        this.time = time;
+        this.clearEvents();
+
+        for (let s = 0; s < this.signalNodes.length; s++) {
+            const node = this.signalNodes[s];
+            const value = CompiledNetlist.encode(node.applyFault(node.state));
+            this.signalValue[s] = value;
+            let stale = node.stuckAt !== null && node.state !== node.stuckAt;
+            for (let k = this.fanoutStart[s]; k < this.fanoutStart[s + 1] && !stale; k++) {
+                stale = CompiledNetlist.encode(this.fanoutWire[k].state) !== value;
+            }
+            if (stale) this.markSignal(s);
+        }
+
+        for (let p = 0; p < this.pinNodes.length; p++) {
+            this.resolvePin(p);
+            const node = this.pinNodes[p];
+            const value = CompiledNetlist.decode(this.pinValue[p]);
+            const connected = this.driverStart[p + 1] > this.driverStart[p];
+            const component = this.components[this.pinOwner[p]];
+            if ((connected && (node.state !== value || node.contention !== (this.pinContention[p] === 1))) ||
+                (this.kind[this.pinOwner[p]] === NETLIST_KINDS.OUTPUT && component.state !== value)) {
+                this.markPin(p);
+            }
+        }
+    }
+
+    /**
+     * Writes every value that changed since load() back to the nodes,
+     * wires and Outputs.
+     */
+    store() {
+        for (const s of this.dirtySignals) {
+            this.signalDirty[s] = 0;
+            const state = CompiledNetlist.decode(this.signalValue[s]);
+            this.signalNodes[s].state = state;
+            for (let k = this.fanoutStart[s]; k < this.fanoutStart[s + 1]; k++) {
+                this.fanoutWire[k].state = state;
+            }
+        }
+        for (const p of this.dirtyPins) {
+            this.pinDirty[p] = 0;
+            const c = this.pinOwner[p];
+            const state = CompiledNetlist.decode(this.pinValue[p]);
+            if (this.driverStart[p + 1] > this.driverStart[p]) { // Floating inputs keep their node as is
+                this.pinNodes[p].state = state;
+                this.pinNodes[p].contention = this.pinContention[p] === 1;
+            }
+            if (this.kind[c] === NETLIST_KINDS.OUTPUT) this.components[c].state = state;
+        }
+        this.dirtySignals = [];
+        this.dirtyPins = [];
+    }
+
+    // --- Running ---
+
+    /**
+     * Evaluates every component, then lets the circuit settle.
+     * @param {number} maxSteps - Gives up after this many events.
+     * @returns {boolean} False if the circuit never settled.
+     */
+    evaluateAll(maxSteps) {
+        for (let c = 0; c < this.components.length; c++) {
+            const kind = this.kind[c];
+            if (kind !== NETLIST_KINDS.SOURCE && kind !== NETLIST_KINDS.OUTPUT) this.queueEval(c);
+        }
+        return this.run(maxSteps);
+    }
+
+    /**
+     * Changes a source (InputToggle or Clock) now. Only the components it
+     * reaches are evaluated once run() is called.
+     * @param {InputToggle|Clock} component
+     * @param {number} value
+     */
+    setSource(component, value) {
+        const c = this.componentIndex.get(component);
+        if (c === undefined) return;
+        component.state = value;
+        const s = this.outputStart[c];
+        this.setSignal(s, CompiledNetlist.encode(this.signalNodes[s].applyFault(value)));
+    }
+
+    /**
+     * A component changed outside the netlist (e.g. a toggled Input): it is
+     * evaluated again, or for a source, everything it drives is.
+     * Call after load(), which already picked up the new node values.
+     * @param {BaseGate} component
+     */
+    touch(component) {
+        const c = this.componentIndex.get(component);
+        if (c === undefined) return;
+        if (this.kind[c] !== NETLIST_KINDS.SOURCE) {
+            this.queueEval(c);
+            return;
+        }
+        const s = this.outputStart[c];
+        for (let k = this.fanoutStart[s]; k < this.fanoutStart[s + 1]; k++) {
+            const owner = this.pinOwner[this.fanoutPin[k]];
+            const kind = this.kind[owner];
+            if (kind !== NETLIST_KINDS.SOURCE && kind !== NETLIST_KINDS.OUTPUT) this.queueEval(owner);
+        }
+    }
+
+    /**
+     * Processes events until none are left.
+     * @param {number} maxSteps - Gives up after this many events.
+     * @param {number} [until] - --- NEW: Events after this time are left waiting.
+     * @param {boolean} [includeUntil] - --- NEW: False leaves the events at `until` waiting too.
+     * @returns {boolean} False if the circuit never settled (the events are dropped).
+     */
+    run(maxSteps, until = Infinity, includeUntil = true) {
+        let steps = 0;
+        while (this.heapSize > 0) {
+            const nextTime = this.eventTime[this.heap[0]];
+            if (nextTime > until || (nextTime === until && !includeUntil)) break;
+            const slot = this.popEvent();
+            const rank = this.eventRank[slot];
+            const target = this.eventTarget[slot];
+
+            if (rank < 0 && !this.takePending(target, this.eventSeq[slot])) continue; // Overtaken or swallowed
+            if (++steps > maxSteps) {
+                this.stuckComponents = this.pendingComponents();
+                this.clearEvents();
+                return false;
+            }
+            this.time = Math.max(this.time, this.eventTime[slot]);
+
+            if (rank < 0) {
+                this.setSignal(target, this.eventValue[slot]);
+            } else {
+                this.evalQueued[target] = 0;
+                this.evaluate(target);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * --- NEW ---
+     * Lets free-running Clocks tick: every edge up to `until` is applied at
+     * its exact time, with the events in between processed as they fall due.
+     * Like AnimationManager's run window, events at `until` itself are
+     * processed too.
+     * @param {Array<Clock>} clocks
+     * @param {number} until - Simulated time to stop at.
+     * @param {number} maxSteps - Per stretch between two edges.
+     * @param {Function} [keepGoing] - Asked between edges; false stops early (e.g. a time budget).
+     * @returns {boolean} False if the circuit never settled between two edges.
+     */
+    runClocks(clocks, until, maxSteps, keepGoing = () => true) {
+        while (keepGoing()) {
+            let edge = Infinity;
+            for (const clock of clocks) edge = Math.min(edge, clock.getNextEdgeTime(this.time));
+            if (edge === Infinity && until === Infinity) return this.run(maxSteps);
+
+            if (edge > until) {
+                // The last stretch, up to and including `until`
+                if (!this.run(maxSteps, until)) return false;
+                this.time = until;
+                return true;
+            }
+            // Events at the edge's own time are ordered with the edge (SETs first)
+            if (!this.run(maxSteps, edge, false)) return false;
+            this.time = edge;
+            for (const clock of clocks) {
+                if (clock.updateForTime(edge)) this.setSource(clock, clock.state);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * A signal takes a new value; every pin it drives is resolved again
+     * and their components are queued for evaluation at this instant.
+     * @param {number} s
+     * @param {number} value
+     */
+    setSignal(s, value) {
+        if (this.signalValue[s] === value) return;
+        this.signalValue[s] = value;
+        this.markSignal(s);
+
+        for (let k = this.fanoutStart[s]; k < this.fanoutStart[s + 1]; k++) {
+            const p = this.fanoutPin[k];
+            if (!this.resolvePin(p)) continue;
+            this.markPin(p);
+            const c = this.pinOwner[p];
+            const kind = this.kind[c];
+            if (kind !== NETLIST_KINDS.SOURCE && kind !== NETLIST_KINDS.OUTPUT) this.queueEval(c);
+        }
+    }
+
+    /**
+     * Calculates a component's outputs and schedules any change.
+     * @param {number} c
+     */
+    evaluate(c) {
+        const kind = this.kind[c];
+        const start = this.inputStart[c];
+        const end = this.inputStart[c + 1];
+        let result;
+
+        switch (kind) {
+            case NETLIST_KINDS.AND:
+            case NETLIST_KINDS.NAND: {
+                // A single 0 decides it
+                result = 1;
+                for (let p = start; p < end; p++) {
+                    const value = this.pinValue[p];
+                    if (value === 0) {
+                        result = 0;
+                        break;
+                    }
+                    if (value !== 1) result = VALUE_X;
+                }
+                if (kind === NETLIST_KINDS.NAND) result = CompiledNetlist.invert(result);
+                break;
+            }
+            case NETLIST_KINDS.OR:
+            case NETLIST_KINDS.NOR: {
+                // A single 1 decides it
+                result = 0;
+                for (let p = start; p < end; p++) {
+                    const value = this.pinValue[p];
+                    if (value === 1) {
+                        result = 1;
+                        break;
+                    }
+                    if (value !== 0) result = VALUE_X;
+                }
+                if (kind === NETLIST_KINDS.NOR) result = CompiledNetlist.invert(result);
+                break;
+            }
+            case NETLIST_KINDS.XOR:
+            case NETLIST_KINDS.XNOR: {
+                // Needs every input
+                result = 0;
+                for (let p = start; p < end; p++) {
+                    const value = this.pinValue[p];
+                    if (value < 0) {
+                        result = VALUE_X;
+                        break;
+                    }
+                    if (value === 1) result ^= 1;
+                }
+                if (kind === NETLIST_KINDS.XNOR) result = CompiledNetlist.invert(result);
+                break;
+            }
+            case NETLIST_KINDS.NOT:
+                result = CompiledNetlist.invert(this.pinValue[start]);
+                break;
+            default:
+                this.evaluateBehaviour(c);
+                return;
+        }
+
+        const s = this.outputStart[c];
+        const stuckAt = this.signalNodes[s].stuckAt;
+        this.scheduleOutput(c, s, stuckAt === null ? result : CompiledNetlist.encode(stuckAt));
+    }
+
+    /**
+     * Components without a built-in rule read their nodes, so those are
+     * brought up to date before calculateOutputs() runs.
+     * @param {number} c
+     */
+    evaluateBehaviour(c) {
+        const component = this.components[c];
+        for (let p = this.inputStart[c]; p < this.inputStart[c + 1]; p++) {
+            if (this.driverStart[p + 1] === this.driverStart[p]) continue; // Floating, read from the node
+            this.pinNodes[p].state = CompiledNetlist.decode(this.pinValue[p]);
+            this.pinNodes[p].contention = this.pinContention[p] === 1;
+        }
+        const first = this.outputStart[c];
+        for (let s = first; s < this.outputStart[c + 1]; s++) {
+            this.signalNodes[s].state = CompiledNetlist.decode(this.signalValue[s]);
+        }
+
+        const newStates = component.calculateOutputs();
+        for (let s = first; s < this.outputStart[c + 1]; s++) {
+            const node = this.signalNodes[s];
+            this.scheduleOutput(c, s, CompiledNetlist.encode(node.applyFault(newStates[s - first])));
+        }
+    }
+
+    /**
+     * Schedules a signal change after the component's delay, exactly like
+     * SimulationEngine.scheduleOutput(). Dropped changes stay in the heap
+     * and are skipped when they come up (see takePending()).
+     * @param {number} c
+     * @param {number} s
+     * @param {number} value
+     */
+    scheduleOutput(c, s, value) {
+        const changeTime = this.time + this.delay[c];
+
+        if (this.transport[c]) {
+            // A change that lands earlier overtakes any that were due later
+            const pending = this.transportPending.get(s) || [];
+            while (pending.length > 0 && pending[pending.length - 1].time >= changeTime) pending.pop();
+            const lastValue = pending.length > 0 ? pending[pending.length - 1].value : this.signalValue[s];
+            if (value !== lastValue) {
+                pending.push({ seq: this.pushEvent(changeTime, -1, s, value), time: changeTime, value: value });
+            }
+            if (pending.length > 0) this.transportPending.set(s, pending);
+            else this.transportPending.delete(s);
+            return;
+        }
+
+        if (this.pendingSeq[s] >= 0) {
+            if (this.pendingValue[s] === value) return; // Already on its way
+            this.pendingSeq[s] = -1; // Swallowed
+        }
+        if (value === this.signalValue[s]) return;
+        this.pendingSeq[s] = this.pushEvent(changeTime, -1, s, value);
+        this.pendingValue[s] = value;
+    }
+
+    /**
+     * @param {number} s
+     * @param {number} seq
+     * @returns {boolean} True if this change is still wanted (it is then no longer pending).
+     */
+    takePending(s, seq) {
+        if (this.transport[this.signalOwner[s]]) {
+            const pending = this.transportPending.get(s);
+            if (!pending || pending[0].seq !== seq) return false;
+            pending.shift();
+            if (pending.length === 0) this.transportPending.delete(s);
+            return true;
+        }
+        if (this.pendingSeq[s] !== seq) return false;
+        this.pendingSeq[s] = -1;
+        return true;
+    }
+
+    queueEval(c) {
+        if (this.evalQueued[c]) return;
+        this.evalQueued[c] = 1;
+        this.pushEvent(this.time, this.level[c], c, 0);
+    }
+
+    // --- Event Heap ---
+    // A binary min-heap of event slots, ordered by (time, rank, seq).
+    // Signal changes have rank -1, so they land before any evaluation at
+    // the same time; evaluations are ranked by level.
+
+    allocateEvents(capacity) {
+        this.heap = new Int32Array(capacity);
+        this.heapSize = 0;
+        this.eventTime = new Float64Array(capacity);
+        this.eventRank = new Int32Array(capacity);
+        this.eventSeq = new Float64Array(capacity);
+        this.eventTarget = new Int32Array(capacity); // Signal (rank -1) or component
+        this.eventValue = new Int32Array(capacity);
+        this.freeSlots = Array.from({ length: capacity }, (_, i) => capacity - 1 - i);
+        this.nextSeq = 0;
+    }
+
+    growEvents() {
+        const oldCapacity = this.heap.length;
+        const capacity = oldCapacity * 2;
+        const grow = (Type, old) => {
+            const array = new Type(capacity);
+            array.set(old);
+            return array;
+        };
+        this.heap = grow(Int32Array, this.heap);
+        this.eventTime = grow(Float64Array, this.eventTime);
+        this.eventRank = grow(Int32Array, this.eventRank);
+        this.eventSeq = grow(Float64Array, this.eventSeq);
+        this.eventTarget = grow(Int32Array, this.eventTarget);
+        this.eventValue = grow(Int32Array, this.eventValue);
+        for (let slot = capacity - 1; slot >= oldCapacity; slot--) this.freeSlots.push(slot);
+    }
+
+    /**
+     * @returns {Array<BaseGate>} Components with an event waiting.
+     */
+    pendingComponents() {
+        const found = new Set();
+        for (let i = 0; i < this.heapSize; i++) {
+            const slot = this.heap[i];
+            const target = this.eventTarget[slot];
+            found.add(this.components[this.eventRank[slot] < 0 ? this.signalOwner[target] : target]);
+        }
+        return [...found];
+    }
+
+    clearEvents() {
+        for (let i = 0; i < this.heapSize; i++) this.freeSlots.push(this.heap[i]);
+        this.heapSize = 0;
+        this.pendingSeq.fill(-1);
+        this.transportPending.clear();
+        this.evalQueued.fill(0);
+    }
+
+    isBefore(a, b) {
+        if (this.eventTime[a] !== this.eventTime[b]) return this.eventTime[a] < this.eventTime[b];
+        if (this.eventRank[a] !== this.eventRank[b]) return this.eventRank[a] < this.eventRank[b];
+        return this.eventSeq[a] < this.eventSeq[b];
+    }
+
+    /**
+     * @returns {number} The new event's sequence number.
+     */
+    pushEvent(time, rank, target, value) {
+        if (this.freeSlots.length === 0) this.growEvents();
+        const slot = this.freeSlots.pop();
+        const seq = this.nextSeq++;
+        this.eventTime[slot] = time;
+        this.eventRank[slot] = rank;
+        this.eventSeq[slot] = seq;
+        this.eventTarget[slot] = target;
+        this.eventValue[slot] = value;
+
+        const heap = this.heap;
+        let index = this.heapSize++;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.isBefore(slot, heap[parent])) break;
+            heap[index] = heap[parent];
+            index = parent;
+        }
+        heap[index] = slot;
+        return seq;
+    }
+
+    /**
+     * @returns {number} The earliest event's slot. Its fields stay readable
+     *   until the next pushEvent().
+     */
+    popEvent() {
+        const heap = this.heap;
+        const top = heap[0];
+        const last = heap[--this.heapSize];
+        let index = 0;
+        const half = this.heapSize >> 1;
+        while (index < half) {
+            let child = 2 * index + 1;
+            if (child + 1 < this.heapSize && this.isBefore(heap[child + 1], heap[child])) child++;
+            if (!this.isBefore(heap[child], last)) break;
+            heap[index] = heap[child];
+            index = child;
+        }
+        if (this.heapSize > 0) heap[index] = last;
+        this.freeSlots.push(top);
+        return top;
+    }
+}
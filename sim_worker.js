@@ -0,0 +1,125 @@
+// --- Simulation Worker ---
+// Runs long clocked simulations off the page's main thread, so drawing and
+// editing never wait for it (see WorkerManager in worker_manager.js).
+// It loads the same DOM-free core as headless.js, rebuilds the circuit
+// from the page's copy and lets the Clocks tick on the compiled netlist.
+// Every BATCH_MS it posts the values that changed since the last batch.
+//
+// Messages from the page:
+//   { type: 'start', circuit, values, faults, fourValued, time, cycles }
+//   { type: 'setInput', position, value } - An Input was toggled on the page
+// Messages to the page:
+//   { type: 'progress' | 'done', time, cycles, changes, settled }
+//   { type: 'error', message }
+
+importScripts('components.js', 'simulator.js', 'netlist.js', 'engine.js');
+
+const SimulationWorker = {
+    BATCH_MS: 50, // Wall-clock time between updates to the page
+
+    // --- State ---
+    snapshot: null, // captureState() of this copy; positions match the page's
+    lastSent: [], // readStateValues() as of the last batch
+    netlist: null,
+    clocks: [],
+    startTime: 0,
+    endTime: Infinity,
+    cyclePeriod: 1, // Period of the fastest Clock; cycles are counted in it
+
+    /**
+     * Rebuilds the page's circuit with its current values and starts ticking.
+     * @param {object} message - See the messages above.
+     */
+    start: function(message) {
+        Logic.fourValued = message.fourValued;
+        Simulator.loadCircuitData(message.circuit);
+
+        this.snapshot = Simulator.captureState();
+        const positions = Simulator.readStateValues(this.snapshot).length;
+        if (positions !== message.values.length) {
+            throw new Error("The circuit could not be copied exactly (a subcircuit may be out of date).");
+        }
+        message.values.forEach((value, position) => Simulator.writeStateValue(this.snapshot, position, value));
+        for (const [position, value] of message.faults) {
+            this.snapshot.nodes[position].node.stuckAt = value;
+        }
+
+        this.clocks = Simulator.allComponents.filter(component => component instanceof Clock);
+        this.cyclePeriod = Math.min(...this.clocks.map(clock => clock.period));
+        this.startTime = message.time;
+        this.endTime = message.cycles > 0 ? message.time + message.cycles * this.cyclePeriod : Infinity;
+        this.lastSent = message.values;
+
+        // Anything still on its way on the page is worked out again here
+        SimulationEngine.time = message.time;
+        this.netlist = CompiledNetlist.compile(Simulator.allComponents, Simulator.allWires);
+        this.netlist.load(message.time);
+        for (const clock of this.clocks) {
+            if (clock.updateForTime(message.time)) this.netlist.setSource(clock, clock.state);
+        }
+        if (!this.netlist.evaluateAll(SimulationEngine.stepLimit())) {
+            this.postChanges('done', false); // Oscillating before the first edge
+            return;
+        }
+        this.runBatch();
+    },
+
+    /**
+     * Ticks for up to BATCH_MS, then reports and yields so new messages get in.
+     */
+    runBatch: function() {
+        try {
+            const deadline = Date.now() + this.BATCH_MS;
+            const settled = this.netlist.runClocks(this.clocks, this.endTime, SimulationEngine.stepLimit(), () => Date.now() < deadline);
+            const done = !settled || this.netlist.time >= this.endTime;
+            this.postChanges(done ? 'done' : 'progress', settled);
+            if (!done) setTimeout(() => this.runBatch(), 0);
+        } catch (error) {
+            postMessage({ type: 'error', message: error.message });
+        }
+    },
+
+    /**
+     * An Input was toggled on the page; it changes here at the current time.
+     * @param {number} position - Index in Simulator.allComponents.
+     * @param {number} value
+     */
+    setInput: function(position, value) {
+        const input = Simulator.allComponents[position];
+        if (input instanceof InputToggle) this.netlist.setSource(input, value);
+    },
+
+    /**
+     * Sends the values that changed since the last batch, as flat
+     * [position, value, position, value, ...] pairs.
+     * @param {string} type - 'progress' or 'done'.
+     * @param {boolean} settled
+     */
+    postChanges: function(type, settled) {
+        this.netlist.store();
+        const values = Simulator.readStateValues(this.snapshot);
+        const changes = [];
+        values.forEach((value, position) => {
+            if (value !== this.lastSent[position]) changes.push(position, value);
+        });
+        this.lastSent = values;
+
+        postMessage({
+            type: type,
+            time: this.netlist.time,
+            cycles: Math.floor((this.netlist.time - this.startTime) / this.cyclePeriod),
+            changes: changes,
+            settled: settled
+        });
+    }
+};
+
+self.onmessage = event => {
+    const message = event.data;
+    try {
+        if (message.type === 'start') SimulationWorker.start(message);
+        else if (message.type === 'setInput') SimulationWorker.setInput(message.position, message.value);
+    } catch (error) {
+        postMessage({ type: 'error', message: error.message });
+    }
+};
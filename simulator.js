@@ -1,10 +1,16 @@
 // This file is the "engine" of the simulator.
 // --- *** MODIFICATION: Refactored Save/Load logic *** ---
 // Now supports both auto-save and named saves.
+// --- MODIFIED: Together with components.js and engine.js this is the
+// DOM-free core, which also runs under Node (see headless.js). The page's
+// managers are only called when they are loaded. ---
 
 const Simulator = {
     allComponents: [], // Master list of all gates, inputs, outputs
     allWires: [],      // Master list of all wires
+    subcircuitDefinitions: {}, // --- NEW: Subcircuit name -> circuit data
+    navigationStack: [], // --- NEW: Parent levels while editing inside a subcircuit
+    testVectors: '', // --- NEW: The circuit's test table, as typed (see TestVectorManager)
     
     // --- Public API ---
 
@@ -81,8 +87,9 @@ const Simulator = {
         this.allComponents = [];
         this.allWires = [];
         
-        // Tell the AnimationManager to reset too
-        AnimationManager.resetSimulation();
+        // --- MODIFIED: Rewind the engine, then tell the AnimationManager (if any) to reset too
+        SimulationEngine.reset();
+        if (typeof AnimationManager !== 'undefined') AnimationManager.resetSimulation();
     },
 
     /**
@@ -93,11 +100,9 @@ const Simulator = {
         if (!componentToDelete) return;
 
         // Find and delete all connected wires first
+        // --- MODIFIED: In one batch, see deleteWires() ---
         const nodes = componentToDelete.getAllNodes();
-        
-        for (const node of nodes) {
-            this.deleteWiresForNode(node);
-        }
+        this.deleteWires(nodes.flatMap(node => node.connections || []));
 
         // Now remove the component itself
         this.allComponents = this.allComponents.filter(c => c.id !== componentToDelete.id);
@@ -109,12 +114,7 @@ const Simulator = {
      */
     deleteWiresForNode: function(node) {
         if (!node || !node.connections) return;
-
-        const wiresToDelete = [...node.connections];
-        
-        for (const wire of wiresToDelete) {
-            this.deleteWire(wire);
-        }
+        this.deleteWires([...node.connections]);
     },
 
     /**
@@ -123,95 +123,375 @@ const Simulator = {
      */
     deleteWire: function(wireToDelete) {
         if (!wireToDelete) return;
+        this.deleteWires([wireToDelete]);
+    },
+
+    /**
+     * --- NEW ---
+     * Removes many wires at once. Each list (the master list and every
+     * touched node's connections) is rebuilt once, not once per wire.
+     * @param {Wire[]} wiresToDelete
+     */
+    deleteWires: function(wiresToDelete) {
+        const doomed = new Set(wiresToDelete);
+        if (doomed.size === 0) return;
+
+        // Remove the wires from their node connection lists
+        const touchedNodes = new Set();
+        for (const wire of doomed) {
+            touchedNodes.add(wire.startNode);
+            touchedNodes.add(wire.endNode);
+        }
+        for (const node of touchedNodes) {
+            node.connections = node.connections.filter(w => !doomed.has(w));
+        }
+        for (const wire of doomed) {
+            wire.endNode.resolve(); // --- NEW: Re-resolve the remaining drivers (or let the input float)
+        }
+
+        // Remove the wires from the master list
+        this.allWires = this.allWires.filter(w => !doomed.has(w));
+    },
+
+
+    /**
+     * --- NEW ---
+     * Deletes wires that no longer fit the component they are attached to,
+     * e.g. after a component rebuilt its nodes (input count, bus width).
+     * @returns {number} - How many wires were removed.
+     */
+    pruneDetachedWires: function() {
+        const detached = this.allWires.filter(w =>
+            !w.startNode.parentComponent.outputNodes.includes(w.startNode) ||
+            !w.endNode.parentComponent.inputNodes.includes(w.endNode) ||
+            w.startNode.bitWidth !== w.endNode.bitWidth
+        );
+        this.deleteWires(detached); // --- MODIFIED: One pass over allWires
+        return detached.length;
+    },
+
 
-        // Remove wire from its node connection lists
-        wireToDelete.startNode.connections = wireToDelete.startNode.connections.filter(w => w.id !== wireToDelete.id);
-        wireToDelete.endNode.connections = wireToDelete.endNode.connections.filter(w => w.id !== wireToDelete.id);
+    /**
+     * --- NEW ---
+     * Lists the signals that can be watched (timing diagram, breakpoints):
+     * every Input, Clock and Output, plus the outputs of any component
+     * with a custom label (a "probe").
+     * @returns {Array<object>} - { key, name, node, component }
+     */
+    getSignalCandidates: function() {
+        const candidates = [];
+        for (const component of this.allComponents) {
+            const isIO = component instanceof InputToggle || component instanceof Clock || component instanceof OutputLed;
+            if (!isIO && !component.customLabel) continue;
+
+            const baseName = component.customLabel || `${component.label} ${component.id.replace('gate_', '#')}`;
+            // An Output's value is its input; everything else is watched on its outputs
+            const nodes = (component instanceof OutputLed) ? component.inputNodes : component.outputNodes;
+            for (const node of nodes) {
+                const name = nodes.length > 1 ? `${baseName}.${node.label}` : baseName;
+                candidates.push({ key: node.id, name: name, node: node, component: component });
+            }
+        }
+        return candidates;
+    },
 
-        // Remove wire from the master list
-        this.allWires = this.allWires.filter(w => w.id !== wireToDelete.id);
+    /**
+     * --- NEW ---
+     * Lists the circuit's Inputs and Outputs top to bottom, named after their
+     * custom labels or In1, In2... / Out1, Out2... (the truth table columns).
+     * @param {Array<BaseGate>} components - Defaults to the canvas.
+     * @returns {{inputs: Array<object>, outputs: Array<object>}} - { name, component }
+     */
+    getIOColumns: function(components = this.allComponents) {
+        const byPosition = (a, b) => (a.y - b.y) || (a.x - b.x);
+        const name = (component, prefix, i) => component.customLabel || `${prefix}${i + 1}`;
+        const inputs = components.filter(c => c instanceof InputToggle).sort(byPosition);
+        const outputs = components.filter(c => c instanceof OutputLed).sort(byPosition);
+        return {
+            inputs: inputs.map((component, i) => ({ name: name(component, 'In', i), component: component })),
+            outputs: outputs.map((component, i) => ({ name: name(component, 'Out', i), component: component }))
+        };
     },
 
+    /**
+     * --- NEW ---
+     * @param {{node: Node, component: BaseGate}} signal - From getSignalCandidates().
+     * @returns {number|string} The signal's value right now.
+     */
+    readSignal: function(signal) {
+        return (signal.component instanceof OutputLed) ? signal.component.state : Logic.read(signal.node);
+    },
 
     // --- *** NEW SIMULATION LOGIC *** ---
 
     /**
      * Builds the *initial* queue for the simulation engine.
+     * @param {boolean} fullEvaluation - --- NEW: Queue every component, not just the ones that need a kick.
      * @returns {Array} - An *initial* queue of simulation events.
      */
-    buildSimulationQueue: function() {
+    buildSimulationQueue: function(fullEvaluation = false) {
         let queue = [];
         
         // 1. Get initial states from all input sources
         for (const component of this.allComponents) {
-            if (component instanceof InputToggle) {
+            if (component instanceof InputToggle || component instanceof Clock) {
                 queue.push({
                     type: 'UPDATE_INPUT',
                     component: component
                 });
             }
         }
+
+        // 2. --- NEW: Wires behind their output (e.g. a new wire from a Q̄,
+        // which starts at 1) carry its value on first, as the output never
+        // changes. Inputs and Clocks already send theirs in step 1 ---
+        for (const wire of this.allWires) {
+            const source = wire.startNode.parentComponent;
+            if (source instanceof InputToggle || source instanceof Clock) continue;
+            if (wire.state !== wire.startNode.state) {
+                queue.push({
+                    type: 'PROPAGATE',
+                    wire: wire,
+                    newState: wire.startNode.state
+                });
+            }
+        }
+
+        // 3. --- NEW: Publish the stored bit of every flip-flop and latch ---
+        // They hold state even when no input changes, so Q and Q̄ must be
+        // pushed out at least once. Subcircuits may contain either.
+        // Gates with an unconnected input never hear about it through a wire,
+        // so they are evaluated up front too (they read 0, or Z in four-valued mode).
+        // A full evaluation simply queues every component.
+        for (const component of this.allComponents) {
+            if (component instanceof InputToggle || component instanceof Clock) continue;
+            const hasFloatingInput = component.inputNodes.some(node => node.connections.length === 0);
+            if (fullEvaluation || component instanceof SequentialGate || component instanceof SubcircuitInstance || hasFloatingInput) {
+                queue.push({
+                    type: 'CALCULATE',
+                    component: component
+                });
+            }
+        }
         
         return queue;
     },
 
+    /**
+     * --- NEW ---
+     * Copies every output onto its wires and re-resolves the inputs they
+     * drive, so a full evaluation starts from consistent nets
+     * (e.g., right after a wire was added).
+     */
+    syncWires: function() {
+        for (const wire of this.allWires) {
+            wire.state = wire.startNode.state;
+        }
+        for (const wire of this.allWires) {
+            wire.endNode.resolve();
+        }
+    },
+
+    // --- *** SNAPSHOTS (for Step Back) *** ---
+
+    /**
+     * --- NEW ---
+     * Records every state on the canvas, including inside subcircuits.
+     * @returns {object} - A snapshot for restoreState().
+     */
+    captureState: function() {
+        const snapshot = { components: [], nodes: [], wires: [] };
+
+        const capture = (components, wires) => {
+            for (const component of components) {
+                snapshot.components.push({
+                    component: component,
+                    hasState: 'state' in component,
+                    state: component.state,
+                    lastClock: component.lastClock
+                });
+                for (const node of component.getAllNodes()) {
+                    snapshot.nodes.push({ node: node, state: node.state, contention: node.contention });
+                }
+                if (component instanceof SubcircuitInstance) {
+                    capture(component.innerComponents, component.innerWires);
+                }
+            }
+            for (const wire of wires) {
+                snapshot.wires.push({ wire: wire, state: wire.state });
+            }
+        };
+        capture(this.allComponents, this.allWires);
+        return snapshot;
+    },
+
+    /**
+     * --- NEW ---
+     * Puts back the states recorded by captureState().
+     * @param {object} snapshot
+     */
+    restoreState: function(snapshot) {
+        for (const entry of snapshot.components) {
+            if (entry.hasState) entry.component.state = entry.state;
+            if (entry.component instanceof SequentialGate) entry.component.lastClock = entry.lastClock;
+        }
+        for (const entry of snapshot.nodes) {
+            entry.node.state = entry.state;
+            entry.node.contention = entry.contention;
+        }
+        for (const entry of snapshot.wires) {
+            entry.wire.state = entry.state;
+        }
+    },
+
+    /**
+     * --- NEW ---
+     * Reads the current values of everything a snapshot lists, as one flat
+     * array of plain values that can be posted to another thread (see
+     * WorkerManager). Two copies of the same circuit list them in the same
+     * order. Per component: state, lastClock; per node: state, contention;
+     * per wire: state.
+     * @param {object} snapshot - From captureState().
+     * @returns {Array}
+     */
+    readStateValues: function(snapshot) {
+        const values = [];
+        for (const entry of snapshot.components) values.push(entry.component.state, entry.component.lastClock);
+        for (const entry of snapshot.nodes) values.push(entry.node.state, entry.node.contention);
+        for (const entry of snapshot.wires) values.push(entry.wire.state);
+        return values;
+    },
+
+    /**
+     * --- NEW ---
+     * Sets one value by its position in readStateValues().
+     * @param {object} snapshot - From captureState().
+     * @param {number} position
+     * @param {*} value
+     */
+    writeStateValue: function(snapshot, position, value) {
+        const componentValues = snapshot.components.length * 2;
+        const nodeValues = snapshot.nodes.length * 2;
+        if (position < componentValues) {
+            const entry = snapshot.components[position >> 1];
+            if (position & 1) {
+                if (entry.component instanceof SequentialGate) entry.component.lastClock = value;
+            } else if (entry.hasState) {
+                entry.component.state = value;
+            }
+        } else if (position < componentValues + nodeValues) {
+            const entry = snapshot.nodes[(position - componentValues) >> 1];
+            if ((position - componentValues) & 1) entry.node.contention = value;
+            else entry.node.state = value;
+        } else {
+            snapshot.wires[position - componentValues - nodeValues].wire.state = value;
+        }
+    },
+
     // --- *** SAVE/LOAD FUNCTIONS *** ---
 
     /**
      * --- NEW ---
      * Serializes the current circuit state into a JSON-friendly object.
      * Used by both auto-save and named saves.
+     * --- MODIFIED: Always saves the top-level circuit, plus every subcircuit definition ---
      * @returns {object|null} - The circuit data object, or null on error.
      */
     getCircuitData: function() {
         try {
-            // 1. Serialize Components
-            const serializableComponents = this.allComponents.map(c => ({
-                // Store essential info needed to recreate the component
-                type: c.label, // The class name (e.g., 'AND', 'INPUT')
-                x: c.x,
-                y: c.y,
-                customLabel: c.customLabel,
-                inputCount: c.inputNodes.length, // Store current input count
-                // --- NEW: Store InputToggle state ---
-                state: (c instanceof InputToggle) ? c.state : undefined
-            }));
-
-            // 2. Serialize Wires
-            const serializableWires = this.allWires.map(w => {
-                // Find the index of the component in the *current* allComponents array
-                const fromComponentIndex = this.allComponents.indexOf(w.startNode.parentComponent);
-                const toComponentIndex = this.allComponents.indexOf(w.endNode.parentComponent);
-
-                // Find the index of the node within its parent's node list
-                const fromNodeIndex = w.startNode.parentComponent.outputNodes.indexOf(w.startNode);
-                const toNodeIndex = w.endNode.parentComponent.inputNodes.indexOf(w.endNode);
-
-                if (fromComponentIndex === -1 || toComponentIndex === -1 || fromNodeIndex === -1 || toNodeIndex === -1) {
-                    // This should not happen if the circuit is valid
-                    console.warn("Could not find index for wire connection during save:", w);
-                    return null; // Mark this wire as invalid
-                }
+            // Edits made inside an open subcircuit belong to its definition
+            this.syncOpenSubcircuit();
 
-                return {
-                    fromComponentIndex,
-                    fromNodeIndex,
-                    toComponentIndex,
-                    toNodeIndex
-                };
-            }).filter(w => w !== null); // Remove any invalid wires
+            const rootLevel = this.navigationStack[0];
+            const rootComponents = rootLevel ? rootLevel.components : this.allComponents;
+            const rootWires = rootLevel ? rootLevel.wires : this.allWires;
 
-            return {
-                components: serializableComponents,
-                wires: serializableWires
-            };
+            const data = this.serializeCircuit(rootComponents, rootWires);
+            data.subcircuits = { ...this.subcircuitDefinitions };
+            data.testVectors = this.testVectors; // --- NEW
+            return data;
         } catch (error) {
             console.error("Failed to serialize circuit data:", error);
-            AnimationManager.logError("Error: Could not prepare circuit data for saving.");
+            if (typeof AnimationManager !== 'undefined') AnimationManager.logError("Error: Could not prepare circuit data for saving.");
             return null;
         }
     },
+
+    /**
+     * --- NEW ---
+     * Serializes a list of components and wires (the canvas or a subcircuit).
+     * @param {Array<BaseGate>} components
+     * @param {Array<Wire>} wires
+     * @returns {object} - { components, wires }
+     */
+    serializeCircuit: function(components, wires) {
+        // 1. Serialize Components
+        const serializableComponents = components.map(c => ({
+            // Store essential info needed to recreate the component
+            type: c.label, // The class name (e.g., 'AND', 'INPUT')
+            x: c.x,
+            y: c.y,
+            customLabel: c.customLabel,
+            inputCount: c.inputNodes.length, // Store current input count
+            // --- NEW: Store InputToggle state (and the bit held by flip-flops/latches) ---
+            state: (c instanceof InputToggle || c instanceof SequentialGate) ? c.state : undefined,
+            // --- NEW: Store Clock timing ---
+            period: (c instanceof Clock) ? c.period : undefined,
+            dutyCycle: (c instanceof Clock) ? c.dutyCycle : undefined,
+            // --- NEW: Store bus width ---
+            bitWidth: (c instanceof Splitter || c instanceof Merger || c instanceof TriStateBuffer) ? c.bitWidth : undefined,
+            // --- NEW: Store propagation delay ---
+            delay: c.delay,
+            delayModel: c.delayModel,
+            // --- NEW: Store which subcircuit an instance uses ---
+            definition: (c instanceof SubcircuitInstance) ? c.definitionName : undefined,
+            // --- NEW: Store injected stuck-at faults as [node index in getAllNodes(), value] ---
+            faults: this.getComponentFaults(c)
+        }));
+
+        // 2. Serialize Wires
+        const serializableWires = wires.map(w => {
+            // Find the index of the component in the *current* components array
+            const fromComponentIndex = components.indexOf(w.startNode.parentComponent);
+            const toComponentIndex = components.indexOf(w.endNode.parentComponent);
+
+            // Find the index of the node within its parent's node list
+            const fromNodeIndex = w.startNode.parentComponent.outputNodes.indexOf(w.startNode);
+            const toNodeIndex = w.endNode.parentComponent.inputNodes.indexOf(w.endNode);
+
+            if (fromComponentIndex === -1 || toComponentIndex === -1 || fromNodeIndex === -1 || toNodeIndex === -1) {
+                // This should not happen if the circuit is valid
+                console.warn("Could not find index for wire connection during save:", w);
+                return null; // Mark this wire as invalid
+            }
+
+            return {
+                fromComponentIndex,
+                fromNodeIndex,
+                toComponentIndex,
+                toNodeIndex
+            };
+        }).filter(w => w !== null); // Remove any invalid wires
+
+        return {
+            components: serializableComponents,
+            wires: serializableWires
+        };
+    },
     
+    /**
+     * --- NEW ---
+     * @param {BaseGate} component
+     * @returns {Array|undefined} [node index, value] for each injected stuck-at fault, or undefined if none.
+     */
+    getComponentFaults: function(component) {
+        const faults = [];
+        component.getAllNodes().forEach((node, index) => {
+            if (node.stuckAt !== null) faults.push([index, node.stuckAt]);
+        });
+        return faults.length > 0 ? faults : undefined;
+    },
+
     /**
      * --- NEW ---
      * Loads a circuit state from a data object, replacing the current circuit.
@@ -224,8 +504,36 @@ const Simulator = {
             throw new Error("Invalid circuit data format.");
         }
 
+        this.navigationStack = []; // --- NEW: Always load at the top level
         this.resetSimulation(); // Clear the current board
+
+        // --- NEW: Definitions must exist before any instance is created ---
+        this.subcircuitDefinitions = { ...(data.subcircuits || {}) };
+        this.testVectors = data.testVectors || ''; // --- NEW
+
+        const circuit = this.buildCircuit(data);
+        circuit.components.forEach(c => this.addComponent(c));
+        this.allWires = circuit.wires; // Already linked to their nodes by buildCircuit
+
+        // --- NEW: Let the palette know about the loaded definitions ---
+        if (typeof SubcircuitManager !== 'undefined') {
+            SubcircuitManager.refreshPalette();
+        }
+        
+        console.log("Circuit data loaded successfully.");
+    },
+
+    /**
+     * --- NEW ---
+     * Re-hydrates components and wires from circuit data without touching
+     * the canvas. Used for loading and for building subcircuit instances.
+     * @param {object} data - { components, wires }
+     * @returns {object} - { components: Array<BaseGate>, wires: Array<Wire> }
+     * @throws {Error} If a component type is unknown.
+     */
+    buildCircuit: function(data) {
         const loadedComponents = []; // Keep track of new components in order
+        const loadedWires = [];
 
         // 1. Re-hydrate Components
         for (const c of data.components) {
@@ -233,6 +541,7 @@ const Simulator = {
             // Create component based on its type string
             switch (c.type) {
                 case 'INPUT': newComponent = new InputToggle(c.x, c.y); break;
+                case 'CLOCK': newComponent = new Clock(c.x, c.y); break;
                 case 'OUTPUT': newComponent = new OutputLed(c.x, c.y); break;
                 case 'AND': newComponent = new AndGate(c.x, c.y); break;
                 case 'OR': newComponent = new OrGate(c.x, c.y); break;
@@ -241,6 +550,20 @@ const Simulator = {
                 case 'NAND': newComponent = new NandGate(c.x, c.y); break;
                 case 'NOR': newComponent = new NorGate(c.x, c.y); break;
                 case 'XNOR': newComponent = new XnorGate(c.x, c.y); break;
+                case 'DFF': newComponent = new DFlipFlop(c.x, c.y); break;
+                case 'JKFF': newComponent = new JkFlipFlop(c.x, c.y); break;
+                case 'TFF': newComponent = new TFlipFlop(c.x, c.y); break;
+                case 'SRLATCH': newComponent = new SrLatch(c.x, c.y); break;
+                case 'DLATCH': newComponent = new DLatch(c.x, c.y); break;
+                case 'SPLIT': newComponent = new Splitter(c.x, c.y); break;
+                case 'MERGE': newComponent = new Merger(c.x, c.y); break;
+                case 'TRISTATE': newComponent = new TriStateBuffer(c.x, c.y); break;
+                case 'SUBCIRCUIT':
+                    if (!this.subcircuitDefinitions[c.definition]) {
+                        throw new Error(`Unknown subcircuit in save file: ${c.definition}`);
+                    }
+                    newComponent = new SubcircuitInstance(c.x, c.y, c.definition);
+                    break;
                 default:
                     throw new Error(`Unknown component type in save file: ${c.type}`);
             }
@@ -258,8 +581,30 @@ const Simulator = {
                  newComponent.state = c.state;
                  newComponent.outputNodes[0].state = c.state; // Ensure node state matches
             }
+            // --- NEW: Restore the bit held by flip-flops/latches ---
+            if (newComponent instanceof SequentialGate && c.state !== undefined) {
+                 newComponent.state = c.state;
+                 newComponent.outputNodes[0].state = c.state; // Q and Q̄ match the bit from the start
+                 newComponent.outputNodes[1].state = Logic.not(c.state);
+            }
+            // --- NEW: Restore bus width (before wires are added) ---
+            if (newComponent.setBitWidth && c.bitWidth) {
+                newComponent.setBitWidth(c.bitWidth);
+            }
+            // --- NEW: Restore propagation delay (older saves keep the defaults) ---
+            if (c.delay !== undefined) newComponent.setDelay(c.delay);
+            if (c.delayModel !== undefined) newComponent.setDelayModel(c.delayModel);
+            // --- NEW: Restore Clock timing ---
+            if (newComponent instanceof Clock) {
+                if (c.period !== undefined) newComponent.setPeriod(c.period);
+                if (c.dutyCycle !== undefined) newComponent.setDutyCycle(c.dutyCycle);
+            }
+            // --- NEW: Restore injected stuck-at faults (after the nodes are rebuilt) ---
+            for (const [index, value] of c.faults || []) {
+                const node = newComponent.getAllNodes()[index];
+                if (node && node.bitWidth === 1) node.stuckAt = value;
+            }
             
-            this.addComponent(newComponent);
             loadedComponents.push(newComponent); // Add to array *in order*
         }
 
@@ -281,12 +626,150 @@ const Simulator = {
                 console.warn("Skipping wire during load due to missing node reference.", w);
                 continue; // Skip this wire if nodes weren't found (e.g., if input count changed incorrectly)
             }
+            if (fromNode.bitWidth !== toNode.bitWidth) {
+                console.warn("Skipping wire during load due to mismatched bus widths.", w);
+                continue;
+            }
 
             const newWire = new Wire(fromNode, toNode);
-            this.addWire(newWire);
+            // Link the wire to its parent nodes
+            fromNode.connections.push(newWire);
+            toNode.connections.push(newWire);
+            newWire.update(); // --- NEW: Carries the output's value from the start (Q̄ is 1)
+            loadedWires.push(newWire);
+        }
+
+        return { components: loadedComponents, wires: loadedWires };
+    },
+
+    // --- *** FOUR-VALUED LOGIC *** ---
+
+    /**
+     * --- NEW ---
+     * Switches between two-valued (0/1) and four-valued (0/1/X/Z) logic.
+     * Leaving four-valued mode turns any leftover X or Z back into 0.
+     * The caller re-runs the simulation (AnimationManager.startSimulation())
+     * so every signal follows the new rules.
+     * @param {boolean} enabled
+     */
+    setFourValuedLogic: function(enabled) {
+        Logic.fourValued = enabled;
+        if (!enabled) {
+            this.clearUnknownStates(this.allComponents, this.allWires);
+            this.navigationStack.forEach(level => this.clearUnknownStates(level.components, level.wires));
+        }
+    },
+
+    /**
+     * --- NEW ---
+     * Resets every X or Z state to 0, including inside subcircuits.
+     * @param {Array<BaseGate>} components
+     * @param {Array<Wire>} wires
+     */
+    clearUnknownStates: function(components, wires) {
+        const known = value => Logic.isKnown(value) ? value : 0;
+
+        for (const component of components) {
+            component.getAllNodes().forEach(node => {
+                node.state = known(node.state);
+                node.contention = false;
+            });
+            if ('state' in component) component.state = known(component.state);
+            if (component instanceof SequentialGate && !Logic.isKnown(component.lastClock)) {
+                component.lastClock = null;
+            }
+            if (component instanceof SubcircuitInstance) {
+                this.clearUnknownStates(component.innerComponents, component.innerWires);
+            }
+        }
+        wires.forEach(wire => wire.state = known(wire.state));
+    },
+
+    // --- *** SUBCIRCUIT NAVIGATION *** ---
+
+    /**
+     * --- NEW ---
+     * Checks whether a subcircuit definition uses another one, at any depth.
+     * @param {string} name - The definition to search in.
+     * @param {string} target - The definition to look for.
+     * @returns {boolean}
+     */
+    definitionUses: function(name, target, visited = new Set()) {
+        const definition = this.subcircuitDefinitions[name];
+        if (!definition || visited.has(name)) return false;
+        visited.add(name);
+
+        return definition.components.some(c => c.type === 'SUBCIRCUIT' &&
+            (c.definition === target || this.definitionUses(c.definition, target, visited)));
+    },
+
+    /**
+     * --- NEW ---
+     * Opens a subcircuit instance for editing. The canvas now shows (and
+     * edits) the instance's inner components; the parent level is kept on
+     * the navigation stack.
+     * @param {SubcircuitInstance} instance
+     */
+    enterSubcircuit: function(instance) {
+        this.navigationStack.push({
+            instance: instance,
+            components: this.allComponents,
+            wires: this.allWires
+        });
+        this.allComponents = instance.innerComponents;
+        this.allWires = instance.innerWires;
+    },
+
+    /**
+     * --- NEW ---
+     * Closes the innermost open subcircuit. Its edits are saved to the
+     * definition and every instance of it is rebuilt.
+     */
+    exitSubcircuit: function() {
+        if (this.navigationStack.length === 0) return;
+
+        this.syncOpenSubcircuit();
+        const level = this.navigationStack.pop();
+        const name = level.instance.definitionName;
+        level.instance.netlist = null; // --- NEW: Its inside was edited in place
+
+        this.allComponents = level.components;
+        this.allWires = level.wires;
+
+        this.refreshSubcircuitInstances(name);
+        this.pruneDetachedWires(); // Pins may have been renamed or removed
+    },
+
+    /**
+     * --- NEW ---
+     * Copies the circuit currently open inside a subcircuit back into its definition.
+     */
+    syncOpenSubcircuit: function() {
+        if (this.navigationStack.length === 0) return;
+
+        const openInstance = this.navigationStack[this.navigationStack.length - 1].instance;
+        this.subcircuitDefinitions[openInstance.definitionName] = this.serializeCircuit(this.allComponents, this.allWires);
+    },
+
+    /**
+     * --- NEW ---
+     * Rebuilds every instance that uses a definition (directly or nested),
+     * at the current level and on every level of the navigation stack.
+     * Instances that are open for editing are left alone.
+     * @param {string} name - The definition that changed.
+     */
+    refreshSubcircuitInstances: function(name) {
+        const openInstances = this.navigationStack.map(level => level.instance);
+        const levels = [this.allComponents, ...this.navigationStack.map(level => level.components)];
+
+        for (const components of levels) {
+            for (const component of components) {
+                if (!(component instanceof SubcircuitInstance) || openInstances.includes(component)) continue;
+                if (component.definitionName === name || this.definitionUses(component.definitionName, name)) {
+                    component.rebuild();
+                }
+            }
         }
-        
-        console.log("Circuit data loaded successfully.");
     },
 
 
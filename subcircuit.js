@@ -0,0 +1,205 @@
+// This file holds the UI for hierarchical subcircuits: the SubcircuitManager
+// handles the palette, creation and drill-down navigation with breadcrumbs.
+// --- MODIFIED: The SubcircuitInstance component now lives in components.js,
+// so the circuit model loads without a page (see headless.js) ---
+// The definitions themselves live in Simulator.subcircuitDefinitions.
+
+const SubcircuitManager = {
+    // --- UI Elements ---
+    paletteElement: null,
+    breadcrumbElement: null,
+
+    /**
+     * Finds the palette and breadcrumb elements and hooks up listeners.
+     */
+    init: function() {
+        this.paletteElement = document.getElementById('subcircuit-palette');
+        this.breadcrumbElement = document.getElementById('breadcrumb-bar');
+
+        document.getElementById('make-subcircuit-btn')?.addEventListener('click', () => this.createFromCanvas());
+
+        this.breadcrumbElement?.addEventListener('click', (e) => {
+            const crumb = e.target.closest('.breadcrumb-item');
+            if (!crumb) return;
+            this.navigateToLevel(parseInt(crumb.dataset.level, 10));
+        });
+
+        this.refreshPalette();
+        this.updateBreadcrumbs();
+    },
+
+    // --- Creation ---
+
+    /**
+     * Packages the whole current canvas as a named subcircuit definition.
+     * Re-using an existing name replaces that definition everywhere.
+     * --- MODIFIED: With components Shift+clicked (Main.selectedGroup), only
+     * those are packaged, with the wires that run between them ---
+     */
+    createFromCanvas: function() {
+        const selection = Simulator.allComponents.filter(c => Main.selectedGroup.has(c));
+        const components = selection.length > 0 ? selection : Simulator.allComponents;
+        const wires = selection.length > 0
+            ? Simulator.allWires.filter(w => Main.selectedGroup.has(w.startNode.parentComponent) && Main.selectedGroup.has(w.endNode.parentComponent))
+            : Simulator.allWires;
+
+        const inputs = components.filter(c => c instanceof InputToggle);
+        const outputs = components.filter(c => c instanceof OutputLed);
+        if (inputs.length === 0 && outputs.length === 0) {
+            AnimationManager.logError("A subcircuit needs at least one Input or Output to use as a pin.");
+            return;
+        }
+
+        const rawName = prompt("Name for the new subcircuit (e.g., Full Adder):");
+        if (rawName === null) return; // Canceled
+        const name = rawName.trim().replace(/[^\w\s-]/g, '').slice(0, 30);
+        if (!name) {
+            Main.updateStatus("Please enter a subcircuit name.");
+            return;
+        }
+
+        // A definition may not contain itself, directly or through another subcircuit
+        const openNames = Simulator.navigationStack.map(level => level.instance.definitionName);
+        const usesItself = components.some(c => c instanceof SubcircuitInstance &&
+            (c.definitionName === name || Simulator.definitionUses(c.definitionName, name)));
+        if (usesItself || openNames.includes(name)) {
+            AnimationManager.logError(`\`${name}\` can't be defined in terms of itself.`);
+            return;
+        }
+
+        if (Simulator.subcircuitDefinitions[name] &&
+            !confirm(`A subcircuit named "${name}" already exists.\nReplace it everywhere it is used?`)) {
+            return;
+        }
+
+        const unlabeled = [...inputs, ...outputs].filter(c => !c.customLabel).length;
+        Simulator.subcircuitDefinitions[name] = Simulator.serializeCircuit(components, wires);
+        Simulator.refreshSubcircuitInstances(name);
+        Simulator.pruneDetachedWires();
+
+        this.refreshPalette();
+        Simulator.autoSaveCircuit();
+        Main.selectedGroup.clear();
+        AnimationManager.logStep(`Subcircuit \`${name}\` created from ${selection.length > 0 ? `${selection.length} selected component(s)` : 'the canvas'} with ${inputs.length} input(s) and ${outputs.length} output(s).`);
+        if (unlabeled > 0) {
+            AnimationManager.logError(`${unlabeled} pin(s) have no label and got a default name. Label your Inputs/Outputs to name the pins.`);
+        }
+    },
+
+    /**
+     * Checks whether a definition can be placed on the current canvas.
+     * Placing a subcircuit inside itself would never finish building.
+     * @param {string} name - The definition to place.
+     * @returns {boolean}
+     */
+    canPlace: function(name) {
+        return !Simulator.navigationStack.some(level => {
+            const openName = level.instance.definitionName;
+            return openName === name || Simulator.definitionUses(name, openName);
+        });
+    },
+
+    // --- Navigation ---
+
+    /**
+     * Drills into an instance so its contents can be inspected and edited.
+     * @param {SubcircuitInstance} instance
+     */
+    enterInstance: function(instance) {
+        Main.setSelectedComponent(null);
+        Main.wireStartNode = null;
+
+        Simulator.enterSubcircuit(instance);
+        this.updateBreadcrumbs();
+        this.refreshPalette();
+        Main.updateStatus(`Editing subcircuit "${instance.definitionName}". Changes apply to every instance.`);
+        AnimationManager.startSimulation();
+    },
+
+    /**
+     * Goes back up to a level of the breadcrumb trail (0 = top level).
+     * @param {number} level
+     */
+    navigateToLevel: function(level) {
+        if (isNaN(level) || level >= Simulator.navigationStack.length) return;
+
+        Main.setSelectedComponent(null);
+        Main.wireStartNode = null;
+
+        while (Simulator.navigationStack.length > level) {
+            Simulator.exitSubcircuit();
+        }
+
+        this.updateBreadcrumbs();
+        this.refreshPalette();
+        Main.updateStatus(level === 0 ? "Back to the main circuit." : "Back to the parent subcircuit.");
+        AnimationManager.startSimulation();
+        Simulator.autoSaveCircuit();
+    },
+
+    // --- UI Updates ---
+
+    /**
+     * Shows the "Main > Adder > ..." trail while inside a subcircuit.
+     */
+    updateBreadcrumbs: function() {
+        if (!this.breadcrumbElement) return;
+
+        const stack = Simulator.navigationStack;
+        this.breadcrumbElement.classList.toggle('hidden', stack.length === 0);
+        this.breadcrumbElement.innerHTML = '';
+
+        const names = ['Main', ...stack.map(level => level.instance.definitionName)];
+        names.forEach((name, i) => {
+            if (i > 0) {
+                const separator = document.createElement('span');
+                separator.className = 'breadcrumb-separator';
+                separator.textContent = '›';
+                this.breadcrumbElement.appendChild(separator);
+            }
+
+            const crumb = document.createElement('span');
+            crumb.textContent = name;
+            if (i < names.length - 1) {
+                crumb.className = 'breadcrumb-item';
+                crumb.dataset.level = i;
+            } else {
+                crumb.className = 'breadcrumb-current';
+            }
+            this.breadcrumbElement.appendChild(crumb);
+        });
+    },
+
+    /**
+     * Re-populates the toolbar with one button per subcircuit definition.
+     */
+    refreshPalette: function() {
+        if (!this.paletteElement) return;
+
+        this.paletteElement.innerHTML = '';
+        for (const name of Object.keys(Simulator.subcircuitDefinitions).sort()) {
+            const button = document.createElement('button');
+            button.className = 'tool-button tool-subcircuit';
+            button.dataset.tool = `SUB:${name}`;
+            button.title = `Place "${name}"`;
+            button.disabled = !this.canPlace(name);
+            button.innerHTML = '<i data-lucide="package"></i>';
+
+            const label = document.createElement('span');
+            label.textContent = name;
+            button.appendChild(label);
+            this.paletteElement.appendChild(button);
+        }
+
+        // Keep an expanded section tall enough for the new buttons
+        const section = this.paletteElement.closest('.tool-section');
+        const content = section?.querySelector('.tool-section-content');
+        if (content && !section.classList.contains('collapsed')) {
+            content.style.maxHeight = content.scrollHeight + "px";
+        }
+
+        if (typeof lucide !== 'undefined' && typeof lucide.createIcons === 'function') {
+            lucide.createIcons();
+        }
+    }
+};
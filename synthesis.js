@@ -0,0 +1,361 @@
+// --- Build from Expression ---
+// Deterministic circuit synthesis (no AI): parses "Y = A'B + AC" or a
+// pasted truth table, minimizes each output (BooleanAlgebra) and places
+// real gates and wires with Simulator.addComponent / addWire.
+
+const SynthesisManager = {
+    STYLES: {
+        'and-or': 'AND / OR',
+        'nand': 'NAND only',
+        'nor': 'NOR only'
+    },
+    MAX_GATE_INPUTS: 8, // Same limit as BaseGate.rebuildInputNodes()
+
+    // Layout (world coordinates)
+    COLUMN_SPACING: 190,
+    ROW_GAP: 20,
+
+    // --- UI Elements ---
+    modalBackdrop: null,
+    sourceSelect: null,
+    styleSelect: null,
+    inputArea: null,
+    previewElement: null,
+
+    /**
+     * Finds the modal elements and hooks up listeners.
+     */
+    init: function() {
+        this.modalBackdrop = document.getElementById('synthesis-modal-backdrop');
+        this.sourceSelect = document.getElementById('synthesis-source');
+        this.styleSelect = document.getElementById('synthesis-style');
+        this.inputArea = document.getElementById('synthesis-input');
+        this.previewElement = document.getElementById('synthesis-preview');
+
+        document.getElementById('synthesis-btn')?.addEventListener('click', () => this.openModal());
+        document.getElementById('synthesis-modal-close-btn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('synthesis-cancel-btn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('synthesis-build-btn')?.addEventListener('click', () => this.handleBuild());
+        this.modalBackdrop?.addEventListener('click', (e) => {
+            if (e.target === this.modalBackdrop) this.closeModal();
+        });
+
+        this.sourceSelect?.addEventListener('change', () => {
+            this.updatePlaceholder();
+            this.updatePreview();
+        });
+        this.styleSelect?.addEventListener('change', () => this.updatePreview());
+        this.inputArea?.addEventListener('input', () => this.updatePreview());
+        this.updatePlaceholder();
+    },
+
+    openModal: function() {
+        if (!this.modalBackdrop) return;
+        this.modalBackdrop.classList.remove('hidden');
+        this.updatePreview();
+        this.inputArea?.focus();
+    },
+
+    closeModal: function() {
+        this.modalBackdrop?.classList.add('hidden');
+    },
+
+    updatePlaceholder: function() {
+        if (!this.inputArea) return;
+        this.inputArea.placeholder = this.sourceSelect?.value === 'table'
+            ? "A B C | Y\n0 0 0 | 0\n0 0 1 | 1\n...\n(missing rows are 0, X or - is a don't-care)"
+            : "Y = A'B + AC\nCout = AB + C(A ^ B)\n(one letter per variable; ' or ! negates; + is OR; ^ is XOR)";
+    },
+
+    /**
+     * Shows the minimized form of each output, or what's wrong with the input.
+     */
+    updatePreview: function() {
+        if (!this.previewElement) return;
+        const text = this.inputArea?.value.trim() || '';
+        this.previewElement.classList.remove('error');
+        if (!text) {
+            this.previewElement.textContent = '';
+            return;
+        }
+        try {
+            const spec = this.parseInput(text, this.sourceSelect?.value);
+            const style = this.styleSelect?.value || 'and-or';
+            this.previewElement.textContent = this.plan(spec, style).outputs
+                .map(output => `${output.name} = ${output.expression}`).join('\n');
+        } catch (error) {
+            this.previewElement.classList.add('error');
+            this.previewElement.textContent = error.message;
+        }
+    },
+
+    handleBuild: function() {
+        const text = this.inputArea?.value.trim() || '';
+        try {
+            const spec = this.parseInput(text, this.sourceSelect?.value);
+            const style = this.styleSelect?.value || 'and-or';
+            const count = this.build(spec, style);
+            this.closeModal();
+            Main.updateStatus(`Built ${spec.outputs.length} output(s) from ${count} component(s) (${this.STYLES[style]}).`);
+        } catch (error) {
+            this.previewElement?.classList.add('error');
+            if (this.previewElement) this.previewElement.textContent = error.message;
+        }
+    },
+
+    // --- Parsing ---
+
+    /**
+     * @param {string} text
+     * @param {string} source - 'expression' or 'table'
+     * @returns {{variables: string[], outputs: Array<{name, minterms, dontCares}>}}
+     */
+    parseInput: function(text, source) {
+        const spec = source === 'table' ? this.parseTruthTable(text) : this.parseEquations(text);
+        if (spec.variables.length > TruthTableManager.MAX_INPUTS) {
+            throw new Error(`${spec.variables.length} variables is too many; the limit is ${TruthTableManager.MAX_INPUTS}.`);
+        }
+        return spec;
+    },
+
+    parseEquations: function(text) {
+        const equations = BooleanAlgebra.parseEquations(text);
+        const names = new Set();
+        equations.forEach(equation => BooleanAlgebra.getVariables(equation.ast).forEach(name => names.add(name)));
+        const variables = [...names].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        if (variables.length > TruthTableManager.MAX_INPUTS) {
+            throw new Error(`${variables.length} variables is too many; the limit is ${TruthTableManager.MAX_INPUTS}.`);
+        }
+
+        return {
+            variables: variables,
+            outputs: equations.map(equation => ({
+                name: equation.name,
+                minterms: BooleanAlgebra.getMinterms(equation.ast, variables),
+                dontCares: []
+            }))
+        };
+    },
+
+    /**
+     * Reads a truth table: a header row of names, then one row per
+     * combination. Inputs and outputs are split by '|'; without one, the
+     * last column is the output. Commas, tabs and spaces all separate
+     * columns, so a copied or CSV-exported truth table works too.
+     */
+    parseTruthTable: function(text) {
+        const split = (line) => line.split(/[\s,;]+/).map(cell => cell.replace(/^"|"$/g, '')).filter(cell => cell.length > 0);
+        const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+        if (lines.length < 2) throw new Error("A truth table needs a header row and at least one row of values.");
+
+        let inputNames, outputNames;
+        if (lines[0].includes('|')) {
+            const [left, right] = lines[0].split('|');
+            inputNames = split(left);
+            outputNames = split(right || '');
+        } else {
+            const names = split(lines[0]);
+            inputNames = names.slice(0, -1);
+            outputNames = names.slice(-1);
+        }
+        if (inputNames.length === 0 || outputNames.length === 0) {
+            throw new Error("The header needs at least one input and one output name.");
+        }
+
+        const outputs = outputNames.map(name => ({ name: name, minterms: [], dontCares: [] }));
+        const seen = new Map();
+        lines.slice(1).forEach((line, i) => {
+            const cells = split(line.replace('|', ' '));
+            if (cells.length !== inputNames.length + outputNames.length) {
+                throw new Error(`Row ${i + 1} has ${cells.length} value(s); expected ${inputNames.length + outputNames.length}.`);
+            }
+            let row = 0;
+            cells.slice(0, inputNames.length).forEach(cell => {
+                if (cell !== '0' && cell !== '1') throw new Error(`Row ${i + 1}: inputs must be 0 or 1, not "${cell}".`);
+                row = row * 2 + Number(cell);
+            });
+            const outputCells = cells.slice(inputNames.length).map(cell => cell.toUpperCase());
+            if (seen.has(row) && seen.get(row) !== outputCells.join()) {
+                throw new Error(`Row ${i + 1} repeats an input combination with different outputs.`);
+            }
+            seen.set(row, outputCells.join());
+
+            outputCells.forEach((cell, j) => {
+                if (cell === '1') outputs[j].minterms.push(row);
+                else if (cell === 'X' || cell === '-' || cell === 'D') outputs[j].dontCares.push(row);
+                else if (cell !== '0') throw new Error(`Row ${i + 1}: outputs must be 0, 1 or X, not "${cell}".`);
+            });
+        });
+
+        return { variables: inputNames, outputs: outputs };
+    },
+
+    // --- Planning ---
+
+    /**
+     * Minimizes every output and works out the two gate levels.
+     * Nothing is placed yet, so errors (e.g. a gate that would need more
+     * than 8 inputs) surface before the canvas is touched.
+     * @param {object} spec - From parseInput().
+     * @param {string} style - One of STYLES.
+     * @returns {{outputs: Array<object>}} - { name, expression, terms }
+     *   Each term is a list of literals { name, positive }.
+     */
+    plan: function(spec, style) {
+        const numVars = spec.variables.length;
+        const allRows = Math.pow(2, numVars);
+
+        const outputs = spec.outputs.map(output => {
+            const zeros = [];
+            const isCovered = new Set([...output.minterms, ...output.dontCares]);
+            for (let row = 0; row < allRows; row++) {
+                if (!isCovered.has(row)) zeros.push(row);
+            }
+
+            // NOR-only is built from the product of sums, i.e. from a cover of the 0s
+            const usesZeros = style === 'nor';
+            const cover = usesZeros
+                ? BooleanAlgebra.minimize(numVars, zeros, output.dontCares).cover
+                : BooleanAlgebra.minimize(numVars, output.minterms, output.dontCares).cover;
+
+            let terms = cover.map(implicant => this.toLiterals(implicant, spec.variables));
+            let constant = null;
+            if (cover.length === 0) constant = usesZeros ? 1 : 0;
+            else if (terms.some(term => term.length === 0)) constant = usesZeros ? 0 : 1;
+
+            const expression = constant !== null ? String(constant)
+                : (usesZeros ? BooleanAlgebra.productOfSumsToString(cover, spec.variables) : BooleanAlgebra.sumToString(cover, spec.variables));
+
+            if (constant !== null) {
+                // There's no constant source, so build X + X' (always 1) or X·X' (always 0)
+                if (numVars === 0) throw new Error(`${output.name} is always ${constant} and has no inputs to build it from.`);
+                const x = spec.variables[0];
+                const alwaysTrueTerms = (constant === 1) !== usesZeros;
+                terms = alwaysTrueTerms
+                    ? [[{ name: x, positive: true }], [{ name: x, positive: false }]]
+                    : [[{ name: x, positive: true }, { name: x, positive: false }]];
+            }
+
+            const widest = Math.max(terms.length, ...terms.map(term => term.length));
+            if (widest > this.MAX_GATE_INPUTS) {
+                throw new Error(`${output.name} = ${expression} needs a ${widest}-input gate; gates have at most ${this.MAX_GATE_INPUTS} inputs.`);
+            }
+            return { name: output.name, expression: expression, terms: terms };
+        });
+        return { outputs: outputs };
+    },
+
+    /**
+     * @param {object} implicant - { value, mask }
+     * @param {string[]} variables
+     * @returns {Array<{name: string, positive: boolean}>}
+     */
+    toLiterals: function(implicant, variables) {
+        const literals = [];
+        variables.forEach((name, i) => {
+            const bit = 1 << (variables.length - 1 - i);
+            if (!(implicant.mask & bit)) literals.push({ name: name, positive: (implicant.value & bit) !== 0 });
+        });
+        return literals;
+    },
+
+    // --- Building ---
+
+    /**
+     * Places the circuit to the right of whatever is already on the canvas.
+     * Two levels, with shared inverters:
+     *   AND/OR:    OR of ANDs
+     *   NAND only: NAND of NANDs (an inverter is a NAND with its inputs tied)
+     *   NOR only:  NOR of NORs over the product of sums
+     * @param {object} spec - From parseInput().
+     * @param {string} style - One of STYLES.
+     * @returns {number} How many components were placed.
+     */
+    build: function(spec, style) {
+        const plan = this.plan(spec, style);
+        const GateClass = { 'and-or': null, 'nand': NandGate, 'nor': NorGate }[style];
+        const origin = this.findFreeSpot();
+        const columnX = (column) => origin.x + column * this.COLUMN_SPACING;
+        const nextY = [origin.y, origin.y, origin.y, origin.y, origin.y]; // Per column
+        let placed = 0;
+
+        const place = (component, column) => {
+            component.x = columnX(column);
+            component.y = nextY[column];
+            nextY[column] += component.height + this.ROW_GAP;
+            Simulator.addComponent(component);
+            placed++;
+            return component;
+        };
+        const connect = (fromNode, toNode) => Simulator.addWire(new Wire(fromNode, toNode));
+
+        // Gates tie their inputs together when given a single signal (NAND/NOR as inverters)
+        const gate = (ComponentClass, nodes, column) => {
+            const component = new ComponentClass(0, 0);
+            if (component.setInputCount) component.setInputCount(Math.max(2, nodes.length)); // Not for NOT
+            place(component, column);
+            component.inputNodes.forEach((input, i) => connect(nodes[Math.min(i, nodes.length - 1)], input));
+            return component.outputNodes[0];
+        };
+
+        // Column 0: inputs
+        const positive = new Map();
+        for (const name of spec.variables) {
+            const input = place(new InputToggle(0, 0), 0);
+            input.setCustomLabel(name);
+            positive.set(name, input.outputNodes[0]);
+        }
+
+        // Column 1: one shared inverter per variable that needs one
+        const negative = new Map();
+        const literal = (name, isPositive) => {
+            if (isPositive) return positive.get(name);
+            if (!negative.has(name)) {
+                negative.set(name, gate(GateClass || NotGate, [positive.get(name)], 1));
+            }
+            return negative.get(name);
+        };
+
+        for (const output of plan.outputs) {
+            let result;
+            if (style === 'and-or') {
+                // Column 2: ANDs, column 3: OR
+                const termNodes = output.terms.map(term => term.length === 1
+                    ? literal(term[0].name, term[0].positive)
+                    : gate(AndGate, term.map(l => literal(l.name, l.positive)), 2));
+                result = termNodes.length === 1 ? termNodes[0] : gate(OrGate, termNodes, 3);
+            } else {
+                // NAND: a single-literal term enters the NAND inverted.
+                // NOR: each product of the 0s is NOR(negated literals); a single literal is used as is.
+                const termNodes = output.terms.map(term => {
+                    if (term.length === 1) {
+                        return literal(term[0].name, style === 'nand' ? !term[0].positive : term[0].positive);
+                    }
+                    const literalNodes = term.map(l => literal(l.name, style === 'nand' ? l.positive : !l.positive));
+                    return gate(GateClass, literalNodes, 2);
+                });
+                result = gate(GateClass, termNodes, 3);
+            }
+
+            const led = place(new OutputLed(0, 0), 4);
+            led.setCustomLabel(output.name);
+            connect(result, led.inputNodes[0]);
+        }
+
+        AnimationManager.logStep(`Built ${plan.outputs.map(o => `\`${o.name} = ${o.expression}\``).join(', ')} (${this.STYLES[style]}).`);
+        CanvasRenderer.setPan(-(origin.x - 60), -(origin.y - 60));
+        AnimationManager.startSimulation();
+        Simulator.autoSaveCircuit();
+        return placed;
+    },
+
+    /**
+     * @returns {{x: number, y: number}} A world position right of every component.
+     */
+    findFreeSpot: function() {
+        if (Simulator.allComponents.length === 0) return { x: 100, y: 100 };
+        const right = Math.max(...Simulator.allComponents.map(c => c.x + c.width));
+        const top = Math.min(...Simulator.allComponents.map(c => c.y));
+        return { x: right + 150, y: Math.max(40, top) };
+    }
+};
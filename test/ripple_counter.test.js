@@ -0,0 +1,70 @@
+// Power-up state of flip-flops, on the headless core (headless.js).
+// Run with: node --test test/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCore } = require('../headless.js');
+
+// Two T flip-flops with T tied high; the second is clocked from the first's Q̄
+const RIPPLE_COUNTER = {
+    components: [
+        { type: 'INPUT', x: 0, y: 0, customLabel: 'T', state: 1 },
+        { type: 'INPUT', x: 0, y: 60, customLabel: 'CLK', state: 0 },
+        { type: 'TFF', x: 100, y: 0, state: 0 },
+        { type: 'TFF', x: 200, y: 0, state: 0 },
+        { type: 'OUTPUT', x: 300, y: 0, customLabel: 'Q1' },
+        { type: 'OUTPUT', x: 300, y: 60, customLabel: 'Q0' }
+    ],
+    wires: [
+        { fromComponentIndex: 0, fromNodeIndex: 0, toComponentIndex: 2, toNodeIndex: 0 },
+        { fromComponentIndex: 0, fromNodeIndex: 0, toComponentIndex: 3, toNodeIndex: 0 },
+        { fromComponentIndex: 1, fromNodeIndex: 0, toComponentIndex: 2, toNodeIndex: 1 },
+        { fromComponentIndex: 2, fromNodeIndex: 1, toComponentIndex: 3, toNodeIndex: 1 },
+        { fromComponentIndex: 3, fromNodeIndex: 0, toComponentIndex: 4, toNodeIndex: 0 },
+        { fromComponentIndex: 2, fromNodeIndex: 0, toComponentIndex: 5, toNodeIndex: 0 }
+    ]
+};
+
+const outputs = core => Object.fromEntries(core.evaluate({}).outputs.map(output => [output.name, output.value]));
+
+test('a ripple counter powers up at 00', () => {
+    const core = createCore();
+    assert.strictEqual(core.load(RIPPLE_COUNTER), true);
+    assert.deepStrictEqual(outputs(core), { Q1: 0, Q0: 0 });
+});
+
+test('a ripple counter counts on rising clock edges', () => {
+    const core = createCore();
+    core.load(RIPPLE_COUNTER);
+    const counts = [];
+    for (let edge = 0; edge < 4; edge++) {
+        core.evaluate({ CLK: 1 });
+        const { Q1, Q0 } = outputs(core);
+        counts.push(Q1 * 2 + Q0);
+        core.evaluate({ CLK: 0 });
+    }
+    assert.deepStrictEqual(counts, [1, 2, 3, 0]);
+});
+
+test('a reloaded ripple counter keeps its count', () => {
+    const core = createCore();
+    core.load(RIPPLE_COUNTER);
+    core.evaluate({ CLK: 1 });
+    core.evaluate({ CLK: 0 }); // Count is 1
+
+    const reloaded = createCore();
+    reloaded.load(JSON.parse(JSON.stringify(core.Simulator.getCircuitData())));
+    assert.deepStrictEqual(outputs(reloaded), { Q1: 0, Q0: 1 });
+});
+
+test('the truth table sees no power-up edge', () => {
+    const core = createCore();
+    core.load(RIPPLE_COUNTER);
+    const table = core.truthTable();
+    assert.strictEqual(table.unsettled, 0);
+    for (const row of table.rows.filter(row => row.inputs[1] === 0)) {
+        assert.deepStrictEqual(Array.from(row.outputs), [0, 0]);
+    }
+});
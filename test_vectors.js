@@ -0,0 +1,274 @@
+// --- Test Vector Runner ---
+// A test table saved with the circuit (Simulator.testVectors). Rows are
+// applied in order through the engine, so clocked designs can be tested
+// as multi-step sequences; the report highlights failing rows.
+//
+// Format:
+//   A B CLK | Q Y        <- header: Input/Clock labels | Output labels
+//   0 1 0   | 0 -        <- '-' keeps an input as it was / skips a check
+//   1 - P   | 1 0        <- 'P' pulses an input: 1, then back to 0
+//   ---                  <- start over from the circuit's current state
+//   # comment
+
+const TestVectorManager = {
+    // --- State ---
+    lastReport: null,
+
+    // --- UI Elements ---
+    modalBackdrop: null,
+    inputArea: null,
+    reportElement: null,
+    summaryElement: null,
+
+    /**
+     * Finds the modal elements and hooks up listeners.
+     */
+    init: function() {
+        this.modalBackdrop = document.getElementById('test-vector-modal-backdrop');
+        this.inputArea = document.getElementById('test-vector-input');
+        this.reportElement = document.getElementById('test-vector-report');
+        this.summaryElement = document.getElementById('test-vector-summary');
+
+        document.getElementById('test-vector-btn')?.addEventListener('click', () => this.openModal());
+        document.getElementById('test-vector-modal-close-btn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('test-vector-close-btn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('test-vector-template-btn')?.addEventListener('click', () => this.insertTemplate());
+        document.getElementById('test-vector-run-btn')?.addEventListener('click', () => this.handleRun());
+        this.modalBackdrop?.addEventListener('click', (e) => {
+            if (e.target === this.modalBackdrop) this.closeModal();
+        });
+
+        // Saved with the circuit as soon as it changes
+        this.inputArea?.addEventListener('change', () => {
+            Simulator.testVectors = this.inputArea.value;
+            Simulator.autoSaveCircuit();
+        });
+    },
+
+    openModal: function() {
+        if (!this.modalBackdrop) return;
+        if (this.inputArea) this.inputArea.value = Simulator.testVectors;
+        if (!Simulator.testVectors.trim()) this.insertTemplate();
+        this.clearReport();
+        this.modalBackdrop.classList.remove('hidden');
+    },
+
+    closeModal: function() {
+        this.modalBackdrop?.classList.add('hidden');
+    },
+
+    /**
+     * Starts a table with the circuit's Inputs and Outputs as the header.
+     */
+    insertTemplate: function() {
+        if (!this.inputArea) return;
+        const columns = TruthTableManager.getColumns();
+        const clocks = Simulator.allComponents.filter(c => c instanceof Clock && c.customLabel).map(c => c.customLabel);
+        const inputNames = [...columns.inputs.map(c => c.name), ...clocks];
+        const outputNames = columns.outputs.map(c => c.name);
+        const header = `${inputNames.join(' ')} | ${outputNames.join(' ')}`;
+        const example = `${inputNames.map(() => '0').join(' ')} | ${outputNames.map(() => '-').join(' ')}`;
+        this.inputArea.value = `# '-' = keep / don't check, 'P' = pulse, '---' = start over\n${header}\n${example}\n`;
+        Simulator.testVectors = this.inputArea.value;
+    },
+
+    // --- Parsing ---
+
+    /**
+     * @param {string} text
+     * @returns {{inputNames: string[], outputNames: string[], steps: Array<object>}}
+     *   Steps are { line, inputs, outputs } or { line, restart: true }.
+     * @throws {Error} Naming the line with the problem.
+     */
+    parse: function(text) {
+        const split = (part) => part.split(/[\s,]+/).filter(cell => cell.length > 0);
+        const lines = text.split('\n').map((content, i) => ({ content: content.replace(/#.*$/, '').trim(), line: i + 1 }))
+            .filter(entry => entry.content.length > 0);
+        if (lines.length === 0) throw new Error("The test table is empty.");
+
+        const header = lines[0];
+        if (!header.content.includes('|')) throw new Error(`Line ${header.line}: the header needs a '|' between inputs and outputs.`);
+        const [left, right] = header.content.split('|');
+        const inputNames = split(left);
+        const outputNames = split(right);
+        if (outputNames.length === 0) throw new Error(`Line ${header.line}: name at least one output after the '|'.`);
+
+        const steps = lines.slice(1).map(({ content, line }) => {
+            if (/^-{3,}$/.test(content)) return { line: line, restart: true };
+            if (!content.includes('|')) throw new Error(`Line ${line}: expected inputs | outputs.`);
+
+            const [rowLeft, rowRight] = content.split('|');
+            const inputs = split(rowLeft).map(cell => cell.toUpperCase());
+            const outputs = split(rowRight).map(cell => cell.toUpperCase());
+            if (inputs.length !== inputNames.length || outputs.length !== outputNames.length) {
+                throw new Error(`Line ${line}: expected ${inputNames.length} input and ${outputNames.length} output value(s).`);
+            }
+            inputs.forEach(cell => {
+                if (!['0', '1', '-', 'P'].includes(cell)) throw new Error(`Line ${line}: inputs are 0, 1, - or P, not "${cell}".`);
+            });
+            outputs.forEach(cell => {
+                if (!['0', '1', '-', Logic.X, Logic.Z].includes(cell)) throw new Error(`Line ${line}: outputs are 0, 1, X, Z or -, not "${cell}".`);
+            });
+            return { line: line, inputs: inputs, outputs: outputs };
+        });
+
+        return { inputNames: inputNames, outputNames: outputNames, steps: steps };
+    },
+
+    /**
+     * Finds the components the header names. Inputs may be Inputs or
+     * (labelled) Clocks; unlabelled Inputs/Outputs go by their truth
+     * table names (In1, Out1, ...).
+     * @returns {{inputs: Array<InputToggle|Clock>, outputs: Array<OutputLed>}}
+     */
+    resolveColumns: function(inputNames, outputNames) {
+        const columns = TruthTableManager.getColumns();
+        const sources = [
+            ...columns.inputs,
+            ...Simulator.allComponents.filter(c => c instanceof Clock && c.customLabel).map(c => ({ name: c.customLabel, component: c }))
+        ];
+        const find = (list, name, kind) => {
+            const matches = list.filter(column => column.name === name);
+            if (matches.length === 0) throw new Error(`No ${kind} is labelled "${name}".`);
+            if (matches.length > 1) throw new Error(`${matches.length} ${kind}s are labelled "${name}"; labels must be unique.`);
+            return matches[0].component;
+        };
+        return {
+            inputs: inputNames.map(name => find(sources, name, 'Input')),
+            outputs: outputNames.map(name => find(columns.outputs, name, 'Output'))
+        };
+    },
+
+    // --- Running ---
+
+    /**
+     * Runs the table against the circuit without disturbing the canvas.
+     * Each row starts from the state the previous one left behind.
+     * @param {string} text
+     * @returns {object} - { inputNames, outputNames, rows: [{ line, inputs, expected, actual, mismatches, settled, pass }], passed, failed }
+     */
+    run: function(text) {
+        const test = this.parse(text);
+        const columns = this.resolveColumns(test.inputNames, test.outputNames);
+        const rows = [];
+
+        AnimationManager.runDetached(() => {
+            const start = Simulator.captureState();
+            for (const step of test.steps) {
+                if (step.restart) {
+                    Simulator.restoreState(start);
+                    continue;
+                }
+
+                const values = new Map();
+                const pulsed = [];
+                step.inputs.forEach((cell, i) => {
+                    if (cell === 'P') pulsed.push(columns.inputs[i]);
+                    else if (cell !== '-') values.set(columns.inputs[i], Number(cell));
+                });
+
+                let settled = AnimationManager.evaluateWith(values);
+                if (pulsed.length > 0) {
+                    settled = AnimationManager.evaluateWith(new Map(pulsed.map(c => [c, 1]))) && settled;
+                    settled = AnimationManager.evaluateWith(new Map(pulsed.map(c => [c, 0]))) && settled;
+                }
+
+                const actual = columns.outputs.map(output => settled ? output.state : Logic.X);
+                const mismatches = step.outputs.map((cell, i) => cell !== '-' && String(actual[i]) !== cell);
+                rows.push({
+                    line: step.line,
+                    inputs: step.inputs,
+                    expected: step.outputs,
+                    actual: actual,
+                    mismatches: mismatches,
+                    settled: settled,
+                    pass: settled && !mismatches.includes(true)
+                });
+            }
+        });
+
+        const passed = rows.filter(row => row.pass).length;
+        return { inputNames: test.inputNames, outputNames: test.outputNames, rows: rows, passed: passed, failed: rows.length - passed };
+    },
+
+    handleRun: function() {
+        const text = this.inputArea?.value || '';
+        Simulator.testVectors = text;
+        Simulator.autoSaveCircuit();
+
+        try {
+            this.lastReport = this.run(text);
+        } catch (error) {
+            this.clearReport();
+            if (this.summaryElement) {
+                this.summaryElement.textContent = error.message;
+                this.summaryElement.className = 'fail';
+            }
+            return;
+        }
+
+        const report = this.lastReport;
+        this.renderReport(report);
+        const summary = `${report.passed}/${report.rows.length} row(s) passed.`;
+        Main.updateStatus(`Tests: ${summary}`);
+        if (report.failed > 0) {
+            AnimationManager.logError(`Test vectors: ${report.failed} of ${report.rows.length} row(s) failed.`);
+        } else {
+            AnimationManager.logStep(`Test vectors: all ${report.rows.length} row(s) passed.`);
+        }
+    },
+
+    // --- Report ---
+
+    clearReport: function() {
+        if (this.reportElement) this.reportElement.innerHTML = '';
+        if (this.summaryElement) {
+            this.summaryElement.textContent = '';
+            this.summaryElement.className = '';
+        }
+    },
+
+    renderReport: function(report) {
+        if (this.summaryElement) {
+            this.summaryElement.textContent = report.rows.length === 0
+                ? 'No rows to run.'
+                : `${report.passed}/${report.rows.length} row(s) passed${report.failed > 0 ? `, ${report.failed} failed` : ''}.`;
+            this.summaryElement.className = report.failed > 0 ? 'fail' : 'pass';
+        }
+        if (!this.reportElement) return;
+
+        const table = document.createElement('table');
+        table.className = 'truth-table test-report';
+        const headRow = table.createTHead().insertRow();
+        const addHeading = (text, className = '') => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            th.className = className;
+            headRow.appendChild(th);
+        };
+        addHeading('Line');
+        report.inputNames.forEach(name => addHeading(name));
+        report.outputNames.forEach((name, i) => addHeading(name, i === 0 ? 'divider' : ''));
+        addHeading('Result', 'divider');
+
+        const body = table.createTBody();
+        for (const row of report.rows) {
+            const tr = body.insertRow();
+            tr.className = row.pass ? 'pass' : 'fail';
+            tr.insertCell().textContent = row.line;
+            row.inputs.forEach(cell => tr.insertCell().textContent = cell);
+            row.expected.forEach((cell, i) => {
+                const td = tr.insertCell();
+                // Show "got" next to what was expected when they differ
+                td.textContent = row.mismatches[i] ? `${row.actual[i]} ≠ ${cell}` : String(row.actual[i]);
+                td.className = (i === 0 ? 'divider' : '') + (row.mismatches[i] ? ' mismatch' : '');
+            });
+            const result = tr.insertCell();
+            result.className = 'divider';
+            result.textContent = row.pass ? 'PASS' : (row.settled ? 'FAIL' : 'FAIL (no settle)');
+        }
+
+        this.reportElement.innerHTML = '';
+        this.reportElement.appendChild(table);
+    }
+};
@@ -0,0 +1,238 @@
+// --- Critical Path and Logic Depth ---
+// Finds the longest combinational path to every Output, counted in gates
+// or in propagation delay, and highlights the slowest one on the canvas.
+// Paths start at Inputs, Clocks and the outputs of storage elements
+// (flip-flops and latches hold their value, so a path can't go through them).
+
+const TimingAnalyzer = {
+    METRICS: {
+        'gates': 'Gate count',
+        'delay': 'Propagation delay'
+    },
+
+    // --- State ---
+    metric: 'gates',
+    lastReport: null,
+    highlightedWires: new Set(), // The critical path (see CanvasRenderer.draw)
+    highlightedComponents: new Set(),
+
+    // --- UI Elements ---
+    modalBackdrop: null,
+    metricSelect: null,
+    reportElement: null,
+
+    /**
+     * Finds the modal elements and hooks up listeners.
+     */
+    init: function() {
+        this.modalBackdrop = document.getElementById('timing-modal-backdrop');
+        this.metricSelect = document.getElementById('timing-metric');
+        this.reportElement = document.getElementById('timing-report');
+
+        if (this.metricSelect) {
+            this.metricSelect.innerHTML = '';
+            for (const [metric, text] of Object.entries(this.METRICS)) {
+                const option = document.createElement('option');
+                option.value = metric;
+                option.textContent = text;
+                this.metricSelect.appendChild(option);
+            }
+            this.metricSelect.value = this.metric;
+            this.metricSelect.addEventListener('change', () => {
+                this.metric = this.metricSelect.value;
+                this.refresh();
+            });
+        }
+
+        document.getElementById('timing-btn')?.addEventListener('click', () => this.openModal());
+        document.getElementById('timing-modal-close-btn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('timing-close-btn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('timing-clear-btn')?.addEventListener('click', () => {
+            this.clearHighlight();
+            Main.updateStatus("Critical path highlight cleared.");
+        });
+        this.modalBackdrop?.addEventListener('click', (e) => {
+            if (e.target === this.modalBackdrop) this.closeModal();
+        });
+    },
+
+    openModal: function() {
+        if (!this.modalBackdrop) return;
+        this.refresh();
+        this.modalBackdrop.classList.remove('hidden');
+    },
+
+    closeModal: function() {
+        this.modalBackdrop?.classList.add('hidden');
+    },
+
+    refresh: function() {
+        this.lastReport = this.analyze(Simulator.allComponents, Simulator.allWires, this.metric);
+        this.highlight(this.lastReport.critical);
+        this.render(this.lastReport);
+    },
+
+    // --- Analysis ---
+
+    /**
+     * Path starts: their value doesn't depend on anything upstream right now.
+     * @param {BaseGate} component
+     * @returns {boolean}
+     */
+    isPathStart: function(component) {
+        return component instanceof InputToggle || component instanceof Clock || component instanceof SequentialGate;
+    },
+
+    /**
+     * What passing through a component costs.
+     * In gate count, splitters and mergers are just wiring and a
+     * subcircuit counts as the depth of the logic inside it. In delay,
+     * every component adds its own delay, as in the engine.
+     * @param {BaseGate} component
+     * @param {string} metric - 'gates' or 'delay'
+     * @returns {number}
+     */
+    costOf: function(component, metric) {
+        if (component instanceof OutputLed) return 0;
+        if (metric === 'delay') return component.delay;
+        if (component instanceof Splitter || component instanceof Merger) return 0;
+        if (component instanceof SubcircuitInstance) {
+            const inner = this.analyze(component.innerComponents, component.innerWires, 'gates');
+            return inner.critical ? inner.critical.depth : 0;
+        }
+        return 1;
+    },
+
+    /**
+     * Longest path to every component, in topological order.
+     * Components on a feedback loop never become ready and are skipped.
+     * @param {Array<BaseGate>} components
+     * @param {Array<Wire>} wires
+     * @param {string} metric - 'gates' or 'delay'
+     * @returns {object} - { outputs: [{ component, depth, path }], critical, skipped }
+     *   path is { components, wires } from the start of the path to the Output;
+     *   critical is the outputs entry with the longest path (or null).
+     */
+    analyze: function(components, wires, metric) {
+        const inComponents = new Set(components);
+        const incoming = new Map(components.map(c => [c, []]));
+        const outgoing = new Map(components.map(c => [c, []]));
+        for (const wire of wires) {
+            const from = wire.startNode.parentComponent;
+            const to = wire.endNode.parentComponent;
+            if (!inComponents.has(from) || !inComponents.has(to) || this.isPathStart(to)) continue;
+            incoming.get(to).push(wire);
+            outgoing.get(from).push(wire);
+        }
+
+        // Kahn's algorithm: a component is ready once everything driving it is
+        const waiting = new Map(components.map(c => [c, incoming.get(c).length]));
+        const ready = components.filter(c => waiting.get(c) === 0);
+        const arrival = new Map(); // component -> { depth, via: Wire|null }
+
+        for (let i = 0; i < ready.length; i++) {
+            const component = ready[i];
+            let best = { depth: 0, via: null };
+            for (const wire of incoming.get(component)) {
+                const driver = arrival.get(wire.startNode.parentComponent);
+                if (driver.depth > best.depth || !best.via) best = { depth: driver.depth, via: wire };
+            }
+            const cost = this.isPathStart(component) ? 0 : this.costOf(component, metric);
+            arrival.set(component, { depth: best.depth + cost, via: best.via });
+
+            for (const wire of outgoing.get(component)) {
+                const next = wire.endNode.parentComponent;
+                waiting.set(next, waiting.get(next) - 1);
+                if (waiting.get(next) === 0) ready.push(next);
+            }
+        }
+
+        const outputs = components.filter(c => c instanceof OutputLed && arrival.has(c)).map(output => {
+            const path = { components: [output], wires: [] };
+            let step = arrival.get(output);
+            while (step.via) {
+                path.wires.unshift(step.via);
+                const driver = step.via.startNode.parentComponent;
+                path.components.unshift(driver);
+                step = arrival.get(driver);
+            }
+            return { component: output, depth: arrival.get(output).depth, path: path };
+        });
+
+        const critical = outputs.reduce((best, output) => (!best || output.depth > best.depth) ? output : best, null);
+        return {
+            outputs: outputs,
+            critical: critical,
+            skipped: components.filter(c => !arrival.has(c))
+        };
+    },
+
+    /**
+     * @param {number} depth
+     * @param {string} metric
+     * @returns {string} e.g. "5 gates" or "12 ms"
+     */
+    formatDepth: function(depth, metric) {
+        return metric === 'delay' ? `${depth} ms` : `${depth} gate${depth === 1 ? '' : 's'}`;
+    },
+
+    // --- Highlighting ---
+
+    highlight: function(output) {
+        this.highlightedWires = new Set(output ? output.path.wires : []);
+        this.highlightedComponents = new Set(output ? output.path.components : []);
+    },
+
+    clearHighlight: function() {
+        this.highlightedWires.clear();
+        this.highlightedComponents.clear();
+    },
+
+    // --- Display ---
+
+    render: function(report) {
+        if (!this.reportElement) return;
+        this.reportElement.innerHTML = '';
+
+        if (report.outputs.length === 0) {
+            this.reportElement.textContent = report.skipped.some(c => c instanceof OutputLed)
+                ? 'Every Output sits behind a feedback loop; see Find Loops.'
+                : 'The circuit has no Outputs.';
+            return;
+        }
+
+        const names = new Map(TruthTableManager.getColumns().outputs.map(column => [column.component, column.name]));
+        const critical = document.createElement('div');
+        critical.className = 'timing-critical';
+        critical.textContent = `Critical path (${this.formatDepth(report.critical.depth, this.metric)}): ` +
+            report.critical.path.components.map(c => names.get(c) || LoopDetector.componentName(c)).join(' → ');
+        this.reportElement.appendChild(critical);
+
+        const table = document.createElement('table');
+        table.className = 'truth-table';
+        const headRow = table.createTHead().insertRow();
+        ['Output', 'Depth', 'Longest path from'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headRow.appendChild(th);
+        });
+        const body = table.createTBody();
+        const sorted = [...report.outputs].sort((a, b) => b.depth - a.depth);
+        for (const output of sorted) {
+            const tr = body.insertRow();
+            if (output === report.critical) tr.className = 'critical';
+            tr.insertCell().textContent = names.get(output.component) || LoopDetector.componentName(output.component);
+            tr.insertCell().textContent = this.formatDepth(output.depth, this.metric);
+            const start = output.path.components[0];
+            tr.insertCell().textContent = start === output.component ? '(nothing drives it)' : LoopDetector.componentName(start);
+        }
+        this.reportElement.appendChild(table);
+
+        if (report.skipped.length > 0) {
+            const note = document.createElement('p');
+            note.className = 'timing-note';
+            note.textContent = `${report.skipped.length} component(s) on or behind a feedback loop were left out.`;
+            this.reportElement.appendChild(note);
+        }
+    }
+};
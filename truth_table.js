@@ -0,0 +1,203 @@
+// --- Truth Table Generator ---
+// Runs every combination of the circuit's Inputs through the engine
+// (instantly, without touching the canvas) and tabulates the Outputs.
+
+const TruthTableManager = {
+    MAX_INPUTS: 12, // 4096 rows
+
+    // --- State ---
+    lastTable: null, // The table currently shown, see generate()
+
+    // --- UI Elements ---
+    modalBackdrop: null,
+    tableContainer: null,
+    summaryElement: null,
+
+    /**
+     * Finds the modal elements and hooks up listeners.
+     */
+    init: function() {
+        this.modalBackdrop = document.getElementById('truth-table-modal-backdrop');
+        this.tableContainer = document.getElementById('truth-table-container');
+        this.summaryElement = document.getElementById('truth-table-summary');
+
+        document.getElementById('truth-table-btn')?.addEventListener('click', () => this.openModal());
+        document.getElementById('truth-table-modal-close-btn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('truth-table-close-btn')?.addEventListener('click', () => this.closeModal());
+        document.getElementById('truth-table-refresh-btn')?.addEventListener('click', () => this.refresh());
+        document.getElementById('truth-table-copy-btn')?.addEventListener('click', () => this.copyToClipboard());
+        document.getElementById('truth-table-csv-btn')?.addEventListener('click', () => this.downloadCSV());
+        this.modalBackdrop?.addEventListener('click', (e) => {
+            if (e.target === this.modalBackdrop) this.closeModal();
+        });
+    },
+
+    openModal: function() {
+        if (!this.modalBackdrop) return;
+        this.refresh();
+        this.modalBackdrop.classList.remove('hidden');
+    },
+
+    closeModal: function() {
+        this.modalBackdrop?.classList.add('hidden');
+    },
+
+    // --- Table ---
+
+    /**
+     * Sorts components top-to-bottom, then left-to-right, which is how
+     * inputs and outputs are usually stacked on the canvas.
+     */
+    byPosition: function(a, b) {
+        return (a.y - b.y) || (a.x - b.x);
+    },
+
+    /**
+     * Lists the circuit's Inputs and Outputs as table columns.
+     * @param {Array<BaseGate>} components - Defaults to the canvas.
+     * @returns {{inputs: Array<object>, outputs: Array<object>}} - { name, component }
+     */
+    getColumns: function(components = Simulator.allComponents) {
+        return Simulator.getIOColumns(components); // --- MODIFIED: Shared with the headless core
+    },
+
+    /**
+     * Builds the truth table. The first input is the most significant bit.
+     * @returns {object} - { inputs, outputs, rows: [{ inputs: [], outputs: [] }], unsettled }
+     * @throws {Error} If there are no inputs/outputs or too many inputs.
+     */
+    generate: function() {
+        const { inputs, outputs } = this.getColumns();
+        if (inputs.length === 0) throw new Error("The circuit has no Inputs.");
+        if (outputs.length === 0) throw new Error("The circuit has no Outputs.");
+        if (inputs.length > this.MAX_INPUTS) {
+            throw new Error(`${inputs.length} inputs would make ${Math.pow(2, inputs.length)} rows. The limit is ${this.MAX_INPUTS} inputs.`);
+        }
+
+        const rows = [];
+        let unsettled = 0;
+        AnimationManager.runDetached(() => {
+            const count = Math.pow(2, inputs.length);
+            for (let combination = 0; combination < count; combination++) {
+                const values = new Map();
+                const inputValues = inputs.map((column, i) => {
+                    const bit = (combination >> (inputs.length - 1 - i)) & 1;
+                    values.set(column.component, bit);
+                    return bit;
+                });
+
+                const settled = AnimationManager.evaluateWith(values);
+                if (!settled) unsettled++;
+                rows.push({
+                    inputs: inputValues,
+                    outputs: outputs.map(column => settled ? column.component.state : Logic.X)
+                });
+            }
+        });
+
+        return { inputs: inputs, outputs: outputs, rows: rows, unsettled: unsettled };
+    },
+
+    /**
+     * Regenerates the table and shows it in the modal.
+     */
+    refresh: function() {
+        try {
+            this.lastTable = this.generate();
+        } catch (error) {
+            this.lastTable = null;
+            if (this.tableContainer) this.tableContainer.innerHTML = '';
+            if (this.summaryElement) this.summaryElement.textContent = error.message;
+            return;
+        }
+        this.render(this.lastTable);
+    },
+
+    /**
+     * Draws a table as HTML.
+     * @param {object} table - From generate().
+     */
+    render: function(table) {
+        if (this.summaryElement) {
+            let summary = `${table.inputs.length} input(s), ${table.outputs.length} output(s), ${table.rows.length} row(s).`;
+            if (table.unsettled > 0) summary += ` ${table.unsettled} row(s) never settled (oscillation?) and show X.`;
+            this.summaryElement.textContent = summary;
+        }
+        if (!this.tableContainer) return;
+
+        const tableElement = document.createElement('table');
+        tableElement.className = 'truth-table';
+
+        const headRow = tableElement.createTHead().insertRow();
+        table.inputs.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column.name;
+            headRow.appendChild(th);
+        });
+        table.outputs.forEach((column, i) => {
+            const th = document.createElement('th');
+            th.textContent = column.name;
+            th.className = 'output' + (i === 0 ? ' divider' : '');
+            headRow.appendChild(th);
+        });
+
+        const body = tableElement.createTBody();
+        for (const row of table.rows) {
+            const tr = body.insertRow();
+            row.inputs.forEach(value => {
+                tr.insertCell().textContent = value;
+            });
+            row.outputs.forEach((value, i) => {
+                const td = tr.insertCell();
+                td.textContent = value;
+                td.className = 'output' + (i === 0 ? ' divider' : '') + (value === 1 ? ' high' : '') + (Logic.isKnown(value) ? '' : ' unknown');
+            });
+        }
+
+        this.tableContainer.innerHTML = '';
+        this.tableContainer.appendChild(tableElement);
+    },
+
+    // --- Export ---
+
+    /**
+     * @param {object} table - From generate().
+     * @param {string} separator - ',' for CSV, '\t' for the clipboard.
+     * @returns {string}
+     */
+    toText: function(table, separator) {
+        const escape = (text) => {
+            text = String(text);
+            return (separator === ',' && /[",\n]/.test(text)) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [[...table.inputs, ...table.outputs].map(column => escape(column.name)).join(separator)];
+        for (const row of table.rows) {
+            lines.push([...row.inputs, ...row.outputs].map(escape).join(separator));
+        }
+        return lines.join('\n');
+    },
+
+    copyToClipboard: async function() {
+        if (!this.lastTable) return;
+        try {
+            // Tab-separated, so it pastes into spreadsheet cells
+            await navigator.clipboard.writeText(this.toText(this.lastTable, '\t'));
+            Main.updateStatus("Truth table copied to the clipboard.");
+        } catch (error) {
+            console.error("Clipboard write failed:", error);
+            Main.updateStatus(`Couldn't copy the truth table: ${error.message}`);
+        }
+    },
+
+    downloadCSV: function() {
+        if (!this.lastTable) return;
+        const blob = new Blob([this.toText(this.lastTable, ',') + '\n'], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = 'truth_table.csv';
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+        Main.updateStatus("Truth table CSV download started.");
+    }
+};
@@ -0,0 +1,533 @@
+// --- Waveform / Timing Diagram Panel ---
+// Records the value of chosen signals against simulated time and draws
+// them as a timing diagram below the canvas.
+// Samples are taken straight from the engine's events (see
+// AnimationManager.onEventProcessed), not from the text log.
+
+const WaveformManager = {
+    // --- Configuration ---
+    LABEL_WIDTH: 110, // Left column with signal names (and values at cursor A)
+    ROW_HEIGHT: 28,
+    AXIS_HEIGHT: 20,
+    MAX_SAMPLES: 5000, // Per signal, oldest samples are dropped first
+    MIN_SCALE: 0.01, // px per ms
+    MAX_SCALE: 200,
+
+    // --- State ---
+    probes: [], // { node, component, name, bitWidth, samples: [{ time, value }] }
+    probesByNode: new Map(), // node.id -> probes, for quick lookup per event
+    startTime: 0, // Time recording (re)started
+    viewStart: 0, // Left edge of the plot, in ms
+    scale: 2, // px per ms
+    followLive: true, // Keep the latest time in view
+    cursorA: null,
+    cursorB: null,
+    isVisible: false,
+
+    // --- UI Elements ---
+    wrapperElement: null,
+    canvas: null,
+    ctx: null,
+    signalSelect: null,
+    readoutElement: null,
+
+    /**
+     * Finds the panel elements and hooks up listeners.
+     */
+    init: function() {
+        this.wrapperElement = document.getElementById('waveform-wrapper');
+        this.canvas = document.getElementById('waveform-canvas');
+        this.signalSelect = document.getElementById('waveform-signal-select');
+        this.readoutElement = document.getElementById('waveform-readout');
+        if (!this.wrapperElement || !this.canvas) return;
+        this.ctx = this.canvas.getContext('2d');
+
+        document.getElementById('waveform-btn')?.addEventListener('click', () => this.toggle());
+        document.getElementById('waveform-close-btn')?.addEventListener('click', () => this.toggle(false));
+        document.getElementById('waveform-zoom-in-btn')?.addEventListener('click', () => this.zoom(2));
+        document.getElementById('waveform-zoom-out-btn')?.addEventListener('click', () => this.zoom(0.5));
+        document.getElementById('waveform-fit-btn')?.addEventListener('click', () => this.fit());
+        document.getElementById('waveform-clear-btn')?.addEventListener('click', () => this.clearSamples());
+
+        this.signalSelect?.addEventListener('focus', () => this.refreshSignalList());
+        this.signalSelect?.addEventListener('change', (e) => {
+            this.addSignal(e.target.value);
+            e.target.value = '';
+        });
+
+        this.canvas.addEventListener('click', (e) => this.handleClick(e));
+        this.canvas.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.handleClick(e, true);
+        });
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+    },
+
+    // --- Signals ---
+
+    /**
+     * Rebuilds the "Add signal" dropdown and forgets probes whose
+     * component was deleted.
+     */
+    refreshSignalList: function() {
+        this.probes = this.probes.filter(probe => this.isOnCanvas(probe.component));
+        this.rebuildProbeIndex();
+
+        if (!this.signalSelect) return;
+        const tracked = new Set(this.probes.map(probe => probe.node.id));
+        const candidates = Simulator.getSignalCandidates().filter(c => !tracked.has(c.key));
+
+        this.signalSelect.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = candidates.length > 0 ? 'Add signal…' : 'No more signals';
+        this.signalSelect.appendChild(placeholder);
+
+        if (candidates.length > 1) {
+            const all = document.createElement('option');
+            all.value = '*';
+            all.textContent = 'All of them';
+            this.signalSelect.appendChild(all);
+        }
+        for (const candidate of candidates) {
+            const option = document.createElement('option');
+            option.value = candidate.key;
+            option.textContent = candidate.name;
+            this.signalSelect.appendChild(option);
+        }
+    },
+
+    /**
+     * Starts recording a signal (or every remaining one, for '*').
+     * @param {string} key - A node id from Simulator.getSignalCandidates().
+     */
+    addSignal: function(key) {
+        if (!key) return;
+        const tracked = new Set(this.probes.map(probe => probe.node.id));
+        const toAdd = Simulator.getSignalCandidates().filter(c => !tracked.has(c.key) && (key === '*' || c.key === key));
+
+        for (const candidate of toAdd) {
+            const probe = {
+                node: candidate.node,
+                component: candidate.component,
+                name: candidate.name,
+                bitWidth: candidate.node.bitWidth,
+                samples: []
+            };
+            probe.samples.push({ time: AnimationManager.simulationTime, value: this.readProbe(probe) });
+            this.probes.push(probe);
+        }
+        this.rebuildProbeIndex();
+        this.refreshSignalList();
+        if (toAdd.length > 0) Main.updateStatus(`Recording ${this.probes.length} signal(s) in the timing diagram.`);
+    },
+
+    /**
+     * Stops recording a signal.
+     * @param {object} probe
+     */
+    removeSignal: function(probe) {
+        this.probes = this.probes.filter(p => p !== probe);
+        this.rebuildProbeIndex();
+        this.refreshSignalList();
+    },
+
+    rebuildProbeIndex: function() {
+        this.probesByNode = new Map();
+        for (const probe of this.probes) {
+            if (!this.probesByNode.has(probe.node.id)) this.probesByNode.set(probe.node.id, []);
+            this.probesByNode.get(probe.node.id).push(probe);
+        }
+    },
+
+    /**
+     * @param {BaseGate} component
+     * @returns {boolean} True if the component is on the canvas (at any subcircuit level).
+     */
+    isOnCanvas: function(component) {
+        return Simulator.allComponents.includes(component) ||
+            Simulator.navigationStack.some(level => level.components.includes(component));
+    },
+
+    /**
+     * @param {object} probe
+     * @returns {number|string} The probed value right now.
+     */
+    readProbe: function(probe) {
+        return Simulator.readSignal(probe);
+    },
+
+    // --- Recording ---
+
+    /**
+     * --- Engine hook ---
+     * Called after every event. Samples the probes on the nodes it touched.
+     * @param {object} event - The event that just ran.
+     * @param {number} time - The simulated time it ran at.
+     */
+    onSimulationEvent: function(event, time) {
+        if (this.probes.length === 0) return;
+
+        let nodes;
+        switch (event.type) {
+            case 'UPDATE_INPUT': nodes = event.component.outputNodes; break;
+            case 'UPDATE_OUTPUT': nodes = [event.node]; break;
+            case 'PROPAGATE': nodes = [event.wire.startNode, event.wire.endNode]; break;
+            case 'CALCULATE': nodes = event.component.getAllNodes(); break;
+            default: return;
+        }
+
+        for (const node of nodes) {
+            const probes = this.probesByNode.get(node.id);
+            if (probes) probes.forEach(probe => this.recordSample(probe, time));
+        }
+    },
+
+    /**
+     * Adds a sample if the value changed since the last one.
+     * Several changes at the same time keep only the last value.
+     */
+    recordSample: function(probe, time) {
+        const value = this.readProbe(probe);
+        const last = probe.samples[probe.samples.length - 1];
+        if (last && last.value === value) return;
+
+        if (last && last.time === time) {
+            last.value = value;
+            // Merging may leave two equal samples in a row
+            const previous = probe.samples[probe.samples.length - 2];
+            if (previous && previous.value === value) probe.samples.pop();
+        } else {
+            probe.samples.push({ time: time, value: value });
+        }
+
+        if (probe.samples.length > this.MAX_SAMPLES) probe.samples.shift();
+    },
+
+    /**
+     * Drops everything recorded after a time (used by Step Back) and
+     * re-reads the current values at that time.
+     * @param {number} time
+     */
+    rewindTo: function(time) {
+        for (const probe of this.probes) {
+            probe.samples = probe.samples.filter(sample => sample.time <= time);
+            this.recordSample(probe, time);
+        }
+    },
+
+    /**
+     * Forgets the recorded history but keeps the chosen signals.
+     */
+    clearSamples: function() {
+        const now = AnimationManager.simulationTime;
+        this.startTime = now;
+        this.viewStart = now;
+        this.followLive = true;
+        this.cursorA = null;
+        this.cursorB = null;
+        for (const probe of this.probes) {
+            probe.samples = [{ time: now, value: this.readProbe(probe) }];
+        }
+    },
+
+    /**
+     * Forgets every signal. Called when the simulation is reset.
+     */
+    reset: function() {
+        this.probes = [];
+        this.rebuildProbeIndex();
+        this.clearSamples();
+    },
+
+    // --- View ---
+
+    /**
+     * Shows or hides the panel.
+     * @param {boolean} [visible] - Omit to toggle.
+     */
+    toggle: function(visible = !this.isVisible) {
+        this.isVisible = visible;
+        this.wrapperElement?.classList.toggle('hidden', !visible);
+        document.getElementById('waveform-btn')?.classList.toggle('active', visible);
+        if (visible) this.refreshSignalList();
+    },
+
+    getPlotWidth: function() {
+        return Math.max(10, this.canvas.width - this.LABEL_WIDTH);
+    },
+
+    timeToX: function(time) {
+        return this.LABEL_WIDTH + (time - this.viewStart) * this.scale;
+    },
+
+    xToTime: function(x) {
+        return this.viewStart + (x - this.LABEL_WIDTH) / this.scale;
+    },
+
+    /**
+     * Zooms around the centre of the plot (or a given time).
+     * @param {number} factor - >1 zooms in.
+     * @param {number} [aroundTime]
+     */
+    zoom: function(factor, aroundTime) {
+        const plotWidth = this.getPlotWidth();
+        const anchor = aroundTime ?? (this.viewStart + plotWidth / this.scale / 2);
+        const anchorOffset = (anchor - this.viewStart) * this.scale;
+
+        this.scale = Math.min(this.MAX_SCALE, Math.max(this.MIN_SCALE, this.scale * factor));
+        this.viewStart = anchor - anchorOffset / this.scale;
+        this.followLive = false;
+    },
+
+    /**
+     * Fits everything recorded so far and follows new samples again.
+     */
+    fit: function() {
+        const span = Math.max(1, AnimationManager.simulationTime - this.startTime);
+        this.scale = Math.min(this.MAX_SCALE, Math.max(this.MIN_SCALE, this.getPlotWidth() * 0.95 / span));
+        this.viewStart = this.startTime;
+        this.followLive = true;
+    },
+
+    handleWheel: function(e) {
+        e.preventDefault();
+        const rect = this.canvas.getBoundingClientRect();
+        if (e.shiftKey) {
+            // Shift + wheel pans
+            this.viewStart += (e.deltaY || e.deltaX) / this.scale;
+            this.followLive = false;
+        } else {
+            this.zoom(e.deltaY < 0 ? 1.25 : 0.8, this.xToTime(e.clientX - rect.left));
+        }
+    },
+
+    /**
+     * Left click sets cursor A, right click (or Shift + click) sets cursor B.
+     * Clicking the × next to a name stops recording it.
+     */
+    handleClick: function(e, isSecondary = false) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+
+        if (x < this.LABEL_WIDTH) {
+            const row = Math.floor((y - this.AXIS_HEIGHT) / this.ROW_HEIGHT);
+            if (x < 16 && row >= 0 && row < this.probes.length) this.removeSignal(this.probes[row]);
+            return;
+        }
+
+        const time = Math.max(this.startTime, Math.round(this.xToTime(x)));
+        if (isSecondary || e.shiftKey) {
+            this.cursorB = time;
+        } else {
+            this.cursorA = time;
+        }
+        this.updateReadout();
+    },
+
+    updateReadout: function() {
+        if (!this.readoutElement) return;
+        const parts = [];
+        if (this.cursorA !== null) parts.push(`A = ${this.cursorA}ms`);
+        if (this.cursorB !== null) parts.push(`B = ${this.cursorB}ms`);
+        if (this.cursorA !== null && this.cursorB !== null) parts.push(`Δ = ${Math.abs(this.cursorB - this.cursorA)}ms`);
+        this.readoutElement.textContent = parts.length > 0 ? parts.join('   ') : 'Click: cursor A · Right-click: cursor B';
+    },
+
+    /**
+     * @param {object} probe
+     * @param {number} time
+     * @returns {number|string|undefined} The recorded value at a time.
+     */
+    valueAt: function(probe, time) {
+        let value;
+        for (const sample of probe.samples) {
+            if (sample.time > time) break;
+            value = sample.value;
+        }
+        return value;
+    },
+
+    // --- Drawing ---
+
+    /**
+     * Redraws the diagram. Called every frame by Main.mainLoop().
+     */
+    draw: function() {
+        if (!this.isVisible || !this.ctx) return;
+
+        const body = this.canvas.parentElement;
+        const width = body.clientWidth || 300;
+        const height = Math.max(body.clientHeight, this.AXIS_HEIGHT + this.probes.length * this.ROW_HEIGHT);
+        if (this.canvas.width !== width) this.canvas.width = width;
+        if (this.canvas.height !== height) this.canvas.height = height;
+
+        const now = AnimationManager.simulationTime;
+        if (this.followLive) {
+            const visibleSpan = this.getPlotWidth() / this.scale;
+            this.viewStart = Math.max(this.startTime, now - visibleSpan * 0.95);
+        }
+
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = CanvasRenderer.COLOR_COMPONENT_FILL;
+        ctx.fillRect(0, 0, width, height);
+
+        this.drawAxis(width);
+        this.probes.forEach((probe, row) => this.drawTrace(probe, row, now, width));
+        this.drawCursor(this.cursorA, '#007bff', 'A', height);
+        this.drawCursor(this.cursorB, '#fd7e14', 'B', height);
+
+        if (this.probes.length === 0) {
+            ctx.fillStyle = CanvasRenderer.COLOR_NODE_LABEL;
+            ctx.font = '12px Arial';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('Pick signals from "Add signal…" to record them.', this.LABEL_WIDTH, this.AXIS_HEIGHT + this.ROW_HEIGHT / 2);
+        }
+    },
+
+    drawAxis: function(width) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = CanvasRenderer.COLOR_GRID;
+        ctx.fillStyle = CanvasRenderer.COLOR_NODE_LABEL;
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 1;
+
+        // Pick a tick step of 1, 2 or 5 x 10^n that leaves ~80px between ticks
+        const rawStep = 80 / this.scale;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rawStep);
+
+        const endTime = this.xToTime(width);
+        for (let t = Math.ceil(this.viewStart / step) * step; t <= endTime; t += step) {
+            const x = this.timeToX(t);
+            if (x < this.LABEL_WIDTH) continue;
+            ctx.beginPath();
+            ctx.moveTo(x, this.AXIS_HEIGHT);
+            ctx.lineTo(x, this.canvas.height);
+            ctx.stroke();
+            ctx.fillText(`${+t.toFixed(3)}ms`, x, this.AXIS_HEIGHT / 2);
+        }
+    },
+
+    drawTrace: function(probe, row, now, width) {
+        const ctx = this.ctx;
+        const top = this.AXIS_HEIGHT + row * this.ROW_HEIGHT;
+        const high = top + 6;
+        const low = top + this.ROW_HEIGHT - 6;
+        const mid = (high + low) / 2;
+
+        // Name (with the value at cursor A) and a × to remove it
+        ctx.fillStyle = CanvasRenderer.COLOR_COMPONENT_LABEL;
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('×', 4, mid);
+        const valueAtA = this.cursorA !== null ? this.valueAt(probe, this.cursorA) : undefined;
+        const name = valueAtA !== undefined ? `${probe.name} = ${formatSignalValue(valueAtA, probe.bitWidth)}` : probe.name;
+        ctx.fillText(name, 16, mid, this.LABEL_WIDTH - 20);
+
+        ctx.strokeStyle = CanvasRenderer.COLOR_GRID;
+        ctx.beginPath();
+        ctx.moveTo(0, top + this.ROW_HEIGHT);
+        ctx.lineTo(width, top + this.ROW_HEIGHT);
+        ctx.stroke();
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(this.LABEL_WIDTH, top, width - this.LABEL_WIDTH, this.ROW_HEIGHT);
+        ctx.clip();
+        ctx.lineWidth = 2;
+
+        probe.samples.forEach((sample, i) => {
+            const next = probe.samples[i + 1];
+            const x1 = this.timeToX(sample.time);
+            const x2 = this.timeToX(next ? next.time : now);
+            if (x2 < this.LABEL_WIDTH || x1 > width) return;
+
+            if (probe.bitWidth > 1 || !Logic.isKnown(sample.value)) {
+                this.drawBusSegment(sample.value, probe.bitWidth, x1, x2, high, low);
+            } else {
+                const y = sample.value === 1 ? high : low;
+                ctx.strokeStyle = CanvasRenderer.getSignalColor(sample.value);
+                ctx.beginPath();
+                if (next) {
+                    // Vertical edge into the next value
+                    const nextY = next.value === 1 ? high : (next.value === 0 ? low : mid);
+                    ctx.moveTo(x1, y);
+                    ctx.lineTo(x2, y);
+                    ctx.lineTo(x2, nextY);
+                } else {
+                    ctx.moveTo(x1, y);
+                    ctx.lineTo(x2, y);
+                }
+                ctx.stroke();
+            }
+        });
+        ctx.restore();
+    },
+
+    /**
+     * Draws a bus value (or an X/Z stretch) as a box with its value inside.
+     */
+    drawBusSegment: function(value, bitWidth, x1, x2, high, low) {
+        const ctx = this.ctx;
+        const mid = (high + low) / 2;
+        const slant = Math.min(3, (x2 - x1) / 2);
+
+        ctx.strokeStyle = Logic.isKnown(value) ? CanvasRenderer.COLOR_BUS : CanvasRenderer.getSignalColor(value);
+        if (value === Logic.Z) {
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x1, mid);
+            ctx.lineTo(x2, mid);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            return;
+        }
+
+        ctx.beginPath();
+        ctx.moveTo(x1, mid);
+        ctx.lineTo(x1 + slant, high);
+        ctx.lineTo(x2 - slant, high);
+        ctx.lineTo(x2, mid);
+        ctx.lineTo(x2 - slant, low);
+        ctx.lineTo(x1 + slant, low);
+        ctx.closePath();
+        ctx.stroke();
+
+        const text = formatSignalValue(value, bitWidth);
+        ctx.font = '10px Menlo, Consolas, monospace';
+        if (ctx.measureText(text).width + 6 < x2 - x1) {
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(text, (Math.max(x1, this.LABEL_WIDTH) + x2) / 2, mid);
+        }
+    },
+
+    drawCursor: function(time, color, name, height) {
+        if (time === null) return;
+        const x = this.timeToX(time);
+        if (x < this.LABEL_WIDTH || x > this.canvas.width) return;
+
+        const ctx = this.ctx;
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x, this.AXIS_HEIGHT);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.font = 'bold 10px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(name, x + 3, this.AXIS_HEIGHT + 1);
+    }
+};
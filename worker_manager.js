@@ -0,0 +1,190 @@
+// --- Background Simulation Manager ---
+// Runs long clocked simulations (counters, CPU programs) in a Web Worker
+// (sim_worker.js), so the editor keeps drawing and responding while
+// millions of clock cycles go by. The worker gets a copy of the circuit
+// and its current values; every batch it sends back only the values that
+// changed, which are written onto the canvas objects by their position in
+// Simulator.readStateValues().
+//
+// Toggling an Input is forwarded to the worker. Any other edit stops the
+// run first (AnimationManager.startSimulation() calls stop(false) and
+// settles the circuit itself).
+
+const WorkerManager = {
+    WORKER_SCRIPT: 'sim_worker.js',
+    DEFAULT_CYCLES: 1000000,
+
+    // --- State ---
+    worker: null,
+    isRunning: false,
+    snapshot: null, // captureState() of the canvas when the run started
+    startedAt: 0, // Wall-clock time of the start, for the summary
+
+    /**
+     * Hooks up the Run in Background / Stop buttons.
+     */
+    init: function() {
+        document.getElementById('bg-run-btn')?.addEventListener('click', () => this.handleRun());
+        document.getElementById('bg-stop-btn')?.addEventListener('click', () => this.stop());
+    },
+
+    /**
+     * Asks how long to run, then starts.
+     */
+    handleRun: function() {
+        if (this.isRunning) return;
+        if (!Simulator.allComponents.some(component => component instanceof Clock)) {
+            Main.updateStatus("Add a Clock first; background runs are for clocked circuits.");
+            return;
+        }
+        if (AnimationManager.isQueuePaused) {
+            Main.updateStatus("Finish stepping through the events (Resume) before running in the background.");
+            return;
+        }
+
+        const answer = prompt("Run how many clock cycles? (Leave empty to run until you press Stop)", String(this.DEFAULT_CYCLES));
+        if (answer === null) return; // Cancelled
+        const cycles = answer.trim() === '' ? 0 : Number(answer);
+        if (!Number.isInteger(cycles) || cycles < 0) {
+            Main.updateStatus(`"${answer}" is not a number of cycles.`);
+            return;
+        }
+        this.start(cycles);
+    },
+
+    /**
+     * Hands the circuit to a new worker and lets it run.
+     * @param {number} cycles - Periods of the fastest Clock to run; 0 runs until stopped.
+     */
+    start: function(cycles) {
+        if (typeof Worker === 'undefined') {
+            Main.updateStatus("This browser can't run simulations in the background.");
+            return;
+        }
+        try {
+            this.worker = new Worker(this.WORKER_SCRIPT);
+        } catch (error) {
+            // Browsers refuse workers for pages opened straight from disk (file://)
+            AnimationManager.logError(`Couldn't start the background simulation: ${error.message}. Open the editor from a web server (http://) to use it.`);
+            return;
+        }
+
+        // The worker takes over from the page's own clock and queue
+        AnimationManager.pauseSimulation();
+        this.snapshot = Simulator.captureState();
+        const faults = [];
+        this.snapshot.nodes.forEach((entry, position) => {
+            if (entry.node.stuckAt !== null) faults.push([position, entry.node.stuckAt]);
+        });
+
+        this.worker.onmessage = event => this.onMessage(event.data);
+        this.worker.onerror = event => {
+            event.preventDefault?.();
+            this.fail(event.message || "The background simulation crashed.");
+        };
+        this.worker.postMessage({
+            type: 'start',
+            circuit: { ...Simulator.serializeCircuit(Simulator.allComponents, Simulator.allWires), subcircuits: { ...Simulator.subcircuitDefinitions } },
+            values: Simulator.readStateValues(this.snapshot),
+            faults: faults,
+            fourValued: Logic.fourValued,
+            time: AnimationManager.simulationTime,
+            cycles: cycles
+        });
+        AnimationManager.simulationQueue.clear(); // Worked out again by the worker
+
+        this.isRunning = true;
+        this.startedAt = Date.now();
+        this.updateButtons();
+        AnimationManager.logStep(cycles > 0
+            ? `Running ${cycles} clock cycles in the background...`
+            : "Running in the background until you press Stop...");
+        AnimationManager.log("The timing diagram and breakpoints don't follow background runs.");
+    },
+
+    /**
+     * A batch of results from the worker.
+     * @param {object} message - See sim_worker.js.
+     */
+    onMessage: function(message) {
+        if (!this.isRunning) return;
+        if (message.type === 'error') {
+            this.fail(message.message);
+            return;
+        }
+
+        const changes = message.changes;
+        for (let i = 0; i < changes.length; i += 2) {
+            Simulator.writeStateValue(this.snapshot, changes[i], changes[i + 1]);
+        }
+        AnimationManager.simulationTime = message.time;
+        Main.updateStatus(`Background run: cycle ${message.cycles.toLocaleString()} (t = ${message.time}ms)`);
+
+        if (message.type === 'done') this.finish(message);
+    },
+
+    /**
+     * Stops the run where it is. The canvas keeps the last values received
+     * and is settled again on the page.
+     * @param {boolean} [resettle=true] - False when the caller settles the circuit anyway.
+     */
+    stop: function(resettle = true) {
+        if (!this.isRunning) return;
+        this.terminate();
+        AnimationManager.logStep(`Background run stopped at t = ${AnimationManager.simulationTime}ms.`);
+        Main.updateStatus('Background run stopped.');
+        if (resettle) AnimationManager.startSimulation();
+    },
+
+    /**
+     * The worker ran every cycle asked for (or the circuit never settled).
+     * @param {object} message - The 'done' message.
+     */
+    finish: function(message) {
+        this.terminate();
+        const seconds = ((Date.now() - this.startedAt) / 1000).toFixed(1);
+        AnimationManager.logStep(`Background run finished: ${message.cycles.toLocaleString()} cycles in ${seconds}s (t = ${message.time}ms).`);
+        if (!message.settled) {
+            AnimationManager.logError("Stopped early: the circuit never settled (it may be oscillating).");
+        }
+        Main.updateStatus(`Background run finished after ${message.cycles.toLocaleString()} cycles.`);
+    },
+
+    /**
+     * @param {string} errorMessage
+     */
+    fail: function(errorMessage) {
+        this.terminate();
+        AnimationManager.logError(`Background simulation failed: ${errorMessage}`);
+        Main.updateStatus('Background run failed.');
+    },
+
+    /**
+     * Ends the worker without any messages. Called by resets too.
+     */
+    terminate: function() {
+        this.worker?.terminate();
+        this.worker = null;
+        this.isRunning = false;
+        this.snapshot = null;
+        this.updateButtons();
+    },
+
+    /**
+     * Forwards an Input toggled on the canvas to a running worker.
+     * @param {InputToggle} input - Already toggled.
+     * @returns {boolean} True if the worker took it; otherwise simulate it on the page.
+     */
+    setInput: function(input) {
+        if (!this.isRunning) return false;
+        const position = Simulator.allComponents.indexOf(input);
+        if (position === -1) return false;
+        this.worker.postMessage({ type: 'setInput', position: position, value: input.state });
+        return true;
+    },
+
+    updateButtons: function() {
+        document.getElementById('bg-run-btn')?.classList.toggle('hidden', this.isRunning);
+        document.getElementById('bg-stop-btn')?.classList.toggle('hidden', !this.isRunning);
+    }
+};